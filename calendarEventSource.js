@@ -0,0 +1,216 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 📥 Calendar Event Source
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// A user's time can live on several calendars (e.g. client calls on the
+// primary calendar, court dates on a shared "Court" calendar). The calendars
+// to read are listed per user in the UserCalendars tab of the CentralClientList
+// sheet. Calendars owned by someone else carry a time rule deciding which of
+// their events count as this user's time.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Time rules for deciding whether an event on a calendar is the user's time.
+ * ALL      - every event (default for calendars the user owns)
+ * ATTENDING - events the user created or is a guest on and has not declined (default for shared calendars)
+ * CREATED  - only events the user created
+ */
+const CALENDAR_TIME_RULES = ['ALL', 'ATTENDING', 'CREATED'];
+
+/**
+ * Fetches the calendar events a processing run should handle.
+ *
+ * Window mode returns every event between startDate and endDate.
+ * Incremental mode returns every event created or changed since the last run
+ * (including late entries on earlier days) and lists cancelled events, so
+ * their posted records can be withdrawn. The window itself is only read by the
+ * first incremental run that covers it, or by a full resync. Changed events
+ * that have not started by endDate are left for the run that covers their day.
+ *
+ * An event found on more than one calendar is processed once, from the first
+ * calendar listed for the user.
+ *
+ * @param {Date} startDate - Window start
+ * @param {Date} endDate - Window end
+ * @param {Object} options - { incremental: boolean }
+ * @returns {Object} { items: [{ event, calendarId, calendarName, timeZone }], cancelled, syncTokens, windowStarts,
+ *   syncMode, calendarIds } - calendarIds lists the calendars whose whole window was read, for the deleted-event check
+ */
+function fetchCalendarEventsForRun(startDate, endDate, options = {}) {
+  const userEmail = Session.getActiveUser().getEmail().toLowerCase();
+  const sources = loadUserCalendarSources(userEmail);
+
+  const result = {
+    items: [],
+    cancelled: [],
+    syncTokens: {},
+    windowStarts: {},
+    syncMode: options.incremental ? 'INCREMENTAL' : 'WINDOW',
+    calendarIds: []
+  };
+  const seenKeys = {};
+
+  const addEvent = (event, source) => {
+    if (!eventBelongsToUser(event, source, userEmail)) {
+      Logger.log(`⏭️ Not ${userEmail}'s time on ${source.name} (${source.timeRule}): "${event.getTitle()}"`);
+      return;
+    }
+
+    const key = buildLedgerRef(event).key;
+    if (!seenKeys[key]) {
+      seenKeys[key] = true;
+      result.items.push({ event, calendarId: source.calendarId, calendarName: source.name, timeZone: source.timeZone });
+    }
+  };
+
+  sources.forEach(source => {
+    const changes = options.incremental
+      ? retryOperation(() => fetchIncrementalCalendarChanges(source.calendarId, startDate, endDate), 2, 500)
+      : null;
+
+    // A full resync lists the whole window already; a later incremental run over the same window only needs the changes
+    const readWindow = !changes || (!changes.fullResync && getStoredSyncWindowStart(source.calendarId) !== startDate.toISOString());
+    if (readWindow) {
+      const windowEvents = retryOperation(() => source.calendar.getEvents(startDate, endDate), 2, 500);
+      windowEvents.forEach(event => addEvent(event, source));
+    }
+    if (readWindow || changes.fullResync) {
+      result.calendarIds.push(source.calendarId);
+    }
+
+    if (!changes) {
+      return;
+    }
+
+    changes.events.forEach(apiEvent => {
+      if (apiEvent.status === 'cancelled') {
+        result.cancelled.push({ ...describeCancelledApiEvent(apiEvent, source.calendarId, source.timeZone), calendarId: source.calendarId });
+        return;
+      }
+
+      const event = wrapApiCalendarEvent(apiEvent, source.calendarId, source.timeZone);
+      if (!event.getStartTime() || event.getStartTime() >= endDate) {
+        return; // Not due yet
+      }
+
+      addEvent(event, source);
+    });
+
+    result.syncTokens[source.calendarId] = changes.nextSyncToken;
+    result.windowStarts[source.calendarId] = startDate.toISOString();
+    if (changes.fullResync) {
+      result.syncMode = 'FULL_RESYNC';
+    }
+  });
+
+  Logger.log(`📥 ${result.syncMode}: ${result.items.length} events from ${sources.length} calendar(s), ${result.cancelled.length} cancelled`);
+  return result;
+}
+
+/**
+ * Loads the calendars to process for a user from the UserCalendars tab.
+ * Expected columns: EmailAddress | Calendar ID | Time Rule
+ * Falls back to the user's default calendar when no rows are listed.
+ *
+ * @param {string} userEmail - User email
+ * @returns {Array} sources [{ calendarId, calendar, name, ownedByMe, timeRule, timeZone }]
+ */
+function loadUserCalendarSources(userEmail) {
+  const sources = [];
+
+  try {
+    const sheet = getCentralClientListSheet('UserCalendars', ['EmailAddress', 'Calendar ID', 'Time Rule']);
+    const rows = sheet.getDataRange().getValues();
+
+    for (let i = 1; i < rows.length; i++) {
+      const [email, calendarId, timeRule] = rows[i];
+      if (!email || !calendarId || email.toString().toLowerCase().trim() !== userEmail) continue;
+
+      const calendar = CalendarApp.getCalendarById(calendarId.toString().trim());
+      if (!calendar) {
+        Logger.log(`⚠️ Calendar ${calendarId} is not accessible for ${userEmail} - skipping`);
+        continue;
+      }
+
+      sources.push(_buildCalendarSource(calendar, timeRule));
+    }
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load UserCalendars, using default calendar: ${error.message}`);
+  }
+
+  if (sources.length === 0) {
+    sources.push(_buildCalendarSource(CalendarApp.getDefaultCalendar(), ''));
+  }
+
+  Logger.log(`📅 Calendars for ${userEmail}: ${sources.map(s => `${s.name} (${s.timeRule})`).join(', ')}`);
+  return sources;
+}
+
+/**
+ * Decides whether an event on a calendar counts as the user's time
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} source - Calendar source from loadUserCalendarSources()
+ * @param {string} userEmail - User email
+ * @returns {boolean}
+ */
+function eventBelongsToUser(event, source, userEmail) {
+  if (source.timeRule === 'ALL') {
+    return true;
+  }
+
+  const creators = (event.getCreators() || []).map(creator => creator.toLowerCase());
+  if (creators.includes(userEmail)) {
+    return true;
+  }
+
+  if (source.timeRule === 'CREATED') {
+    return false;
+  }
+
+  const guest = event.getGuestByEmail(userEmail);
+  return !!guest && guest.getGuestStatus() !== CalendarApp.GuestStatus.NO;
+}
+
+/**
+ * Stores the sync tokens of a completed run so the next incremental run starts from there,
+ * along with the window each calendar was read for.
+ * Call only after the run's events were handled - otherwise they would be skipped next time.
+ *
+ * @param {Object} fetchResult - Result from fetchCalendarEventsForRun()
+ */
+function commitCalendarSyncTokens(fetchResult) {
+  Object.entries(fetchResult.syncTokens).forEach(([calendarId, syncToken]) => {
+    storeSyncToken(calendarId, syncToken);
+  });
+  Object.entries(fetchResult.windowStarts || {}).forEach(([calendarId, windowStart]) => {
+    storeSyncWindowStart(calendarId, windowStart);
+  });
+}
+
+/**
+ * Builds a calendar source, defaulting the time rule from calendar ownership
+ * @param {Calendar} calendar - CalendarApp calendar
+ * @param {string} timeRule - Time rule from the sheet (may be blank)
+ * @returns {Object} { calendarId, calendar, name, ownedByMe, timeRule, timeZone }
+ */
+function _buildCalendarSource(calendar, timeRule) {
+  const ownedByMe = calendar.isOwnedByMe();
+  let rule = (timeRule || '').toString().toUpperCase().trim();
+
+  if (!CALENDAR_TIME_RULES.includes(rule)) {
+    if (rule) {
+      Logger.log(`⚠️ Unknown time rule "${timeRule}" for ${calendar.getName()} - using default`);
+    }
+    rule = ownedByMe ? 'ALL' : 'ATTENDING';
+  }
+
+  return {
+    calendarId: calendar.getId(),
+    calendar: calendar,
+    name: calendar.getName(),
+    ownedByMe: ownedByMe,
+    timeRule: rule,
+    timeZone: calendar.getTimeZone()
+  };
+}
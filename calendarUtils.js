@@ -3,14 +3,76 @@
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Checks if two Date objects fall on the same calendar day.
+ * Checks if two Date objects fall on the same calendar day in a time zone.
  * @param {Date} start 
  * @param {Date} end 
+ * @param {string} timeZone - Optional IANA zone (defaults to the script time zone)
  * @returns {boolean}
  */
-function _isSameDay(start, end) {
+function _isSameDay(start, end, timeZone = null) {
   if (!start || !end) return false;
-  return start.toDateString() === end.toDateString();
+  return formatDateInZone(start, timeZone, 'yyyy-MM-dd') === formatDateInZone(end, timeZone, 'yyyy-MM-dd');
+}
+
+/**
+ * Picks the time zone for a user's dates: the timeZone setting, else the
+ * calendar's zone, else the script zone.
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {string} calendarTimeZone - Optional zone of the event's calendar
+ * @returns {string} IANA time zone
+ */
+function resolveTimeZone(settings, calendarTimeZone = null) {
+  return (settings && settings.timeZone) || calendarTimeZone || Session.getScriptTimeZone();
+}
+
+/**
+ * Formats a date in a time zone.
+ * @param {Date} dateObj 
+ * @param {string} timeZone - Optional IANA zone (defaults to the script time zone)
+ * @param {string} pattern - SimpleDateFormat pattern
+ * @returns {string}
+ */
+function formatDateInZone(dateObj, timeZone, pattern) {
+  return Utilities.formatDate(dateObj, timeZone || Session.getScriptTimeZone(), pattern);
+}
+
+/**
+ * Returns the instant a wall-clock time occurs on the day of a date in a time zone.
+ * Across DST changes the day is 23 or 25 hours long, so this never adds hours.
+ * @param {Date} dateObj - Any instant on the day
+ * @param {string} timeOfDay - "HH:mm"
+ * @param {string} timeZone - Optional IANA zone (defaults to the script time zone)
+ * @returns {Date}
+ */
+function dateAtTimeInZone(dateObj, timeOfDay, timeZone = null) {
+  const zone = timeZone || Session.getScriptTimeZone();
+  const [hours, minutes] = (timeOfDay || '0:00').toString().split(':').map(Number);
+  const wallClock = `${formatDateInZone(dateObj, zone, 'yyyy-MM-dd')} ${String(hours || 0).padStart(2, '0')}:${String(minutes || 0).padStart(2, '0')}`;
+  return Utilities.parseDate(wallClock, zone, 'yyyy-MM-dd HH:mm');
+}
+
+/**
+ * Returns midnight of the day a date falls on, a number of days later, in a time zone.
+ * @param {Date} dateObj 
+ * @param {number} days - Days to add (0 = same day)
+ * @param {string} timeZone - Optional IANA zone (defaults to the script time zone)
+ * @returns {Date}
+ */
+function startOfDayInZone(dateObj, days = 0, timeZone = null) {
+  const zone = timeZone || Session.getScriptTimeZone();
+  const [year, month, day] = formatDateInZone(dateObj, zone, 'yyyy-MM-dd').split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1, day + days));
+  return Utilities.parseDate(target.toISOString().substring(0, 10), zone, 'yyyy-MM-dd');
+}
+
+/**
+ * Day of the week of a date in a time zone.
+ * @param {Date} dateObj 
+ * @param {string} timeZone - Optional IANA zone (defaults to the script time zone)
+ * @returns {number} 0 = Sunday ... 6 = Saturday (as Date.getDay())
+ */
+function getDayOfWeekInZone(dateObj, timeZone = null) {
+  return Number(formatDateInZone(dateObj, timeZone, 'u')) % 7;
 }
 
 /**
@@ -46,29 +108,61 @@ function _escapeRegExp(str) {
 
 /**
  * Attempts to find a matching client name from the event title.
+ * Uses the name index of the client map (built once per run), whole words only.
  * @param {string} title 
  * @param {Object} clientMap - keyed by lowercase last name
  * @returns {{uid: string, matchedName: string}|null}
  */
 function _matchClientFromTitle(title, clientMap) {
-  for (const nameKey in clientMap) {
-    const regex = new RegExp(`${_escapeRegExp(nameKey)}`, 'i');
-    if (regex.test(title)) {
-      return { uid: clientMap[nameKey], matchedName: nameKey };
-    }
-  }
-  return null;
+  const titleTokens = tokenizeNameText(title).map(t => t.token);
+  const best = findTokenTrieMatches(getClientMapNameIndex(clientMap).trie, titleTokens)
+    .sort((a, b) => b.length - a.length || a.position - b.position)[0];
+
+  return best ? { uid: clientMap[best.values[0]], matchedName: best.values[0] } : null;
 }
 
 /**
  * Converts a date to MM/DD/YYYY format for FileMaker ingestion.
  * @param {Date|string} input 
+ * @param {string} timeZone - Optional IANA zone the date is read in (defaults to the script time zone)
  * @returns {string}
  */
-function formatDateForFileMaker(input) {
+function formatDateForFileMaker(input, timeZone = null) {
   const date = (typeof input === 'string') ? new Date(input) : input;
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  const yyyy = date.getFullYear();
-  return `${mm}/${dd}/${yyyy}`;
+  return formatDateInZone(date, timeZone, 'MM/dd/yyyy');
+}
+
+/**
+ * Collects the location and notes of an event for matching and summaries.
+ * @param {CalendarEvent} event 
+ * @returns {{location: string, notes: string}}
+ */
+function getEventMatchContext(event) {
+  return {
+    location: (event.getLocation() || '').toString().trim(),
+    notes: _sanitizeEventDescription(event.getDescription())
+  };
+}
+
+/**
+ * Turns an event description into plain billing text: strips HTML, links and
+ * extra whitespace, and caps the length.
+ * @param {string} description 
+ * @returns {string}
+ */
+function _sanitizeEventDescription(description) {
+  const text = (description || '').toString()
+    .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/li>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length > 500 ? `${text.substring(0, 497)}...` : text;
 }
@@ -0,0 +1,210 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ⚖️ Court Case Numbers - recognizer and case table lookup
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Titles often carry a court case number ("2023P004512", "23 CH 1234").
+// CASE_NUMBER_FORMATS lists the formats of each jurisdiction; every format
+// captures a year, a case type code and a sequence number, and numbers are
+// compared in a canonical form (four-digit year, upper-case code, six-digit
+// number: "23 CH 1234" → "2023CH001234"). Add a jurisdiction by adding formats.
+// Case type codes are only read in upper case and must end where the code
+// ends, so ordinary text ("at 10 p 300") is not taken for a case number.
+//
+// The daily client sync copies the FileMaker case table into the Cases tab of
+// the client match spreadsheet (see syncCasesToSheet):
+//   Case Number | Jurisdiction | UID_Matter_fk | UID_Client_fk
+// A case number found in an event resolves its client and matter, and outranks
+// every name-based match.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CASE_HEADERS = ['Case Number', 'Jurisdiction', 'UID_Matter_fk', 'UID_Client_fk'];
+
+/**
+ * Cook County Circuit Court case type codes (Probate, Chancery, Law, Domestic
+ * Relations, Municipal, Miscellaneous Remedies, Order of Protection, Tax, ...)
+ */
+const COOK_COUNTY_CASE_CODES = 'CH|CV|DV|LA|LM|MR|OP|SC|TX|D|L|M|P';
+
+/**
+ * Case number formats per jurisdiction - named groups year, code and number.
+ * Case-sensitive on purpose: the codes are written in upper case on court papers.
+ */
+const CASE_NUMBER_FORMATS = [
+  {
+    jurisdiction: 'Cook County',
+    // 2023P004512, 2023 CH 01234, 2023-L-000123
+    pattern: new RegExp(`\\b(?<year>(?:19|20)\\d{2})[\\s-]*(?<code>${COOK_COUNTY_CASE_CODES})(?![A-Za-z])[\\s-]*(?<number>\\d{3,6})\\b`, 'g')
+  },
+  {
+    jurisdiction: 'Cook County',
+    // 23 CH 1234, 23-P-4512, 23P4512
+    pattern: new RegExp(`\\b(?<year>\\d{2})[\\s-]*(?<code>${COOK_COUNTY_CASE_CODES})(?![A-Za-z])[\\s-]*(?<number>\\d{3,6})\\b`, 'g')
+  }
+];
+
+/**
+ * Confidence of a case number match
+ */
+const CASE_NUMBER_MATCH_CONFIDENCE = 1;
+
+/**
+ * Finds the case numbers in a piece of text
+ * @param {string} text - Event title, location or notes
+ * @returns {Array} [{ caseNumber, jurisdiction, raw, start, end }] in text order, caseNumber canonical
+ */
+function findCaseNumbers(text) {
+  const source = (text || '').toString();
+  const found = [];
+
+  CASE_NUMBER_FORMATS.forEach(format => {
+    for (const match of source.matchAll(format.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some(hit => start < hit.end && end > hit.start)) continue;
+
+      found.push({
+        caseNumber: _canonicalCaseNumber(match.groups),
+        jurisdiction: format.jurisdiction,
+        raw: match[0],
+        start: start,
+        end: end
+      });
+    }
+  });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Removes case numbers from text, so their digits are not read as courtrooms
+ * @param {string} text - Event title
+ * @returns {string}
+ */
+function stripCaseNumbers(text) {
+  const source = (text || '').toString();
+  return findCaseNumbers(source)
+    .reverse()
+    .reduce((result, hit) => result.substring(0, hit.start) + ' ' + result.substring(hit.end), source);
+}
+
+/**
+ * Loads the case table from the Cases tab into a case index
+ * @returns {Object} index from buildCaseIndex() (empty when the tab cannot be read)
+ */
+function loadCaseIndexFromSheet() {
+  try {
+    const rows = _openClientMatchTab('Cases', CASE_HEADERS).getDataRange().getValues();
+    const caseIndex = buildCaseIndex(rows.slice(1));
+
+    Logger.log(`⚖️ Indexed ${Object.keys(caseIndex.byCaseNumber).length} court case numbers`);
+    return caseIndex;
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load case index from sheet: ${error.message}`);
+    return buildCaseIndex([]);
+  }
+}
+
+/**
+ * Builds the case index
+ * @param {Array} rows - [Case Number, Jurisdiction, UID_Matter_fk, UID_Client_fk] rows
+ * @returns {Object} { byCaseNumber } keyed by canonical case number → [{ caseNumber, jurisdiction, matterUid, clientUid }]
+ */
+function buildCaseIndex(rows) {
+  const caseIndex = { byCaseNumber: {} };
+
+  rows.forEach(([caseNumber, jurisdiction, matterUid, clientUid]) => {
+    if (!caseNumber || (!matterUid && !clientUid)) return;
+
+    // Case numbers the recognizer does not know are kept as letters and digits only
+    const recognized = findCaseNumbers(caseNumber.toString().toUpperCase())[0];
+    const key = recognized ? recognized.caseNumber : caseNumber.toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+    (caseIndex.byCaseNumber[key] = caseIndex.byCaseNumber[key] || []).push({
+      caseNumber: key,
+      jurisdiction: (jurisdiction || '').toString().trim(),
+      matterUid: matterUid || '',
+      clientUid: clientUid || ''
+    });
+  });
+
+  return caseIndex;
+}
+
+/**
+ * Resolves the client and matter of the first known case number in the texts
+ * @param {Array<string>} texts - Texts to search in order (title, location, notes)
+ * @param {Object} caseIndex - Index from loadCaseIndexFromSheet()
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {Object|null} { name, uid, firstName, lastName, matchedName, matchedBy: 'case number', caseNumber,
+ *   matterUid, confidence, candidates, additionalClients } or null when no known case number names a client
+ */
+function resolveClientFromCaseNumbers(texts, caseIndex, clientIndex) {
+  if (!caseIndex) {
+    return null;
+  }
+
+  const hits = [];
+  texts.forEach(text => {
+    findCaseNumbers(text).forEach(hit => {
+      const known = (caseIndex.byCaseNumber[hit.caseNumber] || [])
+        .find(row => !row.jurisdiction || row.jurisdiction.toLowerCase() === hit.jurisdiction.toLowerCase());
+
+      if (!known) {
+        console.log(`  ⚖️ Case number ${hit.raw} (${hit.caseNumber}) is not in the case table`);
+      } else if (known.clientUid) {
+        hits.push({ hit: hit, row: known });
+      }
+    });
+  });
+
+  if (hits.length === 0) {
+    return null;
+  }
+
+  const best = hits[0];
+  const client = findClientByUid(clientIndex, best.row.clientUid);
+
+  // The clients of other known case numbers are billed too (see clientAllocation.js)
+  const others = hits
+    .filter(other => String(other.row.clientUid) !== String(best.row.clientUid))
+    .filter((other, index, all) => all.findIndex(candidate => String(candidate.row.clientUid) === String(other.row.clientUid)) === index)
+    .map(other => {
+      const otherClient = findClientByUid(clientIndex, other.row.clientUid);
+      return {
+        uid: otherClient ? otherClient.uid : other.row.clientUid,
+        firstName: otherClient ? otherClient.firstName : '',
+        lastName: otherClient ? otherClient.lastName : '',
+        matchedName: other.hit.raw,
+        caseNumber: other.hit.caseNumber,
+        matterUid: other.row.matterUid || null,
+        confidence: CASE_NUMBER_MATCH_CONFIDENCE
+      };
+    });
+
+  console.log(`  ⚖️ CASE NUMBER: ${best.hit.raw} (${best.hit.caseNumber}) → UID: ${best.row.clientUid}, matter ${best.row.matterUid || 'none'}`);
+
+  return {
+    name: client ? client.lastName.toLowerCase() : '',
+    uid: client ? client.uid : best.row.clientUid,
+    firstName: client ? client.firstName : '',
+    lastName: client ? client.lastName : '',
+    matchedName: best.hit.raw,
+    matchedBy: 'case number',
+    caseNumber: best.hit.caseNumber,
+    matterUid: best.row.matterUid || null,
+    confidence: CASE_NUMBER_MATCH_CONFIDENCE,
+    candidates: others.map(other => ({ uid: other.uid, firstName: other.firstName, lastName: other.lastName })),
+    additionalClients: others
+  };
+}
+
+/**
+ * Builds the canonical form of a recognized case number
+ * @param {Object} groups - Named groups { year, code, number } of a format
+ * @returns {string} e.g. "2023CH001234"
+ */
+function _canonicalCaseNumber(groups) {
+  const year = groups.year.length === 2 ? `20${groups.year}` : groups.year;
+  return `${year}${groups.code.toUpperCase()}${groups.number.padStart(6, '0')}`;
+}
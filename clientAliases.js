@@ -0,0 +1,62 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🏷️ Client Aliases - trusts, businesses, nicknames and maiden names
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Many matters are calendared under a name that is not the client's last name
+// ("Tumpa Trust No. 1", "Acme LLC", a maiden name). The Aliases tab, next to
+// UID_Map in the client match spreadsheet, maps such names to a client:
+//   Alias | UID_Client_PK | First Name | Last Name
+// First and Last Name are optional and, when given, are the names used in the
+// billing summary instead of the UID_Map names. Admins maintain the tab by
+// hand; the FileMaker client sync only rewrites UID_Map and never touches it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CLIENT_ALIAS_HEADERS = ['Alias', 'UID_Client_PK', 'First Name', 'Last Name'];
+
+/**
+ * Loads the alias rows from the Aliases tab (created with headers when missing)
+ * @returns {Array} [Alias, UID_Client_PK, First Name, Last Name] rows without the header
+ */
+function loadClientAliasRows() {
+  try {
+    const rows = _openClientMatchTab('Aliases', CLIENT_ALIAS_HEADERS).getDataRange().getValues()
+      .slice(1)
+      .filter(([alias, uid]) => alias && uid);
+
+    Logger.log(`🏷️ Loaded ${rows.length} client aliases`);
+    return rows;
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load client aliases: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Adds an alias for a client (run from the editor, or add the row by hand)
+ * @param {string} alias - Name used in calendar events, e.g. "Tumpa Trust No. 1"
+ * @param {string|number} uid - Client UID (UID_Client_PK)
+ * @param {string} firstName - Optional first name for summaries
+ * @param {string} lastName - Optional last name for summaries
+ * @returns {boolean} true when the alias was added
+ */
+function addClientAlias(alias, uid, firstName = '', lastName = '') {
+  if (!alias || !uid) {
+    Logger.log('⚠️ An alias needs both a name and a client UID');
+    return false;
+  }
+
+  const sheet = _openClientMatchTab('Aliases', CLIENT_ALIAS_HEADERS);
+  const wanted = tokenizeNameText(alias).map(t => t.token).join(' ');
+  const existing = sheet.getDataRange().getValues().slice(1).find(([rowAlias, rowUid]) =>
+    String(rowUid) === String(uid) && tokenizeNameText(rowAlias).map(t => t.token).join(' ') === wanted);
+
+  if (existing) {
+    Logger.log(`ℹ️ Alias "${alias}" already points to ${uid}`);
+    return false;
+  }
+
+  sheet.appendRow([alias, uid, firstName, lastName]);
+  Logger.log(`🏷️ Added alias "${alias}" → ${uid}`);
+  return true;
+}
@@ -0,0 +1,125 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 👥 Client Allocation - events naming several clients
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// "Conference call Smith and Jones re: partition" names two clients. The
+// matcher returns the first as the match and every other client it found
+// without doubt in additionalClients (see resolveClientFromText). The
+// multiClientPolicy setting decides how such an event is billed:
+//   SPLIT  - one record per client, the time shared equally in 0.2-hour
+//            blocks; with fewer blocks than clients, the first clients get
+//            one block each and the others are not billed
+//   FULL   - one record per client, each with the full time
+//   REVIEW - the event waits in the ClientReview tab; the reviewer enters one
+//            UID, or several separated by commas to share the time between them
+// The records of one event instance are tied together: each is kept in the
+// PostedEvents ledger under the instance's key plus the client UID (see
+// buildClientShareLedgerRef), and the instance's key is sent to FileMaker in
+// the eventRefFieldName field.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MULTI_CLIENT_POLICIES = ['SPLIT', 'FULL', 'REVIEW'];
+
+/**
+ * Reads the multiClientPolicy setting
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {string} SPLIT | FULL | REVIEW (REVIEW for an unknown value)
+ */
+function getMultiClientPolicy(settings) {
+  const policy = (settings.multiClientPolicy || '').toString().toUpperCase().trim();
+  if (!MULTI_CLIENT_POLICIES.includes(policy)) {
+    Logger.log(`⚠️ Unknown multiClientPolicy "${settings.multiClientPolicy}" - treating as REVIEW`);
+    return 'REVIEW';
+  }
+  return policy;
+}
+
+/**
+ * Whether a client match names more than one client
+ * @param {Object} match - Client match or null
+ * @returns {boolean}
+ */
+function isMultiClientMatch(match) {
+  return Boolean(match && match.additionalClients && match.additionalClients.length > 0);
+}
+
+/**
+ * Lists the clients an event is billed to, the matched client first
+ * @param {Object} match - Client match or null
+ * @returns {Array} client matches ([null] for an event without a client)
+ */
+function getBilledClients(match) {
+  if (!isMultiClientMatch(match)) {
+    return [match];
+  }
+
+  return [match].concat(match.additionalClients.map(client => ({
+    name: (client.lastName || '').toString().toLowerCase(),
+    uid: client.uid,
+    firstName: client.firstName,
+    lastName: client.lastName,
+    matchedName: client.matchedName || null,
+    matterUid: client.matterUid || null,
+    caseNumber: client.caseNumber || null,
+    confidence: client.confidence,
+    candidates: [],
+    matchSource: match.matchSource
+  })));
+}
+
+/**
+ * Splits the records of one event instance between its billed clients
+ * @param {Object} ledgerRef - Ledger ref of the instance (see buildLedgerRef)
+ * @param {number} hours - Hours of the instance
+ * @param {Array} billedClients - Clients from getBilledClients()
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {Array} [{ ledgerRef, client, hours, eventRef }] one per client; eventRef is the
+ *   instance's ledger key for records of a shared event, null otherwise
+ */
+function buildClientShares(ledgerRef, hours, billedClients, settings) {
+  if (billedClients.length < 2) {
+    return [{ ledgerRef: ledgerRef, client: billedClients[0] || null, hours: hours, eventRef: null }];
+  }
+
+  const policy = getMultiClientPolicy(settings);
+  const shares = policy === 'FULL'
+    ? billedClients.map(() => hours)
+    : splitBillableHours(hours, billedClients.length);
+
+  // A client left without a block gets no record
+  return billedClients
+    .map((client, position) => ({
+      ledgerRef: buildClientShareLedgerRef(ledgerRef, client.uid),
+      client: client,
+      hours: shares[position],
+      eventRef: ledgerRef.key
+    }))
+    .filter(share => share.hours > 0);
+}
+
+/**
+ * Shares hours equally in whole 0.2-hour blocks, like every billed duration.
+ * Leftover blocks go to the first clients, so the shares never add up to more
+ * than the hours: with fewer blocks than clients the last clients get 0.
+ * @param {number} hours - Hours to share (at least one block is billed)
+ * @param {number} count - Number of clients
+ * @returns {Array<number>} hours per client
+ */
+function splitBillableHours(hours, count) {
+  const blocks = Math.max(1, Math.round(Number(hours) * 5));
+  const base = Math.floor(blocks / count);
+  const leftover = blocks - base * count;
+
+  return Array.from({ length: count }, (_, position) => (base + (position < leftover ? 1 : 0)) / 5);
+}
+
+/**
+ * Describes how a multi-client event is billed, for the logs
+ * @param {Array} shares - Shares from buildClientShares()
+ * @returns {string} e.g. "Smith (U1) 0.6h, Jones (U2) 0.4h"
+ */
+function describeClientShares(shares) {
+  return shares
+    .map(share => `${share.client ? `${share.client.lastName || share.client.name} (${share.client.uid})` : 'no client'} ${share.hours}h`)
+    .join(', ');
+}
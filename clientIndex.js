@@ -0,0 +1,411 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 👥 Client Index - every client, including those sharing a last name
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// loadClientMappingFromSheet() keys clients by last name only, so the second
+// "Smith" overwrites the first. The index keeps every UID_Map row and groups
+// the clients by last name. Between clients with the same last name the
+// matcher picks by the full name ("John Smith" or "Smith, John"), then by a
+// first name, then by an initial ("J. Smith") in the text. When nothing tells
+// them apart the match is reported as ambiguous instead of guessing a UID.
+// Aliases from the Aliases tab (trusts, businesses, maiden names) are indexed
+// next to the last names and rank just below a full-name match. Last names and
+// aliases share one token trie built with the index, so a text is searched in
+// a single pass however many clients there are.
+//
+// Every match carries a confidence (0-1) from how the client was picked,
+// lowered when a name in the same text is shared by other clients, and lists
+// every other client named as a candidate. Other clients named without doubt
+// are returned in additionalClients, to be billed per the multiClientPolicy
+// setting (see clientAllocation.js). Ambiguous results have confidence 0.
+//
+// Names and text are compared as normalized word tokens, so "Lee" does not
+// match inside "meeting" and "O'Malley", "OMalley" and "O’Malley" are the
+// same name. Normalization drops accents and apostrophes, splits hyphenated
+// names into tokens and reads "Mac"/"Mc" prefixes alike ("Mac Donald",
+// "MacDonald" and "McDonald" all become "mcdonald").
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * How a client was picked, strongest first
+ */
+const CLIENT_MATCH_STRENGTH = ['full name', 'alias', 'first name', 'initial', 'last name'];
+
+/**
+ * Confidence of a match by how the client was picked
+ */
+const CLIENT_MATCH_CONFIDENCE = {
+  'full name': 0.95,
+  'alias': 0.9,
+  'first name': 0.85,
+  'initial': 0.75,
+  'last name': 0.7
+};
+
+/**
+ * Confidence factor when other clients are named in the same text
+ */
+const COMPETING_CLIENT_CONFIDENCE_FACTOR = 0.75;
+
+/**
+ * Words of a name or title: letters and digits, with apostrophes inside a word kept together
+ */
+const NAME_TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’‘`][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Loads every client from the UID_Map sheet, and the Aliases tab, into a client index
+ * @returns {Object} index from buildClientIndex()
+ */
+function loadClientIndexFromSheet() {
+  try {
+    const rows = _openClientUidMapSheet().getDataRange().getValues();
+    const headerIndex = rows.findIndex(row => row[0] === 'First Name' && row[1] === 'Last Name');
+    const clientIndex = buildClientIndex(rows.slice(headerIndex === -1 ? 1 : headerIndex + 1), loadClientAliasRows());
+
+    Logger.log(`✅ Indexed ${clientIndex.clients.length} clients under ${Object.keys(clientIndex.byLastName).length} last names and ${Object.keys(clientIndex.byAlias).length} aliases`);
+    if (clientIndex.sharedLastNames.length > 0) {
+      Logger.log(`👥 ${clientIndex.sharedLastNames.length} last names are shared by several clients: ${clientIndex.sharedLastNames.join(', ')}`);
+    }
+
+    return clientIndex;
+
+  } catch (error) {
+    Logger.log('❌ Failed to load client index from sheet: ' + error.message);
+    return buildClientIndex([]);
+  }
+}
+
+/**
+ * Builds a client index from UID_Map data rows and alias rows
+ * @param {Array} rows - [First Name, Last Name, UID_Client_PK, ...] rows without the header
+ * @param {Array} aliasRows - Optional [Alias, UID_Client_PK, First Name, Last Name] rows (see loadClientAliasRows)
+ * @returns {Object} { clients: [{ uid, firstName, lastName, firstTokens, lastTokens }],
+ *   byLastName: { normalizedLastName: [client] }, byAlias: { normalizedAlias: [client] }, sharedLastNames,
+ *   nameTrie } - nameTrie (see tokenTrie.js) holds every last name and alias for resolveClientFromText()
+ */
+function buildClientIndex(rows, aliasRows = []) {
+  const clients = [];
+  const byLastName = {};
+
+  rows.forEach(([firstName, lastName, uid]) => {
+    if (!lastName || !uid) return;
+
+    const client = {
+      uid: uid,
+      firstName: (firstName || '').toString().trim(),
+      lastName: lastName.toString().trim()
+    };
+    client.firstTokens = tokenizeNameText(client.firstName).map(t => t.token);
+    client.lastTokens = tokenizeNameText(client.lastName).map(t => t.token);
+    if (client.lastTokens.length === 0) return;
+
+    const key = client.lastTokens.join(' ');
+    clients.push(client);
+    byLastName[key] = byLastName[key] || [];
+    byLastName[key].push(client);
+  });
+
+  const byAlias = {};
+  aliasRows.forEach(([alias, uid, firstName, lastName]) => {
+    const aliasTokens = tokenizeNameText(alias).map(t => t.token);
+    if (aliasTokens.length === 0 || !uid) return;
+
+    const known = clients.find(client => String(client.uid) === String(uid));
+    if (!known) {
+      Logger.log(`⚠️ Alias "${alias}" points to ${uid}, which is not in UID_Map`);
+    }
+
+    const client = {
+      uid: known ? known.uid : uid,
+      firstName: firstName ? firstName.toString().trim() : (known ? known.firstName : ''),
+      lastName: lastName ? lastName.toString().trim() : (known ? known.lastName : alias.toString().trim()),
+      alias: alias.toString().trim()
+    };
+    client.firstTokens = tokenizeNameText(client.firstName).map(t => t.token);
+    client.lastTokens = tokenizeNameText(client.lastName).map(t => t.token);
+
+    const key = aliasTokens.join(' ');
+    byAlias[key] = byAlias[key] || [];
+    byAlias[key].push(client);
+  });
+
+  // Every last name and alias is found in a text with one pass over its tokens
+  const nameTrie = buildTokenTrie(
+    Object.keys(byLastName).map(key => [key.split(' '), { kind: 'last name', key: key }])
+      .concat(Object.keys(byAlias).map(key => [key.split(' '), { kind: 'alias', key: key }])));
+
+  const sharedLastNames = Object.keys(byLastName).filter(key => byLastName[key].length > 1);
+  return { clients: clients, byLastName: byLastName, byAlias: byAlias, sharedLastNames: sharedLastNames, nameTrie: nameTrie };
+}
+
+/**
+ * Finds a client by UID
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @param {string|number} uid - Client UID
+ * @returns {Object|null} client { uid, firstName, lastName }
+ */
+function findClientByUid(clientIndex, uid) {
+  const wanted = String(uid);
+  return clientIndex.clients.find(client => String(client.uid) === wanted) || null;
+}
+
+/**
+ * Resolves the client named in a piece of text (event title, location or notes).
+ * Names only match whole tokens. The strongest hit wins (full name over first
+ * name over initial over last name), then the one covering the most tokens; a
+ * name inside a longer matched name ("Lopez" in "Garcia Lopez") is ignored.
+ * A last name shared by several clients that nothing in the text tells apart
+ * makes the result ambiguous unless another client is named more specifically.
+ *
+ * @param {string} text - Text to search
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {Object|null} { name, uid, firstName, lastName, matchedName, matchedBy, confidence, candidates, additionalClients } for a client,
+ *   { ambiguous: true, uid: null, name, matchedName, confidence: 0, candidates } for an unresolved collision, or null
+ */
+function resolveClientFromText(text, clientIndex) {
+  const source = (text || '').toString();
+  const tokens = tokenizeNameText(source);
+  if (tokens.length === 0) return null;
+
+  const tokenValues = tokens.map(t => t.token);
+  const hits = [];
+
+  findTokenTrieMatches(clientIndex.nameTrie, tokenValues).forEach(({ position, length, values }) => {
+    const nameTokens = tokenValues.slice(position, position + length);
+    values.forEach(name => {
+      hits.push(name.kind === 'alias'
+        ? _pickClientForAlias(source, tokens, position, nameTokens, clientIndex.byAlias[name.key])
+        : _pickClientForLastName(source, tokens, position, nameTokens, clientIndex.byLastName[name.key]));
+    });
+  });
+
+  // Drop hits lying inside a longer hit ("lopez" within "garcia lopez")
+  const outerHits = hits.filter(hit => !hits.some(other =>
+    other !== hit && other.span[0] <= hit.span[0] && other.span[1] >= hit.span[1] &&
+    other.span[1] - other.span[0] > hit.span[1] - hit.span[0]));
+
+  const collision = outerHits.find(hit => hit.ambiguous) || null;
+  const best = outerHits
+    .filter(hit => !hit.ambiguous)
+    .sort((a, b) => (CLIENT_MATCH_STRENGTH.indexOf(a.matchedBy) - CLIENT_MATCH_STRENGTH.indexOf(b.matchedBy)) ||
+                    ((b.span[1] - b.span[0]) - (a.span[1] - a.span[0])) ||
+                    (a.span[0] - b.span[0]))[0] || null;
+
+  // A client named only by an unshared last name does not settle a collision on another name
+  if (collision && (!best || best.matchedBy === 'last name')) {
+    console.log(`  👥 AMBIGUOUS: "${collision.matchedName}" matches ${describeClientCandidates(collision.candidates)}`);
+    return { ..._withoutSpan(collision), confidence: 0 };
+  }
+
+  if (!best) return null;
+
+  // Every other client named in the text competes with the one picked
+  const competing = [];
+  outerHits.forEach(hit => {
+    (hit.ambiguous ? hit.candidates : [hit]).forEach(client => {
+      if (String(client.uid) !== String(best.uid) && !competing.some(other => String(other.uid) === String(client.uid))) {
+        competing.push({ uid: client.uid, firstName: client.firstName, lastName: client.lastName });
+      }
+    });
+  });
+
+  // Other clients named without doubt are billed too (see clientAllocation.js); only the
+  // clients of a name shared by several lower the confidence
+  const additional = [];
+  outerHits.forEach(hit => {
+    if (!hit.ambiguous && String(hit.uid) !== String(best.uid) && !additional.some(other => String(other.uid) === String(hit.uid))) {
+      additional.push({ uid: hit.uid, firstName: hit.firstName, lastName: hit.lastName, matchedName: hit.matchedName,
+                        matchedBy: hit.matchedBy, confidence: CLIENT_MATCH_CONFIDENCE[hit.matchedBy] });
+    }
+  });
+  const uncertain = competing.filter(client => !additional.some(other => String(other.uid) === String(client.uid)));
+
+  const confidence = CLIENT_MATCH_CONFIDENCE[best.matchedBy] * (uncertain.length > 0 ? COMPETING_CLIENT_CONFIDENCE_FACTOR : 1);
+  const match = { ..._withoutSpan(best), confidence: Math.round(confidence * 100) / 100, candidates: competing, additionalClients: additional };
+
+  console.log(`  ✅ MATCHED: Found "${match.matchedName}" in text (${match.matchedBy}, confidence ${match.confidence}) → UID: ${match.uid}`);
+  if (additional.length > 0) {
+    console.log(`     Also named: ${describeClientCandidates(additional)}`);
+  }
+  if (uncertain.length > 0) {
+    console.log(`     Competing clients: ${describeClientCandidates(uncertain)}`);
+  }
+  return match;
+}
+
+/**
+ * Lists collision candidates for logs and review notes
+ * @param {Array} candidates - Clients from an ambiguous match
+ * @returns {string} e.g. "John Smith (123), Mary Smith (456)"
+ */
+function describeClientCandidates(candidates) {
+  return candidates
+    .map(client => `${client.firstName} ${client.lastName} (${client.uid})`.trim())
+    .join(', ');
+}
+
+/**
+ * Splits text into normalized name tokens
+ * @param {string} text - Name or event text
+ * @returns {Array} [{ token, start, end }] with start/end offsets into the original text
+ */
+function tokenizeNameText(text) {
+  const source = (text || '').toString();
+  const tokens = [];
+
+  for (const match of source.matchAll(NAME_TOKEN_PATTERN)) {
+    const token = normalizeNameToken(match[0]);
+    const previous = tokens[tokens.length - 1];
+
+    // "Mc Donald" / "Mac Donald" are written as one name
+    if (previous && (previous.token === 'mc' || previous.token === 'mac') &&
+        /^\s+$/.test(source.substring(previous.end, match.index))) {
+      previous.token = normalizeNameToken(`mc${token}`);
+      previous.end = match.index + match[0].length;
+      continue;
+    }
+
+    tokens.push({ token: token, start: match.index, end: match.index + match[0].length });
+  }
+
+  return tokens;
+}
+
+/**
+ * Normalizes one word for name comparison: lower case, no accents or apostrophes, Mac → Mc
+ * @param {string} word - Word from a name or title
+ * @returns {string} normalized token (e.g. "O'Malley" → "omalley", "MacDonald" → "mcdonald")
+ */
+function normalizeNameToken(word) {
+  const token = word.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’‘`]/g, '')
+    .toLowerCase();
+
+  return /^mac[a-z]{3,}/.test(token) ? `mc${token.substring(3)}` : token;
+}
+
+/**
+ * Finds every position where a token sequence appears in a token list
+ * @param {Array<string>} tokens - Normalized tokens of the text
+ * @param {Array<string>} sequence - Normalized tokens of a name
+ * @returns {Array<number>} start positions
+ */
+function findTokenSequence(tokens, sequence) {
+  const positions = [];
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((token, offset) => tokens[i + offset] === token)) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Picks between the clients sharing a last name found in the text
+ * @param {string} source - Original text
+ * @param {Array} tokens - Tokens from tokenizeNameText(source)
+ * @param {number} position - Token position where the last name starts
+ * @param {Array<string>} lastTokens - Normalized last name tokens
+ * @param {Array} clients - Clients with that last name
+ * @returns {Object} client match, or an ambiguous result, with the token span it covers
+ */
+function _pickClientForLastName(source, tokens, position, lastTokens, clients) {
+  const lastEnd = position + lastTokens.length;
+  const tokenValues = tokens.map(t => t.token);
+  const textOf = span => source.substring(tokens[span[0]].start, tokens[span[1] - 1].end);
+  const toMatch = (client, matchedBy, span) => ({
+    name: lastTokens.join(' '),
+    uid: client.uid,
+    firstName: client.firstName,
+    lastName: client.lastName,
+    matchedName: textOf(span),
+    matchedBy: matchedBy,
+    span: span
+  });
+
+  // "John Smith" before, or "Smith, John" after, the last name
+  const fullNameSpans = clients.map(client => {
+    const first = client.firstTokens;
+    if (first.length === 0) return null;
+    if (position >= first.length && first.every((token, i) => tokenValues[position - first.length + i] === token)) {
+      return [position - first.length, lastEnd];
+    }
+    if (first.every((token, i) => tokenValues[lastEnd + i] === token)) {
+      return [position, lastEnd + first.length];
+    }
+    return null;
+  });
+  const byFullName = clients.filter((client, i) => fullNameSpans[i]);
+  if (byFullName.length === 1) {
+    return toMatch(byFullName[0], 'full name', fullNameSpans[clients.indexOf(byFullName[0])]);
+  }
+
+  const lastSpan = [position, lastEnd];
+  if (clients.length === 1) {
+    return toMatch(clients[0], 'last name', lastSpan);
+  }
+
+  const byFirstName = clients.filter(client =>
+    client.firstTokens.length > 0 && client.firstTokens[0].length > 1 && tokenValues.includes(client.firstTokens[0]));
+  if (byFirstName.length === 1) {
+    return toMatch(byFirstName[0], 'first name', lastSpan);
+  }
+
+  const initial = position > 0 && tokenValues[position - 1].length === 1 ? tokenValues[position - 1] : null;
+  const byInitial = initial
+    ? clients.filter(client => client.firstTokens.length > 0 && client.firstTokens[0].startsWith(initial))
+    : [];
+  if (byInitial.length === 1) {
+    return toMatch(byInitial[0], 'initial', [position - 1, lastEnd]);
+  }
+
+  return {
+    ambiguous: true,
+    uid: null,
+    name: lastTokens.join(' '),
+    matchedName: textOf(lastSpan),
+    candidates: byFullName.length > 1 ? byFullName : clients,
+    span: lastSpan
+  };
+}
+
+/**
+ * Resolves an alias found in the text
+ * @param {string} source - Original text
+ * @param {Array} tokens - Tokens from tokenizeNameText(source)
+ * @param {number} position - Token position where the alias starts
+ * @param {Array<string>} aliasTokens - Normalized alias tokens
+ * @param {Array} clients - Clients with that alias
+ * @returns {Object} client match, or an ambiguous result when the alias names several clients
+ */
+function _pickClientForAlias(source, tokens, position, aliasTokens, clients) {
+  const span = [position, position + aliasTokens.length];
+  const matchedName = source.substring(tokens[span[0]].start, tokens[span[1] - 1].end);
+  const uids = clients.map(client => String(client.uid)).filter((uid, i, all) => all.indexOf(uid) === i);
+
+  if (uids.length > 1) {
+    return { ambiguous: true, uid: null, name: aliasTokens.join(' '), matchedName: matchedName, candidates: clients, span: span };
+  }
+
+  const client = clients[0];
+  return {
+    name: client.lastTokens.join(' '),
+    uid: client.uid,
+    firstName: client.firstName,
+    lastName: client.lastName,
+    matchedName: matchedName,
+    matchedBy: 'alias',
+    span: span
+  };
+}
+
+/**
+ * Removes the internal token span from a match before it is returned
+ * @param {Object} hit - Match with span
+ * @returns {Object} match without span
+ */
+function _withoutSpan(hit) {
+  const { span, ...match } = hit;
+  return match;
+}
@@ -132,10 +132,21 @@ function loadClientMappingFromSheetSmart() {
       const [firstName, lastName, uid] = rows[i];
       if (lastName && uid) {
         const key = lastName.toLowerCase().trim();
+        if (clientMap[key] && clientMap[key] !== uid) {
+          Logger.log(`⚠️ Last name "${key}" is shared by several clients - ${clientMap[key]} replaced by ${uid} (use loadClientIndexFromSheet to keep both)`);
+        }
         clientMap[key] = uid;
       }
     }
 
+    // Aliases (trusts, businesses, maiden names) match like last names
+    loadClientAliasRows().forEach(([alias, uid]) => {
+      const key = alias.toString().toLowerCase().trim();
+      if (!clientMap[key]) {
+        clientMap[key] = uid;
+      }
+    });
+
     Logger.log(`✅ Smart-loaded ${Object.keys(clientMap).length} clients from sheet.`);
     
     // Log detailed client list for debugging
@@ -156,16 +167,20 @@ function loadClientMappingFromSheetSmart() {
   }
 }
 function matchClientFromTitle(title, clientMap) {
-  const lowerTitle = title.toLowerCase();
+  const titleTokens = tokenizeNameText(title).map(t => t.token);
+  const nameIndex = getClientMapNameIndex(clientMap);
   
   // Log the matching attempt
   console.log(`🔍 Attempting to match: "${title}"`);
   
-  for (const name in clientMap) {
-    if (lowerTitle.includes(name)) {
-      console.log(`  ✅ MATCHED: Found "${name}" in title → UID: ${clientMap[name]}`);
-      return { name, uid: clientMap[name] };
-    }
+  // Whole normalized tokens only ("lee" is not in "meeting", "o'malley" is "omalley"); the longest name wins
+  const best = findTokenTrieMatches(nameIndex.trie, titleTokens)
+    .sort((a, b) => b.length - a.length || a.position - b.position)[0];
+  
+  if (best) {
+    const name = best.values[0];
+    console.log(`  ✅ MATCHED: Found "${name}" in title → UID: ${clientMap[name]}`);
+    return { name: name, uid: clientMap[name] };
   }
   
   // Log why no match was found (informational, not an error)
@@ -174,19 +189,231 @@ function matchClientFromTitle(title, clientMap) {
   
   // Optionally show potential partial matches (for debugging)
   const potentialMatches = [];
-  for (const name in clientMap) {
-    // Check if any part of the name is in the title (partial match)
-    const nameParts = name.split(' ');
-    for (const part of nameParts) {
-      if (part.length > 2 && lowerTitle.includes(part)) {
-        potentialMatches.push(`${name} (partial: ${part})`);
-      }
-    }
-  }
+  titleTokens.forEach(token => {
+    (nameIndex.byToken.get(token) || []).forEach(name => {
+      potentialMatches.push(`${name} (partial: ${token})`);
+    });
+  });
   
   if (potentialMatches.length > 0) {
     console.log(`     Potential partial matches: ${potentialMatches.join(', ')}`);
   }
   
   return null;
-}
\ No newline at end of file
+}
+
+/**
+ * Name indexes of client maps, built on first use and reused for every event of the run
+ */
+const CLIENT_MAP_NAME_INDEXES = new WeakMap();
+
+/**
+ * Indexes the names of a client map for matchClientFromTitle(). The index is
+ * built once per map object; client maps are not changed after loading.
+ * @param {Object} clientMap - Map of client name → UID
+ * @returns {Object} { trie, byToken } - trie of every name (see tokenTrie.js), and each
+ *   name token longer than two letters → names containing it (for partial-match hints)
+ */
+function getClientMapNameIndex(clientMap) {
+  let nameIndex = CLIENT_MAP_NAME_INDEXES.get(clientMap);
+  if (nameIndex) {
+    return nameIndex;
+  }
+
+  nameIndex = { trie: buildTokenTrie(), byToken: new Map() };
+  Object.keys(clientMap).forEach(name => {
+    const nameTokens = tokenizeNameText(name).map(t => t.token);
+    addToTokenTrie(nameIndex.trie, nameTokens, name);
+    nameTokens.filter(token => token.length > 2).forEach(token => {
+      if (!nameIndex.byToken.has(token)) {
+        nameIndex.byToken.set(token, []);
+      }
+      nameIndex.byToken.get(token).push(name);
+    });
+  });
+
+  CLIENT_MAP_NAME_INDEXES.set(clientMap, nameIndex);
+  return nameIndex;
+}
+
+/**
+ * Loads client email addresses from the Email column of the UID_Map sheet.
+ * A cell may hold several addresses separated by commas, semicolons or spaces.
+ * @returns {Object} map keyed by lowercase email → { uid, firstName, lastName }
+ */
+function loadClientEmailMapFromSheet() {
+  try {
+    const rows = _openClientUidMapSheet().getDataRange().getValues();
+    const headerIndex = rows.findIndex(row => row[0] === 'First Name' && row[1] === 'Last Name');
+    const emailColumn = headerIndex === -1 ? -1 : rows[headerIndex].indexOf('Email');
+
+    const emailMap = {};
+    if (emailColumn === -1) {
+      Logger.log('⚠️ UID_Map has no Email column yet - run the client sync to add it');
+      return emailMap;
+    }
+
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+      const [firstName, lastName, uid] = rows[i];
+      const emails = (rows[i][emailColumn] || '').toString().toLowerCase().split(/[,;\s]+/);
+      if (!lastName || !uid) continue;
+
+      emails.filter(email => email.includes('@')).forEach(email => {
+        emailMap[email] = { uid: uid, firstName: firstName, lastName: lastName };
+      });
+    }
+
+    Logger.log(`✅ Loaded ${Object.keys(emailMap).length} client email addresses from sheet.`);
+    return emailMap;
+
+  } catch (error) {
+    Logger.log('❌ Failed to load client emails from sheet: ' + error.message);
+    return {};
+  }
+}
+
+/**
+ * Opens the spreadsheet named by the clientMatch secret (UID_Map and Aliases tabs)
+ * @returns {Spreadsheet} client match spreadsheet
+ */
+function _openClientMatchSpreadsheet() {
+  const secretUrl = 'https://secretmanager.googleapis.com/v1/projects/bransfield-gmail-integration/secrets/sheets-ids/versions/latest:access';
+  const secretResponse = UrlFetchApp.fetch(secretUrl, {
+    method: 'GET',
+    headers: {
+      'Authorization': 'Bearer ' + ScriptApp.getOAuthToken(),
+      'Content-Type': 'application/json'
+    }
+  });
+  const rawData = JSON.parse(secretResponse.getContentText());
+  const secrets = JSON.parse(Utilities.newBlob(Utilities.base64Decode(rawData.payload.data)).getDataAsString());
+
+  return SpreadsheetApp.openById(secrets['clientMatch']);
+}
+
+/**
+ * Opens a tab of the client match spreadsheet, creating it with headers when missing
+ * @param {string} tabName - Tab name, e.g. 'Aliases'
+ * @param {Array<string>} headers - Header row for a new tab
+ * @returns {Sheet} sheet
+ */
+function _openClientMatchTab(tabName, headers) {
+  const spreadsheet = _openClientMatchSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(tabName);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(tabName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.setFrozenRows(1);
+    Logger.log(`📋 Created ${tabName} tab in the client match spreadsheet`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Opens the UID_Map sheet named by the clientMatch secret
+ * @returns {Sheet} UID_Map sheet
+ */
+function _openClientUidMapSheet() {
+  const sheet = _openClientMatchSpreadsheet().getSheetByName('UID_Map');
+  if (!sheet) {
+    throw new Error('UID_Map sheet not found');
+  }
+  return sheet;
+}
+
+/**
+ * Confidence factor by where in the event a client name was found
+ */
+const CLIENT_MATCH_SOURCE_CONFIDENCE = { title: 1, location: 0.9, notes: 0.8 };
+
+/**
+ * Matches a client for a calendar event: guest email addresses first, then a
+ * known court case number, then learned title patterns, then names in the
+ * title, then the location and notes.
+ * A last name shared by several clients that the text cannot tell apart gives an
+ * ambiguous match ({ ambiguous: true, uid: null, candidates }) for the caller to report.
+ * Every match carries a confidence (0-1) and the competing candidates; other
+ * clients named without doubt are listed in additionalClients (see clientAllocation.js).
+ *
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @param {Object} clientEmailMap - keyed by lowercase email (see loadClientEmailMapFromSheet)
+ * @param {Object} context - Optional { location, notes } from getEventMatchContext(), or
+ *   { title, location, notes } from getEventDirectives() to match on the cleaned title
+ * @param {Object} learnedMatches - Optional store from loadLearnedMatches()
+ * @param {Object} caseIndex - Optional index from loadCaseIndexFromSheet()
+ * @returns {Object|null} { name, uid, confidence, candidates, additionalClients, matchSource: 'email'|'case'|'learned'|'title'|'location'|'notes', ... } or null
+ */
+function matchClientForEvent(event, clientIndex, clientEmailMap, context = null, learnedMatches = null, caseIndex = null) {
+  const guestEmails = (event.getGuestList() || []).map(guest => guest.getEmail().toLowerCase());
+  const emailMatches = guestEmails.filter(email => clientEmailMap[email]);
+
+  if (emailMatches.length > 0) {
+    const email = emailMatches[0];
+    const client = clientEmailMap[email];
+    console.log(`  ✅ MATCHED BY EMAIL: Guest ${email} → UID: ${client.uid}`);
+    if (emailMatches.length > 1) {
+      console.log(`     Other client guests: ${emailMatches.slice(1).join(', ')}`);
+    }
+
+    // Every other client invited is billed too (see clientAllocation.js)
+    const others = emailMatches.slice(1)
+      .map(other => clientEmailMap[other])
+      .filter((other, index, all) => String(other.uid) !== String(client.uid) &&
+        all.findIndex(candidate => String(candidate.uid) === String(other.uid)) === index);
+
+    return {
+      name: client.lastName.toString().toLowerCase().trim(),
+      uid: client.uid,
+      firstName: client.firstName,
+      lastName: client.lastName,
+      matchedEmail: email,
+      confidence: 1,
+      candidates: others.map(other => ({ uid: other.uid, firstName: other.firstName, lastName: other.lastName })),
+      additionalClients: others.map(other => ({ uid: other.uid, firstName: other.firstName, lastName: other.lastName, confidence: 1 })),
+      matchSource: 'email'
+    };
+  }
+
+  const sourceConfidence = (confidence, source) => Math.round(confidence * CLIENT_MATCH_SOURCE_CONFIDENCE[source] * 100) / 100;
+  const withSource = (match, source) => ({
+    ...match,
+    confidence: sourceConfidence(match.confidence, source),
+    additionalClients: (match.additionalClients || []).map(client => ({ ...client, confidence: sourceConfidence(client.confidence, source) })),
+    matchSource: source
+  });
+
+  const title = (context && context.title) || event.getTitle();
+  const caseMatch = resolveClientFromCaseNumbers(context ? [title, context.location, context.notes] : [title], caseIndex, clientIndex);
+  if (caseMatch) {
+    return { ...caseMatch, matchSource: 'case' };
+  }
+
+  const learnedMatch = findLearnedClientMatch(title, learnedMatches, clientIndex);
+  const titleMatch = resolveClientFromText(title, clientIndex);
+
+  // A learned pattern settles ambiguous titles, but never overrides a client the title names without doubt
+  if (learnedMatch) {
+    const namedClient = titleMatch && !titleMatch.ambiguous && titleMatch.candidates.length === 0 ? titleMatch : null;
+    if (namedClient && String(namedClient.uid) !== String(learnedMatch.uid)) {
+      console.log(`  🎓 Learned match "${learnedMatch.matchedPattern}" → ${learnedMatch.uid} ignored: the title names ${namedClient.uid}`);
+      return withSource(namedClient, 'title');
+    }
+    return learnedMatch;
+  }
+
+  if (titleMatch || !context) {
+    return titleMatch ? withSource(titleMatch, 'title') : null;
+  }
+
+  for (const source of ['location', 'notes']) {
+    const textMatch = context[source] ? resolveClientFromText(context[source], clientIndex) : null;
+    if (textMatch) {
+      return withSource(textMatch, source);
+    }
+  }
+
+  return null;
+}
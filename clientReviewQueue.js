@@ -0,0 +1,337 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🚩 Client Review Queue - low-confidence and ambiguous client matches
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every client match carries a confidence (see resolveClientFromText and
+// matchClientForEvent). Matches below the clientMatchThreshold setting, and
+// names shared by several clients, are not posted. They are queued in the
+// ClientReview tab of the CentralClientList sheet instead:
+//   Review Key | User Email | Event Title | Event Date | Hours | Suggested UID |
+//   Confidence | Candidates | Chosen UID | Status | Created At | Resolved At | Details
+// A reviewer fills in Chosen UID (a client UID, several separated by commas to
+// share the time between them, or NONE to post without a client) and the next
+// sync run posts the entry, marks the row POSTED and learns the title for a
+// single chosen client (see learnedMatches.js). Events naming several clients
+// are queued here under the REVIEW multiClientPolicy (see clientAllocation.js).
+// Setting Status to DISMISSED keeps the event out of FileMaker for good.
+// Details holds what is needed to post the entry without the calendar event.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CLIENT_REVIEW_HEADERS = [
+  'Review Key',
+  'User Email',
+  'Event Title',
+  'Event Date',
+  'Hours',
+  'Suggested UID',
+  'Confidence',
+  'Candidates',
+  'Chosen UID',
+  'Status',
+  'Created At',
+  'Resolved At',
+  'Details'
+];
+
+const CLIENT_REVIEW_STATUSES = ['PENDING', 'POSTED', 'DISMISSED'];
+
+/**
+ * Chosen UID that posts the entry without a client
+ */
+const CLIENT_REVIEW_NO_CLIENT = 'NONE';
+
+/**
+ * Loads the client review queue for a user
+ * @param {string} userEmail - Optional user email (defaults to the active user)
+ * @returns {Object} { sheet, userEmail, items } with items keyed by review key →
+ *   { row, key, title, date, hours, suggestedUid, confidence, chosenUid, status, details }
+ */
+function loadClientReviewQueue(userEmail = null) {
+  const email = (userEmail || Session.getActiveUser().getEmail()).toLowerCase();
+  const queue = { sheet: null, userEmail: email, items: {} };
+
+  try {
+    const sheet = getCentralClientListSheet('ClientReview', CLIENT_REVIEW_HEADERS);
+    const rows = sheet.getDataRange().getValues();
+    queue.sheet = sheet;
+
+    for (let i = 1; i < rows.length; i++) {
+      const [key, rowEmail, title, date, hours, suggestedUid, confidence, , chosenUid, status, , , detailsJson] = rows[i];
+      if (!key || (rowEmail || '').toString().toLowerCase().trim() !== email) continue;
+
+      let details = null;
+      try {
+        details = detailsJson ? JSON.parse(detailsJson) : null;
+      } catch (e) {
+        details = null;
+      }
+
+      let reviewStatus = (status || '').toString().toUpperCase().trim() || 'PENDING';
+      if (!CLIENT_REVIEW_STATUSES.includes(reviewStatus)) {
+        Logger.log(`⚠️ Unknown review status "${status}" for "${title}" - treating as PENDING`);
+        reviewStatus = 'PENDING';
+      }
+
+      queue.items[key] = {
+        row: i + 1,
+        key: key,
+        title: (title || '').toString(),
+        date: date,
+        hours: hours,
+        suggestedUid: suggestedUid,
+        confidence: confidence,
+        chosenUid: chosenUid === null || chosenUid === undefined ? '' : chosenUid.toString().trim(),
+        status: reviewStatus,
+        details: details
+      };
+    }
+
+    const pending = Object.values(queue.items).filter(item => item.status === 'PENDING').length;
+    Logger.log(`🚩 Loaded ${Object.keys(queue.items).length} client reviews (${pending} pending)`);
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load client review queue: ${error.message}`);
+  }
+
+  return queue;
+}
+
+/**
+ * Whether a client match is too uncertain to post without review. An event
+ * naming several clients is also held under the REVIEW multiClientPolicy, and
+ * otherwise needs every client it bills above the threshold.
+ * @param {Object} match - Client match or null
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {boolean}
+ */
+function needsClientReview(match, settings) {
+  if (!match) {
+    return false;
+  }
+
+  if (isMultiClientMatch(match) && getMultiClientPolicy(settings) === 'REVIEW') {
+    return true;
+  }
+
+  const threshold = parseFloat(settings.clientMatchThreshold);
+  const lowest = Math.min(...getBilledClients(match).map(client => client.confidence));
+  return Boolean(match.ambiguous) || (!isNaN(threshold) && lowest < threshold);
+}
+
+/**
+ * Finds the review item of an event
+ * @param {Object} queue - Queue from loadClientReviewQueue()
+ * @param {Object} ledgerRef - First ledger ref of the event (see buildLedgerRef)
+ * @returns {Object|null} review item or null when the event was never queued
+ */
+function findClientReview(queue, ledgerRef) {
+  return (queue && queue.items[ledgerRef.key]) || null;
+}
+
+/**
+ * Queues an event whose client match needs review
+ * @param {Object} queue - Queue from loadClientReviewQueue()
+ * @param {Object} match - Low-confidence or ambiguous client match
+ * @param {Object} details - { title, matchedName, context, fallbackCategory, category, matter,
+ *   calendarName, userId, entries: [{ ledgerRef, date, hours }] } - matter is the #matter directive, if any
+ * @returns {Object|null} the new review item, or null when it could not be written
+ */
+function queueClientReview(queue, match, details) {
+  if (!queue || !queue.sheet) {
+    return null;
+  }
+
+  const candidates = (match.ambiguous ? [] : [match]).concat(match.candidates || []);
+  const item = {
+    key: details.entries[0].ledgerRef.key,
+    title: details.title,
+    date: details.entries[0].date,
+    hours: details.entries.reduce((total, entry) => total + entry.hours, 0),
+    suggestedUid: match.ambiguous ? '' : match.uid,
+    confidence: match.confidence,
+    chosenUid: '',
+    status: 'PENDING',
+    details: details
+  };
+
+  try {
+    item.row = appendCentralClientListRow(queue.sheet, [
+      item.key,
+      queue.userEmail,
+      item.title,
+      item.date,
+      item.hours,
+      item.suggestedUid,
+      item.confidence,
+      describeClientCandidates(candidates),
+      '',
+      item.status,
+      new Date(),
+      '',
+      JSON.stringify(details)
+    ]);
+    _setClientReviewChoices(queue.sheet, item.row, candidates);
+    queue.items[item.key] = item;
+
+    Logger.log(`🚩 Queued for client review: "${item.title}" (confidence ${item.confidence}, candidates: ${describeClientCandidates(candidates)})`);
+    return item;
+
+  } catch (error) {
+    Logger.log(`⚠️ Could not queue client review for "${item.title}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds the client match a reviewer chose. Several UIDs separated by commas
+ * bill the event to each of them, sharing the time (see clientAllocation.js).
+ * @param {Object} item - Review item with a Chosen UID
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {Object|null} { name, uid, firstName, lastName, matchedName, confidence, candidates, additionalClients,
+ *   matchSource: 'review' }, or null when the reviewer chose NONE
+ */
+function getReviewedClientMatch(item, clientIndex) {
+  if (!item.chosenUid || item.chosenUid.toUpperCase() === CLIENT_REVIEW_NO_CLIENT) {
+    return null;
+  }
+
+  const clients = item.chosenUid.split(',')
+    .map(uid => uid.trim())
+    .filter((uid, index, all) => uid && all.indexOf(uid) === index)
+    .map(uid => {
+      const client = findClientByUid(clientIndex, uid);
+      if (!client) {
+        Logger.log(`⚠️ Reviewed client ${uid} for "${item.title}" is not in the client list - posting with that UID anyway`);
+      }
+      return client
+        ? { uid: client.uid, firstName: client.firstName, lastName: client.lastName, confidence: 1 }
+        : { uid: uid, firstName: '', lastName: '', confidence: 1 };
+    });
+
+  if (clients.length === 0) {
+    return null;
+  }
+
+  return {
+    name: clients[0].lastName.toLowerCase(),
+    uid: clients[0].uid,
+    firstName: clients[0].firstName,
+    lastName: clients[0].lastName,
+    matchedName: item.details ? item.details.matchedName : null,
+    confidence: 1,
+    candidates: [],
+    additionalClients: clients.slice(1),
+    matchSource: 'review'
+  };
+}
+
+/**
+ * Posts the queued entries a reviewer has picked a client for, marks them POSTED
+ * and learns each reviewed title for the chosen client
+ * @param {Object} queue - Queue from loadClientReviewQueue()
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {Array<string>} trackedFields - Fields from getPostedEventTrackedFields()
+ * @param {Object} learnedMatches - Optional store from loadLearnedMatches()
+ * @param {Object} matterIndex - Optional index from loadMatterIndexFromSheet() to pick the chosen client's matter
+ * @returns {Object} { posted, failed } counts of review items
+ */
+function postResolvedClientReviews(queue, ledger, clientIndex, settings, trackedFields, learnedMatches = null, matterIndex = null) {
+  const result = { posted: 0, failed: 0 };
+  if (!queue || !queue.sheet) {
+    return result;
+  }
+
+  Object.values(queue.items)
+    .filter(item => item.status === 'PENDING' && item.chosenUid)
+    .forEach(item => {
+      if (!item.details) {
+        Logger.log(`⚠️ Review "${item.title}" has no details to post from - waiting for the next calendar run`);
+        result.failed++;
+        return;
+      }
+
+      try {
+        const details = item.details;
+        const match = getReviewedClientMatch(item, clientIndex);
+        const billed = getBilledClients(match).map((client, position) => {
+          const directiveMatter = position === 0 ? details.matter : null;
+          const matterMatch = directiveMatter ? null : matchMatterForEvent(client, details.context, matterIndex);
+          return {
+            summary: generateUnifiedSummary(details.title, client, details.context, details.fallbackCategory, details.category),
+            matter: directiveMatter || (matterMatch ? matterMatch.uid : null)
+          };
+        });
+
+        details.entries.forEach(entry => {
+          const shares = buildClientShares(entry.ledgerRef, entry.hours, getBilledClients(match), settings);
+          retractSupersededPostedEvents(ledger, entry.ledgerRef, shares.map(share => share.ledgerRef.key), settings);
+
+          shares.forEach((share, position) => {
+            const fieldData = buildTimeEntryFieldData({
+              body: details.title,
+              date: entry.date,
+              hours: share.hours,
+              summary: billed[position].summary,
+              userId: details.userId,
+              clientUid: share.client ? share.client.uid : null,
+              calendarName: details.calendarName,
+              matter: billed[position].matter,
+              eventRef: share.eventRef
+            }, settings);
+
+            // The reviewer's client wins over a client corrected in FileMaker
+            const posted = postOrUpdateTimeRecord(ledger, share.ledgerRef, { fieldData: fieldData }, trackedFields, true);
+            Logger.log(`✅ Reviewed entry "${details.title}" (${entry.date}, ${share.hours}h) → ${posted.status} FileMaker record ${posted.recordId}`);
+          });
+        });
+
+        _setClientReviewStatus(queue, item, 'POSTED');
+        result.posted++;
+
+        // Only a title settled on a single client is learned
+        if (match && !isMultiClientMatch(match)) {
+          learnClientMatch(learnedMatches, details.title, match.uid, `${match.firstName} ${match.lastName}`.trim(), 'REVIEW', clientIndex);
+        }
+
+      } catch (error) {
+        Logger.log(`❌ Failed to post reviewed entry "${item.title}": ${error.message}`);
+        result.failed++;
+      }
+    });
+
+  if (result.posted > 0 || result.failed > 0) {
+    Logger.log(`🚩 Client reviews posted: ${result.posted}, failed: ${result.failed}`);
+  }
+  return result;
+}
+
+/**
+ * Writes a review item's status and resolution time
+ * @param {Object} queue - Queue from loadClientReviewQueue()
+ * @param {Object} item - Review item
+ * @param {string} status - New status
+ */
+function _setClientReviewStatus(queue, item, status) {
+  item.status = status;
+  queue.sheet.getRange(item.row, CLIENT_REVIEW_HEADERS.indexOf('Status') + 1).setValue(status);
+  queue.sheet.getRange(item.row, CLIENT_REVIEW_HEADERS.indexOf('Resolved At') + 1).setValue(new Date());
+}
+
+/**
+ * Offers the candidate UIDs (and NONE) as a dropdown in the Chosen UID cell.
+ * Any other UID can still be typed in.
+ * @param {Sheet} sheet - ClientReview sheet
+ * @param {number} row - Row of the review item
+ * @param {Array} candidates - Candidate clients
+ */
+function _setClientReviewChoices(sheet, row, candidates) {
+  const choices = candidates.map(client => String(client.uid)).concat([CLIENT_REVIEW_NO_CLIENT]);
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(choices, true)
+    .setAllowInvalid(true)
+    .build();
+
+  sheet.getRange(row, CLIENT_REVIEW_HEADERS.indexOf('Chosen UID') + 1).setDataValidation(rule);
+}
@@ -275,33 +275,66 @@ function processWithGracefulDegradation(items, processor, options = {}) {
   return results;
 }
 
+/**
+ * Why the deleted-event check must not run after processing, if anything stops it.
+ * An event that failed or was never reached could look deleted from the calendar;
+ * skipped events were handled and do not stop it.
+ * @param {Object} processingResults - Results from processWithGracefulDegradation()
+ * @returns {string|null} reason to skip the check, or null when it can run
+ */
+function getDeletedEventCheckBlocker(processingResults) {
+  const reasons = [];
+  if (processingResults.failed > 0) {
+    reasons.push(`${processingResults.failed} events failed`);
+  }
+  if (processingResults.results.length < processingResults.total) {
+    reasons.push('processing stopped early');
+  }
+  return reasons.length > 0 ? reasons.join(', ') : null;
+}
+
 /**
  * Enhanced processCalendarEvents with comprehensive error handling
  * @param {Date} startDate 
  * @param {Date} endDate 
+ * @param {Object} options - { incremental: boolean } (see fetchCalendarEventsForRun)
  * @returns {Object} - Detailed processing results
  */
-function processCalendarEventsWithErrorHandling(startDate, endDate) {
+function processCalendarEventsWithErrorHandling(startDate, endDate, options = {}) {
   const startTime = new Date().getTime();
   
   try {
     console.log('🔄 ENHANCED CALENDAR PROCESSING WITH ERROR HANDLING...');
     
     // Load all mappings with retry logic (using unified system)
-    const clientMap = retryOperation(() => loadClientMappingFromSheet(), 3, 1000);
+    const clientIndex = retryOperation(() => loadClientIndexFromSheet(), 3, 1000);
+    const matterIndex = loadMatterIndexFromSheet();
+    const caseIndex = loadCaseIndexFromSheet();
+    const clientEmailMap = retryOperation(() => loadClientEmailMapFromSheet(), 3, 1000);
     const judgeMap = retryOperation(() => loadJudgeMapFromSheet(), 3, 1000);
     const unifiedEvents = retryOperation(() => loadUnifiedEventVocabulary(), 3, 1000);
+    const colorMap = loadEventColorMap();
+    const seriesDefaults = loadRecurringSeriesDefaults();
     const currentUserId = getCurrentUserId(); // Get current user's ID
+    const ledger = retryOperation(() => loadPostedEventLedger(), 3, 1000);
+    const settings = loadSystemSettings();
+    const trackedFields = getPostedEventTrackedFields(settings);
+    const reviewQueue = loadClientReviewQueue();
+    const learnedMatches = loadLearnedMatches();
 
     // Ensure client data is fresh (trigger smart sync if needed)
     console.log('🔄 Checking client data freshness...');
     const syncResult = smartSyncClientsToUIDSheet();
     console.log(`📊 Client sync status: ${syncResult.status}`);
 
+    // Post the entries a reviewer has picked a client for since the last run
+    const reviewResult = postResolvedClientReviews(reviewQueue, ledger, clientIndex, settings, trackedFields, learnedMatches, matterIndex);
+
     // Fetch events with error handling
-    const events = retryOperation(() => CalendarApp.getDefaultCalendar().getEvents(startDate, endDate), 2, 500);
+    const fetchResult = fetchCalendarEventsForRun(startDate, endDate, options);
+    const events = fetchResult.items.map(item => item.event);
     
-    console.log(`📅 Found ${events.length} calendar events to process`);
+    console.log(`📅 Found ${events.length} calendar events to process (${fetchResult.syncMode})`);
     
     // Log all found calendar events
     console.log('📋 CALENDAR EVENTS FOUND:');
@@ -327,66 +360,137 @@ function processCalendarEventsWithErrorHandling(startDate, endDate) {
         `Processing ${events.length} calendar events. Monitor for completion.`);
     }
 
-    // Track unmatched events for summary
+    // Check the run's events for overlaps before anything is posted
+    const overlapAnalysis = analyzeEventOverlaps(fetchResult.items, settings, unifiedEvents, colorMap, seriesDefaults);
+
+    // Track unmatched, already-posted and changed events for summary
     const unmatchedEvents = [];
+    const alreadyPostedEvents = [];
+    const updatedEvents = [];
+    const reviewEvents = [];
+    const removedEvents = [];
+    const personalEvents = [];
+    const clientMatchSources = { directive: 0, series: 0, review: 0, email: 0, case: 0, learned: 0, title: 0, location: 0, notes: 0 };
+    const seenLedgerKeys = {};
+    markFetchedPostedEvents(ledger, fetchResult.items, seenLedgerKeys);
+
+    // What each event's decision needs (see decideCalendarEvent)
+    const run = {
+      settings, ledger, seenLedgerKeys, endDate, currentUserId, clientIndex, clientEmailMap, caseIndex, matterIndex,
+      learnedMatches, unifiedEvents, colorMap, seriesDefaults, reviewQueue, overlapAnalysis
+    };
     
     // Process events with graceful degradation
-    const processingResults = processWithGracefulDegradation(events, (event, index) => {
+    const processingResults = processWithGracefulDegradation(fetchResult.items, (item, index) => {
       // Check timeout periodically
       const currentRuntime = (new Date().getTime() - startTime) / 1000;
       if (currentRuntime > 240) { // 4 minutes - early warning
         throw new Error(`Approaching timeout limit at event ${index}: ${currentRuntime}s runtime`);
       }
       
-      const title = event.getTitle();
-      const start = event.getStartTime();
-      const end = event.getEndTime();
-
-      if (event.isAllDayEvent() || !_isSameDay(start, end)) {
-        throw new Error('Event filtered out: all-day or multi-day event');
+      const decision = decideCalendarEvent(item, run);
+      const { title, start, match, summary } = decision;
+      decision.retractions.forEach(retraction => _trackRetraction(retraction, title, start, removedEvents, reviewEvents));
+
+      switch (decision.outcome) {
+        case 'SKIPPED':
+          throw new Error(`Event filtered out: ${decision.reason}`);
+
+        case 'AWAITING_REVIEW':
+          if (decision.reason === 'PENDING') {
+            reviewEvents.push({ title: title, date: start.toLocaleString(), recordId: null, note: 'Awaiting client review' });
+          }
+          console.log(`🚩 Client review ${decision.reason.toLowerCase()}: "${title}"`);
+          return null;
+
+        case 'PERSONAL':
+          personalEvents.push({ title: title, date: start.toLocaleString(), reason: decision.reason });
+          console.log(`🏠 Personal event, not posted: "${title}" (${decision.reason})`);
+          return null;
+
+        case 'REVIEW':
+          reviewEvents.push({ title: title, date: start.toLocaleString(), recordId: null, note: decision.reason });
+          console.log(`🚩 Needs review: "${title}" (${decision.reason})`);
+          return null;
       }
 
-      const match = matchClientFromTitle(title, clientMap);
-      // Process all events, even without client matches
-      const duration = _calculateRoundedDuration(start, end);
-      const dateString = formatDateForFileMaker(start);
-      const summary = generateUnifiedSummary(title, match);
+      // Create (or bring up to date) each FileMaker record and record it in the ledger
+      const posted = [];
+      decision.records.forEach(({ ledgerRef, payload, clientNamed, start: entryStart }) => {
+        const fileMakerResult = postOrUpdateTimeRecord(ledger, ledgerRef, payload, trackedFields, clientNamed);
+        const eventInfo = { title: title, date: entryStart.toLocaleString(), recordId: fileMakerResult.recordId };
 
-      if (!match) {
+        if (fileMakerResult.status === 'ALREADY_POSTED') {
+          alreadyPostedEvents.push(eventInfo);
+          console.log(`⏭️ Already posted: "${title}" → FileMaker record ${fileMakerResult.recordId}`);
+          return;
+        }
+
+        if (fileMakerResult.status === 'REVIEW') {
+          reviewEvents.push({ ...eventInfo, note: fileMakerResult.note });
+          console.log(`🚩 Needs review: "${title}" → FileMaker record ${fileMakerResult.recordId}`);
+          return;
+        }
+
+        if (fileMakerResult.status === 'UPDATED') {
+          updatedEvents.push({ ...eventInfo, changedFields: fileMakerResult.changedFields });
+        }
+
+        posted.push({ recordId: fileMakerResult.recordId, payload: payload });
+      });
+
+      if (posted.length === 0) {
+        return null;
+      }
+
+      if (match) {
+        clientMatchSources[match.matchSource]++;
+        console.log(`  👤 Client matched by ${match.matchSource}: "${title}" → ${decision.billedClients.map(client => client.uid).join(', ')}`);
+      } else {
         // Track unmatched events but still process them
         unmatchedEvents.push({
           title: title,
           date: start.toLocaleString(),
-          duration: duration,
+          duration: posted.reduce((total, record) => total + record.payload.fieldData.Time, 0),
           summary: summary
         });
         console.log(`  ℹ️ Processing non-client event: "${title}" → "${summary}"`);
       }
-
-      const fieldData = {
-        Body: title,
-        Date: dateString,
-        Time: duration,
-        Summary: summary,
-        UID_User_fk: currentUserId
-      };
-      
-      // Only include client field if there's a match
-      if (match) {
-        fieldData.UID_Client_fk = match.uid;
-      }
-      
-      const payload = {
-        fieldData: fieldData
-      };
-
-      // Create FileMaker record with retry
-      const fileMakerResult = retryOperation(() => createFileMakerRecord(payload), 2, 1000);
       
       console.log(`✅ Processed: ${title} → ${summary}`);
-      return { recordId: fileMakerResult.recordId, payload: payload };
+      return { records: posted };
     });
 
+    // Withdraw posted records whose events were deleted from the calendar - only after a complete run
+    const sweepBlocker = getDeletedEventCheckBlocker(processingResults);
+    if (sweepBlocker) {
+      console.log(`⚠️ Deleted-event check skipped: ${sweepBlocker}`);
+    } else {
+      findMissingPostedEvents(ledger, seenLedgerKeys, startDate, endDate, fetchResult.cancelled, fetchResult.calendarIds).forEach(entry => {
+        try {
+          const retraction = retractPostedEvent(ledger, entry, 'Event deleted from calendar', settings);
+          _trackRetraction(retraction, entry.payload ? entry.payload.Body : entry.eventId,
+            new Date(entry.instanceStart), removedEvents, reviewEvents);
+        } catch (error) {
+          console.error(`❌ Failed to withdraw FileMaker record ${entry.recordId}: ${error.message}`);
+        }
+      });
+    }
+
+    // Only advance the sync token when every event was handled, so failures are retried next run
+    if (processingResults.failed === 0) {
+      commitCalendarSyncTokens(fetchResult);
+    }
+
+    // Events skipped by the filter rules or time entry policy, with the reason for each
+    const skippedEvents = processingResults.results
+      .filter(result => result.status === 'skipped' && result.reason)
+      .map(result => ({
+        title: events[result.index].getTitle(),
+        date: events[result.index].getStartTime().toLocaleString(),
+        reason: result.reason.replace('Event filtered out: ', '')
+      }));
+
     const endTime = new Date().getTime();
     const totalRuntime = Math.round((endTime - startTime) / 1000);
 
@@ -394,9 +498,28 @@ function processCalendarEventsWithErrorHandling(startDate, endDate) {
     console.log(`   Events Found: ${events.length}`);
     console.log(`   Successfully Processed: ${processingResults.successful}`);
     console.log(`   Non-Client Events Processed: ${unmatchedEvents.length}`);
+    console.log(`   Already Posted (skipped): ${alreadyPostedEvents.length}`);
+    console.log(`   Updated From Calendar Edits: ${updatedEvents.length}`);
+    console.log(`   Removed (deleted/declined): ${removedEvents.length}`);
+    console.log(`   Flagged For Review: ${reviewEvents.length}`);
+    console.log(`   Posted From Client Review: ${reviewResult.posted}`);
+    console.log(`   Skipped (not billable): ${skippedEvents.length}`);
+    console.log(`   Personal (not posted): ${personalEvents.length}`);
+    console.log(`   Overlapping Event Pairs: ${overlapAnalysis.overlaps.length} (${overlapAnalysis.policy})`);
+    console.log(`   Client Matched By Directive / Series / Review / Email / Case / Learned / Title / Location / Notes: ${clientMatchSources.directive} / ${clientMatchSources.series} / ${clientMatchSources.review} / ${clientMatchSources.email} / ${clientMatchSources.case} / ${clientMatchSources.learned} / ${clientMatchSources.title} / ${clientMatchSources.location} / ${clientMatchSources.notes}`);
     console.log(`   Failed (errors): ${processingResults.failed}`);
     console.log(`   Total Runtime: ${totalRuntime} seconds`);
     
+    // Log skipped events and why they were not billed
+    if (skippedEvents.length > 0) {
+      console.log('\n⏭️ SKIPPED EVENTS:');
+      console.log('=====================================');
+      skippedEvents.forEach((event, index) => {
+        console.log(`${index + 1}. "${event.title}" (${event.date}): ${event.reason}`);
+      });
+      console.log('=====================================\n');
+    }
+    
     // Log unmatched events summary (informational only, not an error)
     if (unmatchedEvents.length > 0) {
       console.log('\nℹ️ NON-CLIENT EVENTS PROCESSED:');
@@ -416,13 +539,29 @@ function processCalendarEventsWithErrorHandling(startDate, endDate) {
 
     return {
       status: processingResults.failed === 0 ? 'SUCCESS' : 'PARTIAL_SUCCESS',
+      syncMode: fetchResult.syncMode,
       eventsFound: events.length,
       successful: processingResults.successful,
       nonClientEventsProcessed: unmatchedEvents.length, // Changed from 'skipped' to reflect that we process all events
+      alreadyPosted: alreadyPostedEvents.length,
+      updated: updatedEvents.length,
+      removed: removedEvents.length,
+      flaggedForReview: reviewEvents.length,
+      postedFromReview: reviewResult.posted,
+      skippedNotBillable: skippedEvents.length,
+      personal: personalEvents.length,
+      overlaps: overlapAnalysis.overlaps,
+      clientMatchSources: clientMatchSources,
       failed: processingResults.failed,
       runtimeSeconds: totalRuntime,
       errors: processingResults.errors,
-      unmatchedEvents: unmatchedEvents
+      unmatchedEvents: unmatchedEvents,
+      alreadyPostedEvents: alreadyPostedEvents,
+      updatedEvents: updatedEvents,
+      removedEvents: removedEvents,
+      reviewEvents: reviewEvents,
+      skippedEvents: skippedEvents,
+      personalEvents: personalEvents
     };
 
   } catch (error) {
@@ -443,6 +582,24 @@ function processCalendarEventsWithErrorHandling(startDate, endDate) {
   }
 }
 
+/**
+ * Sorts the outcome of retractPostedEvent() into the run's removed/review lists
+ * @param {Object} retraction - Result from retractPostedEvent()
+ * @param {string} title - Event title for reporting
+ * @param {Date} start - Event instance start
+ * @param {Array} removedEvents - Collects deleted records
+ * @param {Array} reviewEvents - Collects records flagged for review
+ */
+function _trackRetraction(retraction, title, start, removedEvents, reviewEvents) {
+  const eventInfo = { title: title, date: start.toLocaleString(), recordId: retraction.recordId, note: retraction.note };
+
+  if (retraction.status === 'DELETED') {
+    removedEvents.push(eventInfo);
+  } else if (retraction.status === 'REVIEW') {
+    reviewEvents.push(eventInfo);
+  }
+}
+
 /**
  * Enhanced FileMaker error handling specifically for error 1708 and data validation issues
  * 
@@ -0,0 +1,84 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🎨 Event Color Map
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Maps calendar event colors to billing behaviour. Maintained in the
+// EventColors tab of the CentralClientList sheet:
+//   Color ID | Category | Action | User Email
+// Color ID is the Calendar color ID (1-11) or its CalendarApp.EventColor name
+// (e.g. RED, GREEN, GRAY). Category names a vocabulary category used when
+// keyword matching finds nothing. Action is BILLABLE (default) or IGNORE.
+// Rows without a user email apply firm-wide; rows with one override it for that user.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EVENT_COLOR_ACTIONS = ['BILLABLE', 'IGNORE'];
+
+/**
+ * Loads the color map for a user
+ * @param {string} userEmail - Optional user email (defaults to the active user)
+ * @returns {Object} rules keyed by color ID → { colorId, category, action }
+ */
+function loadEventColorMap(userEmail = null) {
+  const colorMap = {};
+
+  try {
+    const email = (userEmail || Session.getActiveUser().getEmail()).toLowerCase();
+    const sheet = getCentralClientListSheet('EventColors', ['Color ID', 'Category', 'Action', 'User Email']);
+    const rows = sheet.getDataRange().getValues();
+
+    const firmWide = {};
+    const userSpecific = {};
+
+    for (let i = 1; i < rows.length; i++) {
+      const [color, category, action, rowEmail] = rows[i];
+      const colorId = _normalizeEventColorId(color);
+      if (!colorId) continue;
+
+      let ruleAction = (action || '').toString().toUpperCase().trim() || 'BILLABLE';
+      if (!EVENT_COLOR_ACTIONS.includes(ruleAction)) {
+        Logger.log(`⚠️ Unknown action "${action}" for color ${color} - treating as BILLABLE`);
+        ruleAction = 'BILLABLE';
+      }
+
+      const rule = { colorId: colorId, category: (category || '').toString().trim(), action: ruleAction };
+      if (!rowEmail) {
+        firmWide[colorId] = rule;
+      } else if (rowEmail.toString().toLowerCase().trim() === email) {
+        userSpecific[colorId] = rule;
+      }
+    }
+
+    Object.assign(colorMap, firmWide, userSpecific);
+    Logger.log(`🎨 Loaded ${Object.keys(colorMap).length} event color rules`);
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load event color map: ${error.message}`);
+  }
+
+  return colorMap;
+}
+
+/**
+ * Finds the color rule for an event
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} colorMap - Map from loadEventColorMap()
+ * @returns {Object|null} { colorId, category, action } or null when the color is not mapped
+ */
+function getEventColorRule(event, colorMap) {
+  const colorId = _normalizeEventColorId(event.getColor());
+  return colorId && colorMap[colorId] ? colorMap[colorId] : null;
+}
+
+/**
+ * Normalizes a color ID or EventColor name ("11", "RED", "pale blue") to the color ID
+ * @param {string|number} value - Color ID or name
+ * @returns {string} color ID, or '' when unknown
+ */
+function _normalizeEventColorId(value) {
+  const text = (value === null || value === undefined ? '' : value).toString().trim();
+  if (!text) return '';
+  if (/^\d+$/.test(text)) return text;
+
+  const color = CalendarApp.EventColor[text.toUpperCase().replace(/[\s-]+/g, '_')];
+  return color ? color.toString() : '';
+}
@@ -0,0 +1,185 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🧭 Event Decisions - what a processing run does with one calendar event
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Both processing pipelines (processCalendarEventsWithErrorHandling and
+// processCalendarEventsUnified) hand every fetched event to
+// decideCalendarEvent(), which applies the rules in order:
+//   1. #nobill, and the declined/tentative/private/free filter rules
+//   2. the time entry policy (multi-day and all-day events)
+//   3. a ClientReview item already waiting for (or dismissed by) a reviewer
+//   4. client: #client directive → recurring series → reviewer → matcher
+//   5. personal events (category, color, excluded series, nothing billable)
+//   6. overlap policy (an hours directive wins)
+//   7. client review for low-confidence, ambiguous or multi-client matches
+//   8. one FileMaker record per planned entry and billed client
+// The pipelines only post the records and keep their own statistics.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decides what a run does with one fetched calendar event.
+ *
+ * Marks the event's ledger keys as seen, withdraws records the event no longer
+ * accounts for, remembers a newly seen recurring series and queues client
+ * reviews. Posting the returned records is left to the pipeline.
+ *
+ * @param {Object} item - Fetched item { event, calendarId, calendarName, timeZone } from fetchCalendarEventsForRun()
+ * @param {Object} run - What the run loaded: { settings, ledger, seenLedgerKeys, endDate, currentUserId,
+ *   clientIndex, clientEmailMap, caseIndex, matterIndex, learnedMatches, unifiedEvents, colorMap,
+ *   seriesDefaults, reviewQueue, overlapAnalysis }
+ * @returns {Object} { outcome, title, start, reason, retractions, match, billedClients, summary, entries, records }
+ *   - outcome: SKIPPED | AWAITING_REVIEW | PERSONAL | REVIEW | POST
+ *   - reason: why the event was skipped, personal or held for review; the ClientReview
+ *     status (PENDING | DISMISSED) for AWAITING_REVIEW
+ *   - retractions: results from retractPostedEvent() for records withdrawn
+ *   - records: for POST, [{ ledgerRef, payload, clientNamed, hours, start }] to post
+ */
+function decideCalendarEvent(item, run) {
+  const { event, calendarId, calendarName } = item;
+  const { settings, ledger } = run;
+  const directives = getEventDirectives(event);
+  const title = directives.title;
+  const start = event.getStartTime();
+  const timeZone = resolveTimeZone(settings, item.timeZone);
+  const plan = planTimeEntries(event, settings, run.unifiedEvents, run.endDate, timeZone, directives);
+  const ledgerRefs = plan.skipReason
+    ? [buildLedgerRef(event, null, calendarId)]
+    : plan.entries.map(entry => buildLedgerRef(event, entry.instanceStart, calendarId));
+  ledgerRefs.forEach(ledgerRef => {
+    run.seenLedgerKeys[ledgerRef.key] = true;
+    findClientSharePostedEvents(ledger, ledgerRef).forEach(entry => { run.seenLedgerKeys[entry.key] = true; });
+  });
+
+  const decision = { outcome: null, title: title, start: start, reason: null, retractions: [], match: null,
+                     billedClients: [], summary: null, entries: plan.entries, records: [] };
+
+  // #nobill events, and declined, tentative, private or free events per the filter rules, are not billable - withdraw anything posted earlier
+  const skipReason = directives.noBill ? '#nobill directive' : getEventSkipReason(event, settings);
+  if (skipReason) {
+    decision.retractions = retractPostedEventRefs(ledger, ledgerRefs, `Event not billable: ${skipReason}`, settings);
+    return { ...decision, outcome: 'SKIPPED', reason: skipReason };
+  }
+
+  // Events the time entry policy does not bill (e.g. multi-day with multiDayMode SKIP)
+  if (plan.skipReason) {
+    return { ...decision, outcome: 'SKIPPED', reason: plan.skipReason };
+  }
+
+  // Events queued for client review wait for the reviewer; a dismissed one is never posted
+  const review = findClientReview(run.reviewQueue, ledgerRefs[0]);
+  if (review && review.status !== 'POSTED') {
+    return { ...decision, outcome: 'AWAITING_REVIEW', reason: review.status };
+  }
+
+  const context = directives.context;
+  const seriesDefault = getSeriesDefault(event, run.seriesDefaults);
+  const match = getDirectiveClientMatch(directives, run.clientIndex) ||
+    getSeriesClientMatch(seriesDefault) ||
+    (review
+      ? getReviewedClientMatch(review, run.clientIndex)
+      : matchClientForEvent(event, run.clientIndex, run.clientEmailMap, context, run.learnedMatches, run.caseIndex));
+  const needsReview = !review && needsClientReview(match, settings);
+  decision.match = match;
+
+  // Personal events (Ignore/Personal category or color, excluded recurring series, or no client and no billable keyword) stay out of FileMaker
+  // An event a reviewer already posted stays posted
+  const colorRule = getEventColorRule(event, run.colorMap);
+  const personalReason = review ? null : classifyPersonalEvent(title, match, run.unifiedEvents, context, colorRule, seriesDefault, directives);
+  if (personalReason) {
+    decision.retractions = retractPostedEventRefs(ledger, ledgerRefs, `Personal event: ${personalReason}`, settings);
+    return { ...decision, outcome: 'PERSONAL', reason: personalReason };
+  }
+
+  // Remember the client and category of a newly seen recurring series for its later instances (one client only)
+  if (!seriesDefault && !needsReview && !isMultiClientMatch(match) && event.isRecurringEvent() && directives.found.length === 0) {
+    const eventMatch = findUnifiedEventMatch(title, run.unifiedEvents, context);
+    rememberSeriesDefault(run.seriesDefaults, event, match, eventMatch ? eventMatch.category : null);
+  }
+
+  // Overlapping events are trimmed or held for review per the overlap policy (an hours directive wins)
+  const overlapAdjustment = plan.entries.length === 1 && !directives.hours ? run.overlapAnalysis.adjustments[ledgerRefs[0].key] : null;
+  if (overlapAdjustment && overlapAdjustment.action === 'REVIEW') {
+    return { ...decision, outcome: 'REVIEW', reason: overlapAdjustment.note };
+  }
+  if (overlapAdjustment) {
+    plan.entries[0].hours = overlapAdjustment.hours;
+    Logger.log(`⏱️ ${overlapAdjustment.note}: "${title}"`);
+  }
+
+  const fallbackCategory = (seriesDefault && seriesDefault.category) || (colorRule ? colorRule.category : null);
+
+  // Low-confidence and ambiguous client matches wait in the ClientReview tab for a reviewer to pick the client
+  if (needsReview) {
+    queueClientReview(run.reviewQueue, match, {
+      title: title,
+      matchedName: match.matchedName || null,
+      context: context,
+      fallbackCategory: fallbackCategory,
+      category: directives.category,
+      matter: directives.matter,
+      calendarName: calendarName,
+      userId: run.currentUserId,
+      entries: plan.entries.map((entry, entryIndex) => ({
+        ledgerRef: ledgerRefs[entryIndex],
+        date: formatDateForFileMaker(entry.start, timeZone),
+        hours: entry.hours
+      }))
+    });
+    const note = match.ambiguous
+      ? `Ambiguous client "${match.matchedName}": ${describeClientCandidates(match.candidates)}`
+      : isMultiClientMatch(match) && getMultiClientPolicy(settings) === 'REVIEW'
+        ? `Several clients: ${describeClientCandidates(getBilledClients(match))}`
+        : `Low-confidence client match (${match.confidence}) → ${match.uid}`;
+    return { ...decision, outcome: 'REVIEW', reason: note };
+  }
+
+  // Every client the event is billed to gets its own summary and matter
+  // (a #matter directive, or picked among that client's open matters - the directive applies to the first client)
+  const billedClients = getBilledClients(match);
+  const billing = billedClients.map((client, position) => {
+    const directiveMatter = position === 0 ? directives.matter : null;
+    const matterMatch = directiveMatter ? null : matchMatterForEvent(client, context, run.matterIndex);
+    return {
+      summary: generateUnifiedSummary(title, client, context, fallbackCategory, directives.category),
+      matter: directiveMatter || (matterMatch ? matterMatch.uid : null)
+    };
+  });
+
+  // One FileMaker record per planned entry (one per business day for multi-day events) and billed client
+  plan.entries.forEach((entry, entryIndex) => {
+    const shares = buildClientShares(ledgerRefs[entryIndex], entry.hours, billedClients, settings);
+    if (shares.length > 1) {
+      Logger.log(`👥 Several clients (${getMultiClientPolicy(settings)}): "${title}" → ${describeClientShares(shares)}`);
+    }
+
+    // Withdraw records the current clients no longer account for (e.g. a client removed from the title)
+    decision.retractions = decision.retractions.concat(
+      retractSupersededPostedEvents(ledger, ledgerRefs[entryIndex], shares.map(share => share.ledgerRef.key), settings));
+
+    shares.forEach(share => {
+      const position = billedClients.indexOf(share.client);
+      const fieldData = buildTimeEntryFieldData({
+        body: title,
+        date: formatDateForFileMaker(entry.start, timeZone),
+        hours: share.hours,
+        summary: billing[position].summary,
+        userId: run.currentUserId,
+        clientUid: share.client ? share.client.uid : null,
+        calendarName: calendarName,
+        matter: billing[position].matter,
+        eventRef: share.eventRef
+      }, settings);
+
+      run.seenLedgerKeys[share.ledgerRef.key] = true;
+      decision.records.push({
+        ledgerRef: share.ledgerRef,
+        payload: { fieldData: fieldData },
+        clientNamed: Boolean(directives.clientUid),
+        hours: share.hours,
+        start: entry.start
+      });
+    });
+  });
+
+  return { ...decision, outcome: 'POST', billedClients: billedClients, summary: billing[0].summary };
+}
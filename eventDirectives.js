@@ -0,0 +1,125 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// #️⃣ Event Directives
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Attorneys can override the automation from the calendar itself with hashtag
+// directives in an event's title or description:
+//   #nobill              - never post the event (anything posted earlier is withdrawn)
+//   #client:12345        - bill to this client UID instead of the matched client
+//   #matter:2024P000123  - send this matter ID in the matterFieldName field
+//   #0.5h                - bill exactly this many hours, as one entry on the start day
+//   #cat:Court           - use this vocabulary category (underscores for spaces: #cat:Office_Meeting)
+// Directives are parsed before client matching and summary generation, win
+// over every inferred value, and are stripped from the Body and Summary sent
+// to FileMaker. A directive in the title wins over the same one in the description.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EVENT_DIRECTIVE_PATTERN = /(^|\s)#(nobill|client:[\w-]+|matter:[\w-]+(?:[./][\w-]+)*|cat:[\w-]+|\d*\.?\d+h)(?![\w:#])/gi;
+
+/**
+ * Reads the directives of an event and strips them from its title and notes
+ * @param {CalendarEvent} event - Calendar event
+ * @returns {Object} { noBill, clientUid, matter, hours, category, found, title, context }
+ *   title and context ({ title, location, notes }) are the cleaned values used for matching and FileMaker
+ */
+function getEventDirectives(event) {
+  const matchContext = getEventMatchContext(event);
+  const fromNotes = parseEventDirectives(matchContext.notes);
+  const fromTitle = parseEventDirectives(event.getTitle());
+
+  const directives = {
+    noBill: false,
+    clientUid: null,
+    matter: null,
+    hours: null,
+    category: null,
+    ...fromNotes.directives,
+    ...fromTitle.directives,
+    found: fromTitle.found.concat(fromNotes.found),
+    title: fromTitle.text,
+    context: { title: fromTitle.text, location: matchContext.location, notes: fromNotes.text }
+  };
+
+  if (directives.found.length > 0) {
+    Logger.log(`#️⃣ Directives on "${directives.title}": ${directives.found.join(' ')}`);
+  }
+
+  return directives;
+}
+
+/**
+ * Parses the directives in a piece of text
+ * @param {string} text - Event title or description
+ * @returns {Object} { directives, found, text } - only directives present in the text are set;
+ *   text has the directives removed
+ */
+function parseEventDirectives(text) {
+  const source = (text || '').toString();
+  const directives = {};
+  const found = [];
+
+  const cleaned = source.replace(EVENT_DIRECTIVE_PATTERN, (whole, leading, directive) => {
+    const [name, ...rest] = directive.split(':');
+    const value = rest.join(':');
+
+    switch (name.toLowerCase()) {
+      case 'nobill':
+        directives.noBill = true;
+        break;
+      case 'client':
+        directives.clientUid = value;
+        break;
+      case 'matter':
+        directives.matter = value;
+        break;
+      case 'cat':
+        directives.category = value.replace(/_/g, ' ');
+        break;
+      default: {
+        const hours = parseFloat(name);
+        if (!(hours > 0 && hours <= 24)) {
+          Logger.log(`⚠️ Ignoring hours directive "#${directive}" - must be more than 0 and at most 24`);
+          return whole;
+        }
+        directives.hours = hours;
+      }
+    }
+
+    found.push(`#${directive}`);
+    return leading;
+  });
+
+  return {
+    directives: directives,
+    found: found,
+    text: found.length > 0 ? cleaned.replace(/\s{2,}/g, ' ').replace(/\s+([,.;:!?])/g, '$1').trim() : source
+  };
+}
+
+/**
+ * Builds the client match for a #client directive
+ * @param {Object} directives - Directives from getEventDirectives()
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {Object|null} { name, uid, firstName, lastName, confidence, candidates, matchSource: 'directive' } or null without a #client directive
+ */
+function getDirectiveClientMatch(directives, clientIndex) {
+  if (!directives || !directives.clientUid) {
+    return null;
+  }
+
+  const client = findClientByUid(clientIndex, directives.clientUid);
+  if (!client) {
+    Logger.log(`⚠️ #client:${directives.clientUid} is not in the client list - posting with that UID anyway`);
+    return { name: '', uid: directives.clientUid, confidence: 1, candidates: [], matchSource: 'directive' };
+  }
+
+  return {
+    name: client.lastName.toLowerCase(),
+    uid: client.uid,
+    firstName: client.firstName,
+    lastName: client.lastName,
+    confidence: 1,
+    candidates: [],
+    matchSource: 'directive'
+  };
+}
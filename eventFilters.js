@@ -0,0 +1,111 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🚦 Event Filters (RSVP status, visibility, free/busy)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Decides whether an event is billable from the user's own response and the
+// event's visibility and transparency. The rules come from the Settings tab
+// (skipResponseStatuses, skipVisibilities, skipFreeEvents), firm-wide or per user.
+// Cancelled events never reach the filter: they are not returned by the
+// calendar and their posted records are withdrawn as deleted events.
+//
+// Personal events (gym, school pickup, doctor) are recognised from the Ignore
+// or Personal category of the EventTypes vocabulary, an excluded recurring
+// series, or by having neither a client nor a billable keyword in the title.
+// A #cat or #client directive on the event overrides all of these.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RESPONSE_STATUS_LABELS = {
+  YES: 'accepted',
+  NO: 'declined',
+  MAYBE: 'tentative',
+  INVITED: 'not responded',
+  OWNER: 'organizer'
+};
+
+/**
+ * Checks an event against the filter rules
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {string|null} reason the event is skipped, or null when it is billable
+ */
+function getEventSkipReason(event, settings) {
+  const status = event.getMyStatus().toString();
+  if (parseSettingList(settings.skipResponseStatuses).includes(status)) {
+    return `${RESPONSE_STATUS_LABELS[status] || status.toLowerCase()} event`;
+  }
+
+  const visibility = event.getVisibility().toString();
+  if (parseSettingList(settings.skipVisibilities).includes(visibility)) {
+    return `${visibility.toLowerCase()} event`;
+  }
+
+  if (isSettingEnabled(settings.skipFreeEvents) &&
+      event.getTransparency() === CalendarApp.EventTransparency.TRANSPARENT) {
+    return 'event shown as free';
+  }
+
+  return null;
+}
+
+/**
+ * Classifies an event as personal (not billable time).
+ * A #cat or #client directive decides on its own. Otherwise an excluded
+ * recurring series or a color set to IGNORE always wins; a series
+ * category or billable color makes an event without client or keyword
+ * billable, but a personal keyword still wins over it.
+ *
+ * @param {string} title - Calendar event title
+ * @param {Object} clientMatch - Client match or null
+ * @param {Array} vocabulary - Unified event vocabulary
+ * @param {Object} context - Optional { location, notes } from getEventMatchContext()
+ * @param {Object} colorRule - Optional rule from getEventColorRule()
+ * @param {Object} seriesDefault - Optional entry from getSeriesDefault()
+ * @param {Object} directives - Optional directives from getEventDirectives()
+ * @returns {string|null} reason the event is personal, or null for billable events
+ */
+function classifyPersonalEvent(title, clientMatch, vocabulary, context = null, colorRule = null, seriesDefault = null, directives = null) {
+  const directiveEvent = directives && directives.category
+    ? findUnifiedEventByCategory(directives.category, vocabulary)
+    : null;
+  if (directiveEvent) {
+    return directiveEvent.isPersonal ? `#cat:${directiveEvent.category} directive` : null;
+  }
+
+  if (directives && directives.clientUid) {
+    return null;
+  }
+
+  if (seriesDefault && seriesDefault.action === 'EXCLUDE') {
+    return 'recurring series excluded';
+  }
+
+  if (colorRule && colorRule.action === 'IGNORE') {
+    return `color ${colorRule.colorId} set to ignore`;
+  }
+
+  const eventMatch = findUnifiedEventMatch(title, vocabulary, context);
+
+  if (eventMatch && eventMatch.isPersonal) {
+    return `${eventMatch.category} keyword "${eventMatch.matchedKeyword}"`;
+  }
+
+  if (!eventMatch && seriesDefault && seriesDefault.category) {
+    const seriesEvent = findUnifiedEventByCategory(seriesDefault.category, vocabulary);
+    if (seriesEvent && seriesEvent.isPersonal) {
+      return `recurring series mapped to ${seriesEvent.category}`;
+    }
+  }
+
+  if (!eventMatch && colorRule && colorRule.category) {
+    const colorEvent = findUnifiedEventByCategory(colorRule.category, vocabulary);
+    if (colorEvent && colorEvent.isPersonal) {
+      return `color ${colorRule.colorId} mapped to ${colorEvent.category}`;
+    }
+  }
+
+  if (!clientMatch && !eventMatch && !colorRule && !(seriesDefault && seriesDefault.category)) {
+    return 'no client or billable keyword';
+  }
+
+  return null;
+}
@@ -0,0 +1,173 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🔑 Event Keywords - whole-word, phrase, prefix and regular-expression keywords
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Keywords in the EventTypes sheet are separated by | and match whole words,
+// so "call" does not fire inside "recall" nor "om" inside "from":
+//   motion            whole word
+//   conference call   whole words in this order, any spacing between them
+//   "re: status"      exact phrase, for keywords with * or / in them
+//   prob*             words starting with "prob" (probate, probation)
+//   /hear(ing)?s?\b/  regular expression, case-insensitive
+//   hearing+motion    combination: every part (each in any of the forms above)
+//                     must appear, in any order
+// Each keyword is compiled once when the vocabulary is loaded; keywords that
+// cannot be compiled are reported with their EventTypes row and left out.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * A letter or digit - a keyword edge next to one is not a word boundary
+ */
+const EVENT_KEYWORD_WORD_CHAR = '[\\p{L}\\p{N}]';
+
+/**
+ * Compiles the keywords of one EventTypes row
+ * @param {string|Array<string>} keywords - "a|b|c" as in the sheet, or a list of keywords
+ * @returns {Object} { keywords, patterns: [{ keyword, kind, pattern }], problems } - problems
+ *   describes each keyword left out
+ */
+function parseEventKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : (keywords || '').toString().split('|');
+  const parsed = { keywords: [], patterns: [], problems: [] };
+
+  list.map(keyword => (keyword || '').toString().trim()).filter(keyword => keyword).forEach(keyword => {
+    try {
+      const compiled = parseEventKeyword(keyword);
+      parsed.keywords.push(compiled.keyword);
+      parsed.patterns.push(compiled);
+    } catch (error) {
+      parsed.problems.push(`keyword "${keyword}" ${error.message}`);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Compiles one keyword
+ * @param {string} keyword - Keyword as written in the sheet
+ * @returns {Object} { keyword, kind, pattern } - keyword lower-cased unless it is a regular expression;
+ *   a combination has parts (compiled keywords) instead of a pattern
+ * @throws {Error} when the keyword is empty or is not a valid regular expression
+ */
+function parseEventKeyword(keyword) {
+  const text = keyword.trim();
+
+  const parts = _splitEventKeywordCombination(text);
+  if (parts.length > 1) {
+    if (parts.some(part => !part)) {
+      throw new Error('has an empty part around +');
+    }
+    const compiled = parts.map(part => {
+      try {
+        return parseEventKeyword(part);
+      } catch (error) {
+        throw new Error(`has a part "${part}" that ${error.message}`);
+      }
+    });
+    return { keyword: compiled.map(part => part.keyword).join('+'), kind: 'combination', parts: compiled };
+  }
+
+  if (text.length > 1 && text.startsWith('/') && text.endsWith('/')) {
+    const body = text.slice(1, -1);
+    if (!body.trim()) {
+      throw new Error('is an empty regular expression');
+    }
+    try {
+      return { keyword: text, kind: 'regex', pattern: new RegExp(body, 'i') };
+    } catch (error) {
+      throw new Error(`is not a valid regular expression (${error.message})`);
+    }
+  }
+
+  const lowered = text.toLowerCase();
+
+  if (lowered.length > 1 && lowered.startsWith('"') && lowered.endsWith('"')) {
+    const phrase = lowered.slice(1, -1).trim();
+    if (!phrase) {
+      throw new Error('is an empty phrase');
+    }
+    return { keyword: lowered, kind: 'phrase', pattern: _eventKeywordPattern(phrase, true) };
+  }
+
+  if (lowered.endsWith('*')) {
+    const prefix = lowered.slice(0, -1).trim();
+    if (!prefix) {
+      throw new Error('has no text before *');
+    }
+    return { keyword: lowered, kind: 'prefix', pattern: _eventKeywordPattern(prefix, false) };
+  }
+
+  return { keyword: lowered, kind: 'word', pattern: _eventKeywordPattern(lowered, true) };
+}
+
+/**
+ * Finds a compiled keyword in a text
+ * @param {Object} keywordPattern - { keyword, kind, pattern } from parseEventKeyword()
+ * @param {string} text - Title, location or notes
+ * @returns {Object|null} { text, index, parts } - the matched text (all parts of a combination,
+ *   joined by +), where it starts and how many keywords matched; null when it is not found
+ */
+function matchEventKeyword(keywordPattern, text) {
+  if (keywordPattern.kind === 'combination') {
+    const found = keywordPattern.parts.map(part => matchEventKeyword(part, text));
+    if (found.some(hit => !hit)) {
+      return null;
+    }
+    return {
+      text: found.map(hit => hit.text).join('+'),
+      index: Math.min(...found.map(hit => hit.index)),
+      parts: found.length
+    };
+  }
+
+  const match = keywordPattern.pattern.exec(text || '');
+  return match ? { text: match[0], index: match.index, parts: 1 } : null;
+}
+
+/**
+ * Splits a combination keyword on +, leaving a + inside a "phrase" or /regex/ alone
+ * @param {string} text - Keyword as written in the sheet
+ * @returns {Array<string>} trimmed parts (a single part when the keyword is no combination)
+ */
+function _splitEventKeywordCombination(text) {
+  const parts = [];
+  let current = '';
+  let closer = null;
+  let escaped = false;
+
+  for (const char of text) {
+    if (closer) {
+      if (!escaped && char === closer) closer = null;
+      escaped = !escaped && char === '\\' && closer === '/';
+      current += char;
+    } else if (!current.trim() && (char === '/' || char === '"')) {
+      closer = char;
+      current += char;
+    } else if (char === '+') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts;
+}
+
+/**
+ * Builds the pattern of a word, phrase or prefix keyword. Edges that are letters
+ * or digits must be word boundaries, so a phrase like "re:" can still end in punctuation.
+ * @param {string} text - Keyword text without quotes or *
+ * @param {boolean} wholeWordEnd - false for a prefix, which may run on into a longer word
+ * @returns {RegExp}
+ */
+function _eventKeywordPattern(text, wholeWordEnd) {
+  const body = text.split(/\s+/).map(_escapeRegExp).join('\\s+');
+  const wordChar = new RegExp(`^${EVENT_KEYWORD_WORD_CHAR}$`, 'u');
+  const start = wordChar.test(text.charAt(0)) ? `(?<!${EVENT_KEYWORD_WORD_CHAR})` : '';
+  const end = wholeWordEnd && wordChar.test(text.charAt(text.length - 1)) ? `(?!${EVENT_KEYWORD_WORD_CHAR})` : '';
+
+  return new RegExp(`${start}${body}${end}`, 'iu');
+}
@@ -18,8 +18,101 @@ function createFileMakerRecord(recordData) {
   const createData = JSON.parse(createResponse.getContentText());
 
   if (createResponse.getResponseCode() === 200 && createData.messages[0].code === '0') {
-    return { recordId: createData.response.recordId };
+    return { recordId: createData.response.recordId, modId: createData.response.modId };
   } else {
     throw new Error('FileMaker record creation failed: ' + createResponse.getContentText());
   }
 }
+
+/**
+ * Updates an existing FileMaker record.
+ * When a modId is given FileMaker rejects the edit (code 306) if the record was modified since.
+ * 
+ * @param {string} recordId - FileMaker recordId
+ * @param {Object} recordData - Payload { fieldData } with the fields to change
+ * @param {string} modId - Optional modification ID the record is expected to have
+ * @returns {Object} { recordId, modId }
+ */
+function updateFileMakerRecord(recordId, recordData, modId = null) {
+  const sanitizedData = sanitizeEventDataForFileMaker(recordData);
+  if (modId) {
+    sanitizedData.modId = String(modId);
+  }
+  
+  const { token, fmConfig } = getFileMakerToken();
+
+  const recordUrl = `${fmConfig.host}/fmi/data/vLatest/databases/${fmConfig.db}/layouts/${fmConfig.layout}/records/${recordId}`;
+  const updateResponse = UrlFetchApp.fetch(recordUrl, {
+    method: 'patch',
+    headers: { Authorization: 'Bearer ' + token },
+    contentType: 'application/json',
+    payload: JSON.stringify(sanitizedData),
+    muteHttpExceptions: true
+  });
+
+  logoutFileMakerToken(token, fmConfig);
+
+  const updateData = JSON.parse(updateResponse.getContentText());
+
+  if (updateResponse.getResponseCode() === 200 && updateData.messages[0].code === '0') {
+    return { recordId: recordId, modId: updateData.response.modId };
+  } else {
+    throw new Error('FileMaker record update failed: ' + updateResponse.getContentText());
+  }
+}
+
+/**
+ * Fetches a single FileMaker record
+ * @param {string} recordId - FileMaker recordId
+ * @returns {Object|null} { recordId, modId, fieldData } or null if the record no longer exists
+ */
+function getFileMakerRecord(recordId) {
+  const { token, fmConfig } = getFileMakerToken();
+
+  const recordUrl = `${fmConfig.host}/fmi/data/vLatest/databases/${fmConfig.db}/layouts/${fmConfig.layout}/records/${recordId}`;
+  const getResponse = UrlFetchApp.fetch(recordUrl, {
+    method: 'get',
+    headers: { Authorization: 'Bearer ' + token },
+    muteHttpExceptions: true
+  });
+
+  logoutFileMakerToken(token, fmConfig);
+
+  const getData = JSON.parse(getResponse.getContentText());
+
+  if (getResponse.getResponseCode() === 200 && getData.messages[0].code === '0') {
+    const record = getData.response.data[0];
+    return { recordId: record.recordId, modId: record.modId, fieldData: record.fieldData };
+  } else if (getData.messages && getData.messages[0].code === '101') {
+    // 101 = record is missing
+    return null;
+  } else {
+    throw new Error('FileMaker record lookup failed: ' + getResponse.getContentText());
+  }
+}
+
+/**
+ * Deletes a FileMaker record
+ * @param {string} recordId - FileMaker recordId
+ * @returns {boolean} true when deleted
+ */
+function deleteFileMakerRecord(recordId) {
+  const { token, fmConfig } = getFileMakerToken();
+
+  const recordUrl = `${fmConfig.host}/fmi/data/vLatest/databases/${fmConfig.db}/layouts/${fmConfig.layout}/records/${recordId}`;
+  const deleteResponse = UrlFetchApp.fetch(recordUrl, {
+    method: 'delete',
+    headers: { Authorization: 'Bearer ' + token },
+    muteHttpExceptions: true
+  });
+
+  logoutFileMakerToken(token, fmConfig);
+
+  const deleteData = JSON.parse(deleteResponse.getContentText());
+
+  if (deleteResponse.getResponseCode() === 200 && deleteData.messages[0].code === '0') {
+    return true;
+  } else {
+    throw new Error('FileMaker record deletion failed: ' + deleteResponse.getContentText());
+  }
+}
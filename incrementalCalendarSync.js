@@ -0,0 +1,319 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🔄 Incremental Calendar Sync (Advanced Calendar Service + sync tokens)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Instead of re-reading a fixed window, an incremental run asks the Calendar
+// API for everything created, changed or cancelled since the last run. A sync
+// token is stored per user and calendar in user properties. When there is no
+// token yet, or Google invalidates it (HTTP 410), the run's window is resynced
+// in full and a fresh token is stored. The resync stops at the window end, so
+// recurring series are not expanded into every future instance.
+//
+// The window itself is only read by the first run that covers it (or by a
+// resync), which picks up events created earlier for that day. The start of
+// the last window read is stored next to the sync token.
+//
+// Requires the Calendar advanced service (see appsscript.json).
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Processes today's events plus every change made since the last incremental run.
+ * Late entries and edits to earlier days are picked up without widening the window;
+ * today's events are read in full by the day's first run only.
+ *
+ * @returns {Object} processing results from processCalendarEventsWithErrorHandling()
+ */
+function processCalendarEventsIncremental() {
+  const timeZone = resolveTimeZone(loadSystemSettings(), CalendarApp.getDefaultCalendar().getTimeZone());
+  const startDate = startOfDayInZone(new Date(), 0, timeZone);
+  const endDate = startOfDayInZone(startDate, 1, timeZone);
+
+  return processCalendarEventsWithErrorHandling(startDate, endDate, { incremental: true });
+}
+
+/**
+ * Fetches calendar changes since the stored sync token.
+ * Falls back to a full resync of the run's window when there is no token
+ * or Google rejects it (410).
+ *
+ * @param {string} calendarId - Calendar ID ('primary' or an email/group ID)
+ * @param {Date} windowStart - Start of the run's window, used for a full resync
+ * @param {Date} windowEnd - End of the run's window, used for a full resync
+ * @returns {Object} { events, nextSyncToken, fullResync }
+ */
+function fetchIncrementalCalendarChanges(calendarId, windowStart, windowEnd) {
+  const syncToken = getStoredSyncToken(calendarId);
+
+  if (syncToken) {
+    try {
+      const result = _listCalendarEvents(calendarId, { syncToken: syncToken });
+      Logger.log(`🔄 Incremental sync: ${result.events.length} changes on ${calendarId}`);
+      return { ...result, fullResync: false };
+    } catch (error) {
+      if (!_isSyncTokenInvalid(error)) {
+        throw new Error(`Calendar incremental sync failed for ${calendarId}: ${error.message}`);
+      }
+      Logger.log(`⚠️ Sync token for ${calendarId} is no longer valid - running full resync`);
+      clearStoredSyncToken(calendarId);
+    }
+  }
+
+  const result = _listCalendarEvents(calendarId, { timeMin: windowStart.toISOString(), timeMax: windowEnd.toISOString() });
+  Logger.log(`🔄 Full resync: ${result.events.length} events on ${calendarId} from ${windowStart.toDateString()} to ${windowEnd.toDateString()}`);
+  return { ...result, fullResync: true };
+}
+
+/**
+ * Gets the stored sync token for a calendar
+ * @param {string} calendarId - Calendar ID
+ * @returns {string|null} sync token or null
+ */
+function getStoredSyncToken(calendarId) {
+  return PropertiesService.getUserProperties().getProperty(_syncTokenPropertyKey(calendarId));
+}
+
+/**
+ * Stores the sync token to use on the next incremental run
+ * @param {string} calendarId - Calendar ID
+ * @param {string} syncToken - nextSyncToken returned by the Calendar API
+ */
+function storeSyncToken(calendarId, syncToken) {
+  if (syncToken) {
+    PropertiesService.getUserProperties().setProperty(_syncTokenPropertyKey(calendarId), syncToken);
+  }
+}
+
+/**
+ * Gets the start of the last window read in full for a calendar
+ * @param {string} calendarId - Calendar ID
+ * @returns {string|null} ISO window start or null
+ */
+function getStoredSyncWindowStart(calendarId) {
+  return PropertiesService.getUserProperties().getProperty(_syncWindowPropertyKey(calendarId));
+}
+
+/**
+ * Stores the start of a window read in full, so later runs over it only read changes
+ * @param {string} calendarId - Calendar ID
+ * @param {string} windowStart - ISO window start
+ */
+function storeSyncWindowStart(calendarId, windowStart) {
+  PropertiesService.getUserProperties().setProperty(_syncWindowPropertyKey(calendarId), windowStart);
+}
+
+/**
+ * Removes the stored sync token so the next incremental run does a full resync
+ * @param {string} calendarId - Calendar ID
+ */
+function clearStoredSyncToken(calendarId) {
+  PropertiesService.getUserProperties().deleteProperty(_syncTokenPropertyKey(calendarId));
+}
+
+/**
+ * Wraps a Calendar API event resource so it can be processed like a CalendarApp event
+ * @param {Object} apiEvent - Event resource from Calendar.Events.list()
+ * @param {string} calendarId - Calendar the event came from
+ * @param {string} timeZone - Optional calendar time zone, used for all-day dates
+ * @returns {Object} object exposing the CalendarEvent methods used by the pipeline
+ */
+function wrapApiCalendarEvent(apiEvent, calendarId, timeZone = null) {
+  const isAllDay = !!(apiEvent.start && apiEvent.start.date);
+  const start = _parseApiEventTime(apiEvent.start, timeZone);
+  const end = _parseApiEventTime(apiEvent.end, timeZone);
+
+  return {
+    getId: () => apiEvent.iCalUID || apiEvent.id,
+    getTitle: () => apiEvent.summary || '',
+    getDescription: () => apiEvent.description || '',
+    getLocation: () => apiEvent.location || '',
+    getStartTime: () => start,
+    getEndTime: () => end,
+    isAllDayEvent: () => isAllDay,
+    isRecurringEvent: () => !!apiEvent.recurringEventId,
+    getMyStatus: () => _apiEventMyStatus(apiEvent),
+    getVisibility: () => _apiEventVisibility(apiEvent),
+    getColor: () => apiEvent.colorId || '',
+    getTransparency: () => (apiEvent.transparency === 'transparent'
+      ? CalendarApp.EventTransparency.TRANSPARENT
+      : CalendarApp.EventTransparency.OPAQUE),
+    getCreators: () => (apiEvent.creator && apiEvent.creator.email ? [apiEvent.creator.email] : []),
+    getGuestByEmail: (email) => _apiEventGuest(apiEvent, email),
+    getGuestList: () => (apiEvent.attendees || [])
+      .filter(attendee => !attendee.self && attendee.email)
+      .map(attendee => _apiEventGuest(apiEvent, attendee.email)),
+    getOriginalCalendarId: () => calendarId
+  };
+}
+
+/**
+ * Resolves which posted instance a cancelled API event refers to
+ * @param {Object} apiEvent - Cancelled event resource
+ * @param {string} calendarId - Calendar the event came from
+ * @param {string} timeZone - Optional calendar time zone, used for all-day dates
+ * @returns {Object} { eventId, instanceStart, cancelledAt } - instanceStart is null when the
+ *   whole event was cancelled, and cancelledAt (ISO) is then when it was cancelled
+ */
+function describeCancelledApiEvent(apiEvent, calendarId, timeZone = null) {
+  const instanceStart = apiEvent.originalStartTime
+    ? _parseApiEventTime(apiEvent.originalStartTime, timeZone).toISOString()
+    : null;
+
+  return {
+    eventId: _resolveCancelledEventId(apiEvent, calendarId),
+    instanceStart: instanceStart,
+    cancelledAt: instanceStart ? null : new Date(apiEvent.updated || Date.now()).toISOString()
+  };
+}
+
+/**
+ * Lists all pages of events for a calendar, expanding recurring events into instances
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} query - { syncToken } or { timeMin, timeMax }
+ * @returns {Object} { events, nextSyncToken }
+ */
+function _listCalendarEvents(calendarId, query) {
+  const events = [];
+  let pageToken = null;
+  let nextSyncToken = null;
+
+  do {
+    const options = { ...query, singleEvents: true, showDeleted: true, maxResults: 250 };
+    if (pageToken) {
+      options.pageToken = pageToken;
+    }
+
+    const response = Calendar.Events.list(calendarId, options);
+    (response.items || []).forEach(item => events.push(item));
+
+    pageToken = response.nextPageToken;
+    nextSyncToken = response.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  return { events, nextSyncToken };
+}
+
+/**
+ * Detects the "410 Gone" error returned for expired or invalidated sync tokens.
+ * Other errors that merely contain "410" (an event ID, a retry delay) are not it.
+ * @param {Error} error - Error thrown by Calendar.Events.list()
+ * @returns {boolean}
+ */
+function _isSyncTokenInvalid(error) {
+  const message = error.message || '';
+  return /sync token is no longer valid/i.test(message) ||
+    /\b410 Gone\b/i.test(message) ||
+    /\b(?:HTTP|code|status)\W{0,3}410\b/i.test(message);
+}
+
+/**
+ * Parses an API start/end object ({ dateTime } or all-day { date })
+ * @param {Object} eventTime - Calendar API EventDateTime
+ * @param {string} timeZone - Optional zone all-day dates start in (defaults to the script time zone)
+ * @returns {Date|null}
+ */
+function _parseApiEventTime(eventTime, timeZone = null) {
+  if (!eventTime) return null;
+  if (eventTime.dateTime) return new Date(eventTime.dateTime);
+  if (eventTime.date) return Utilities.parseDate(eventTime.date, timeZone || Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  return null;
+}
+
+/**
+ * Maps the current user's attendee response to CalendarApp.GuestStatus
+ * @param {Object} apiEvent - Event resource
+ * @returns {GuestStatus}
+ */
+function _apiEventMyStatus(apiEvent) {
+  const self = (apiEvent.attendees || []).find(attendee => attendee.self);
+
+  if (!self) {
+    return CalendarApp.GuestStatus.OWNER;
+  }
+
+  switch (self.responseStatus) {
+    case 'declined': return CalendarApp.GuestStatus.NO;
+    case 'tentative': return CalendarApp.GuestStatus.MAYBE;
+    case 'accepted': return self.organizer ? CalendarApp.GuestStatus.OWNER : CalendarApp.GuestStatus.YES;
+    default: return CalendarApp.GuestStatus.INVITED;
+  }
+}
+
+/**
+ * Maps an API event's visibility to CalendarApp.Visibility
+ * @param {Object} apiEvent - Event resource
+ * @returns {Visibility}
+ */
+function _apiEventVisibility(apiEvent) {
+  switch (apiEvent.visibility) {
+    case 'public': return CalendarApp.Visibility.PUBLIC;
+    case 'private': return CalendarApp.Visibility.PRIVATE;
+    case 'confidential': return CalendarApp.Visibility.CONFIDENTIAL;
+    default: return CalendarApp.Visibility.DEFAULT;
+  }
+}
+
+/**
+ * Looks up an attendee of an API event, shaped like a CalendarApp EventGuest
+ * @param {Object} apiEvent - Event resource
+ * @param {string} email - Guest email
+ * @returns {Object|null} { getEmail, getGuestStatus } or null when not a guest
+ */
+function _apiEventGuest(apiEvent, email) {
+  const attendee = (apiEvent.attendees || []).find(a => (a.email || '').toLowerCase() === email.toLowerCase());
+  if (!attendee) return null;
+
+  const statuses = {
+    declined: CalendarApp.GuestStatus.NO,
+    tentative: CalendarApp.GuestStatus.MAYBE,
+    accepted: CalendarApp.GuestStatus.YES
+  };
+
+  return {
+    getEmail: () => attendee.email,
+    getGuestStatus: () => statuses[attendee.responseStatus] || CalendarApp.GuestStatus.INVITED
+  };
+}
+
+/**
+ * Cancelled events in a sync feed may carry only their API id.
+ * Look up the iCalUID the ledger uses, falling back to the usual Google form.
+ *
+ * @param {Object} apiEvent - Cancelled event resource
+ * @param {string} calendarId - Calendar ID
+ * @returns {string} iCalUID
+ */
+function _resolveCancelledEventId(apiEvent, calendarId) {
+  if (apiEvent.iCalUID) {
+    return apiEvent.iCalUID;
+  }
+
+  const seriesId = apiEvent.recurringEventId || apiEvent.id;
+  try {
+    const seriesEvent = Calendar.Events.get(calendarId, seriesId);
+    if (seriesEvent && seriesEvent.iCalUID) {
+      return seriesEvent.iCalUID;
+    }
+  } catch (error) {
+    Logger.log(`⚠️ Could not look up cancelled event ${seriesId}: ${error.message}`);
+  }
+
+  return `${seriesId}@google.com`;
+}
+
+/**
+ * User property key holding a calendar's sync token
+ * @param {string} calendarId - Calendar ID
+ * @returns {string}
+ */
+function _syncTokenPropertyKey(calendarId) {
+  return `calendarSyncToken:${calendarId}`;
+}
+
+/**
+ * User property key holding the start of a calendar's last window read in full
+ * @param {string} calendarId - Calendar ID
+ * @returns {string}
+ */
+function _syncWindowPropertyKey(calendarId) {
+  return `calendarSyncWindow:${calendarId}`;
+}
@@ -0,0 +1,378 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🎓 Learned Client Matches - title patterns confirmed by reviewers
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// When a reviewer picks the client of a ClientReview item, or a paralegal fixes
+// the client of a posted record in FileMaker, the title's significant words are
+// remembered as a pattern for that client in the LearnedMatches tab of the
+// CentralClientList sheet:
+//   Pattern | UID_Client_PK | Client Name | Source | Confirmations | Learned By | Learned At | Last Used
+// An event title containing every word of a pattern is matched to its client
+// before the last-name index is consulted (the longest pattern wins), unless
+// the title names another client without doubt. Patterns can be shortened by
+// hand to make them apply more widely. Learned matches are firm-wide, like the
+// client list itself, so only distinctive patterns are learned and used: one
+// with a client name in it, or with at least LEARNED_MATCH_MIN_DISTINCTIVE_TOKENS
+// words that are not generic vocabulary - "Probate hearing" is no rule. Rows
+// entered by hand (Source MANUAL) are used as written.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LEARNED_MATCH_HEADERS = [
+  'Pattern',
+  'UID_Client_PK',
+  'Client Name',
+  'Source',
+  'Confirmations',
+  'Learned By',
+  'Learned At',
+  'Last Used'
+];
+
+/**
+ * Words too common in event titles to be part of a learned pattern
+ */
+const LEARNED_MATCH_IGNORED_TOKENS = ['re', 'with', 'and', 'the', 'for', 'of', 'to', 'at', 'on', 'in', 'call', 'meeting', 'mtg'];
+
+/**
+ * Event vocabulary too generic to tie a title to one client
+ */
+const LEARNED_MATCH_GENERIC_TOKENS = [
+  'hearing', 'probate', 'motion', 'status', 'court', 'courtroom', 'judge', 'trial', 'estate', 'trust', 'will',
+  'case', 'matter', 'client', 'conference', 'zoom', 'video', 'phone', 'telephone', 'tc', 'cc', 'om', 'zc', 'ron',
+  'office', 'review', 'draft', 'email', 'consult', 'consultation', 'appointment', 'follow', 'up', 'prep', 'planning',
+  'signing', 'execution', 'open', 'close', 'filing', 'deposition', 'mediation', 'intake', 'update'
+];
+
+/**
+ * Words other than generic vocabulary a pattern without a client name needs
+ */
+const LEARNED_MATCH_MIN_DISTINCTIVE_TOKENS = 2;
+
+/**
+ * Client name tokens of each client index, built on first use
+ */
+const LEARNED_MATCH_NAME_TOKENS = new WeakMap();
+
+/**
+ * Confidence of a learned match - below email, level with an alias
+ */
+const LEARNED_MATCH_CONFIDENCE = 0.9;
+
+/**
+ * Loads the learned title patterns
+ * @returns {Object} { sheet, rules: [{ row, pattern, tokens, uid, clientName, source, confirmations, learnedAt, lastUsed }] }
+ */
+function loadLearnedMatches() {
+  const learned = { sheet: null, rules: [] };
+
+  try {
+    const sheet = getCentralClientListSheet('LearnedMatches', LEARNED_MATCH_HEADERS);
+    const rows = sheet.getDataRange().getValues();
+    learned.sheet = sheet;
+
+    for (let i = 1; i < rows.length; i++) {
+      const [pattern, uid, clientName, source, confirmations, , learnedAt, lastUsed] = rows[i];
+      const tokens = getLearnedPatternTokens(pattern);
+      if (tokens.length === 0 || uid === '' || uid === null) continue;
+
+      learned.rules.push({
+        row: i + 1,
+        pattern: tokens.join(' '),
+        tokens: tokens,
+        uid: uid,
+        clientName: (clientName || '').toString(),
+        source: (source || '').toString().toUpperCase().trim() || 'MANUAL',
+        confirmations: Number(confirmations) || 1,
+        learnedAt: learnedAt,
+        lastUsed: lastUsed
+      });
+    }
+
+    Logger.log(`🎓 Loaded ${learned.rules.length} learned client matches`);
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load learned client matches: ${error.message}`);
+  }
+
+  return learned;
+}
+
+/**
+ * Reduces an event title to the words a learned pattern is made of
+ * @param {string} text - Event title or pattern
+ * @returns {Array<string>} normalized tokens without common words, numbers and single letters
+ */
+function getLearnedPatternTokens(text) {
+  const tokens = tokenizeNameText(text)
+    .map(t => t.token)
+    .filter(token => token.length > 1 && !/^\d+$/.test(token) && !LEARNED_MATCH_IGNORED_TOKENS.includes(token));
+
+  return tokens.filter((token, index) => tokens.indexOf(token) === index);
+}
+
+/**
+ * Matches an event title against the learned patterns
+ * @param {string} title - Event title
+ * @param {Object} learned - Store from loadLearnedMatches()
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {Object|null} { name, uid, firstName, lastName, matchedPattern, confidence, candidates, matchSource: 'learned' } or null
+ */
+function findLearnedClientMatch(title, learned, clientIndex) {
+  if (!learned || learned.rules.length === 0) {
+    return null;
+  }
+
+  const titleTokens = getLearnedPatternTokens(title);
+  const rule = learned.rules
+    .filter(candidate => candidate.tokens.every(token => titleTokens.includes(token)))
+    .filter(candidate => candidate.source === 'MANUAL' || isDistinctiveLearnedPattern(candidate.tokens, clientIndex))
+    .sort((a, b) => b.tokens.length - a.tokens.length || b.confirmations - a.confirmations)[0];
+
+  if (!rule) {
+    return null;
+  }
+
+  const client = findClientByUid(clientIndex, rule.uid);
+  console.log(`  🎓 LEARNED MATCH: "${title}" contains "${rule.pattern}" → UID: ${rule.uid}`);
+  _touchLearnedMatch(learned, rule);
+
+  return {
+    name: client ? client.lastName.toLowerCase() : '',
+    uid: client ? client.uid : rule.uid,
+    firstName: client ? client.firstName : rule.clientName,
+    lastName: client ? client.lastName : '',
+    matchedPattern: rule.pattern,
+    confidence: LEARNED_MATCH_CONFIDENCE,
+    candidates: [],
+    matchSource: 'learned'
+  };
+}
+
+/**
+ * Whether a pattern says enough to tie a title to one client: it names a client
+ * or has enough words that are not generic vocabulary
+ * @param {Array<string>} tokens - Pattern tokens from getLearnedPatternTokens()
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {boolean}
+ */
+function isDistinctiveLearnedPattern(tokens, clientIndex) {
+  const distinctive = tokens.filter(token => !LEARNED_MATCH_GENERIC_TOKENS.includes(token));
+  if (distinctive.length >= LEARNED_MATCH_MIN_DISTINCTIVE_TOKENS) {
+    return true;
+  }
+
+  const nameTokens = clientIndex ? _learnedMatchNameTokens(clientIndex) : new Set();
+  return distinctive.some(token => nameTokens.has(token));
+}
+
+/**
+ * Learns (or confirms) the client of an event title
+ * @param {Object} learned - Store from loadLearnedMatches()
+ * @param {string} title - Event title as posted
+ * @param {string|number} uid - Confirmed client UID
+ * @param {string} clientName - Client name for the sheet
+ * @param {string} source - REVIEW | FILEMAKER | MANUAL
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet(), to recognize client names
+ * @returns {Object|null} the learned rule, or null when the title has no distinctive words
+ */
+function learnClientMatch(learned, title, uid, clientName, source, clientIndex = null) {
+  const tokens = getLearnedPatternTokens(title);
+  if (!learned || !learned.sheet || tokens.length === 0) {
+    return null;
+  }
+
+  if (!isDistinctiveLearnedPattern(tokens, clientIndex)) {
+    Logger.log(`🎓 Not learned: "${tokens.join(' ')}" is too generic to tie to client ${uid}`);
+    return null;
+  }
+
+  const pattern = tokens.join(' ');
+  const existing = learned.rules.find(rule => rule.pattern === pattern);
+
+  try {
+    if (existing && String(existing.uid) === String(uid)) {
+      existing.confirmations++;
+      learned.sheet.getRange(existing.row, LEARNED_MATCH_HEADERS.indexOf('Confirmations') + 1).setValue(existing.confirmations);
+      Logger.log(`🎓 Confirmed learned match "${pattern}" → ${uid} (${existing.confirmations} confirmations)`);
+      return existing;
+    }
+
+    const rule = {
+      row: existing ? existing.row : null,
+      pattern: pattern,
+      tokens: tokens,
+      uid: uid,
+      clientName: clientName || '',
+      source: source,
+      confirmations: 1,
+      learnedAt: new Date(),
+      lastUsed: ''
+    };
+    const values = [pattern, uid, rule.clientName, source, 1, Session.getActiveUser().getEmail(), rule.learnedAt, ''];
+
+    // The latest correction of a pattern replaces the client learned before
+    if (existing) {
+      learned.sheet.getRange(existing.row, 1, 1, LEARNED_MATCH_HEADERS.length).setValues([values]);
+      learned.rules[learned.rules.indexOf(existing)] = rule;
+      Logger.log(`🎓 Relearned "${pattern}": ${existing.uid} → ${uid}`);
+    } else {
+      rule.row = appendCentralClientListRow(learned.sheet, values);
+      learned.rules.push(rule);
+      Logger.log(`🎓 Learned "${pattern}" → ${uid} (${source})`);
+    }
+
+    return rule;
+
+  } catch (error) {
+    Logger.log(`⚠️ Could not learn client match "${pattern}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Learns from clients corrected by hand in FileMaker on records posted in the
+ * last few days, and adopts the corrected client into the PostedEvents ledger so
+ * later runs do not flag the record. Run from the editor or a daily trigger.
+ *
+ * @param {number} days - How far back to look at posted records
+ * @returns {Object} { checked, learned, failed }
+ */
+function learnFromFileMakerCorrections(days = 30) {
+  const result = { checked: 0, learned: 0, failed: 0 };
+  const ledger = loadPostedEventLedger();
+  const trackedFields = getPostedEventTrackedFields(loadSystemSettings());
+  const clientIndex = loadClientIndexFromSheet();
+  const learned = loadLearnedMatches();
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+
+  // A record of an event billed to several clients does not tie its title to one client
+  Object.values(ledger.entries)
+    .filter(entry => ['POSTED', 'UPDATED'].includes(entry.status) && entry.payload && entry.postedAt && new Date(entry.postedAt) >= cutoff)
+    .filter(entry => !isClientSharePostedEvent(entry))
+    .forEach(entry => {
+      try {
+        result.checked++;
+        const record = retryOperation(() => getFileMakerRecord(entry.recordId), 2, 1000);
+        const correctedUid = record ? record.fieldData.UID_Client_fk : '';
+        const postedUid = entry.payload.UID_Client_fk === undefined ? '' : entry.payload.UID_Client_fk;
+        if (correctedUid === '' || correctedUid === undefined || String(correctedUid) === String(postedUid)) {
+          return;
+        }
+
+        const client = findClientByUid(clientIndex, correctedUid);
+        learnClientMatch(learned, entry.payload.Body, correctedUid, client ? `${client.firstName} ${client.lastName}`.trim() : '', 'FILEMAKER', clientIndex);
+        adoptFileMakerClientCorrection(ledger, entry, record, trackedFields);
+        result.learned++;
+
+      } catch (error) {
+        Logger.log(`❌ Could not check FileMaker record ${entry.recordId}: ${error.message}`);
+        result.failed++;
+      }
+    });
+
+  Logger.log(`🎓 FileMaker corrections: checked ${result.checked}, learned ${result.learned}, failed ${result.failed}`);
+  return result;
+}
+
+/**
+ * Lists the learned client matches (admin tool - run from the editor)
+ * @returns {Array} learned rules
+ */
+function listLearnedClientMatches() {
+  const learned = loadLearnedMatches();
+
+  Logger.log('🎓 LEARNED CLIENT MATCHES:');
+  learned.rules.forEach((rule, index) => {
+    Logger.log(`${index + 1}. "${rule.pattern}" → ${rule.uid} ${rule.clientName} (${rule.source}, ${rule.confirmations} confirmations, last used ${rule.lastUsed || 'never'})`);
+  });
+
+  return learned.rules;
+}
+
+/**
+ * Removes learned matches whose client is no longer in the client list, or that
+ * have not matched an event for a while (admin tool - run from the editor)
+ * @param {number} unusedDays - Remove rules unused (or, if never used, learned) longer ago than this
+ * @returns {Array} removed rules
+ */
+function pruneLearnedClientMatches(unusedDays = 365) {
+  const learned = loadLearnedMatches();
+  const clientIndex = loadClientIndexFromSheet();
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - unusedDays);
+
+  const removed = learned.rules.filter(rule => {
+    const lastActivity = rule.lastUsed || rule.learnedAt;
+    return !findClientByUid(clientIndex, rule.uid) || (lastActivity && new Date(lastActivity) < cutoff);
+  });
+
+  _deleteLearnedMatches(learned, removed);
+  Logger.log(`🧹 Pruned ${removed.length} learned client matches (unknown client or unused for ${unusedDays} days)`);
+  return removed;
+}
+
+/**
+ * Removes the learned match for a pattern (admin tool - run from the editor)
+ * @param {string} pattern - Pattern as listed, or an event title reducing to it
+ * @returns {boolean} true when a rule was removed
+ */
+function forgetLearnedClientMatch(pattern) {
+  const learned = loadLearnedMatches();
+  const wanted = getLearnedPatternTokens(pattern).join(' ');
+  const removed = learned.rules.filter(rule => rule.pattern === wanted);
+
+  _deleteLearnedMatches(learned, removed);
+  Logger.log(removed.length > 0 ? `🧹 Forgot learned match "${wanted}"` : `ℹ️ No learned match for "${wanted}"`);
+  return removed.length > 0;
+}
+
+/**
+ * Lists the name tokens of every client and alias in a client index
+ * @param {Object} clientIndex - Index from loadClientIndexFromSheet()
+ * @returns {Set<string>} normalized tokens
+ */
+function _learnedMatchNameTokens(clientIndex) {
+  if (!LEARNED_MATCH_NAME_TOKENS.has(clientIndex)) {
+    const tokens = new Set();
+    clientIndex.clients.forEach(client => client.firstTokens.concat(client.lastTokens).forEach(token => tokens.add(token)));
+    Object.keys(clientIndex.byAlias || {}).forEach(alias => alias.split(' ').forEach(token => tokens.add(token)));
+    LEARNED_MATCH_NAME_TOKENS.set(clientIndex, tokens);
+  }
+  return LEARNED_MATCH_NAME_TOKENS.get(clientIndex);
+}
+
+/**
+ * Records when a learned rule last matched (at most one write per rule per day)
+ * @param {Object} learned - Store from loadLearnedMatches()
+ * @param {Object} rule - Matched rule
+ */
+function _touchLearnedMatch(learned, rule) {
+  const today = new Date();
+  if (!learned.sheet || (rule.lastUsed && new Date(rule.lastUsed).toDateString() === today.toDateString())) {
+    return;
+  }
+
+  try {
+    rule.lastUsed = today;
+    learned.sheet.getRange(rule.row, LEARNED_MATCH_HEADERS.indexOf('Last Used') + 1).setValue(today);
+  } catch (error) {
+    Logger.log(`⚠️ Could not record use of learned match "${rule.pattern}": ${error.message}`);
+  }
+}
+
+/**
+ * Deletes learned rules from the sheet, bottom row first so row numbers stay valid
+ * @param {Object} learned - Store from loadLearnedMatches()
+ * @param {Array} rules - Rules to delete
+ */
+function _deleteLearnedMatches(learned, rules) {
+  rules
+    .map(rule => rule.row)
+    .sort((a, b) => b - a)
+    .forEach(row => learned.sheet.deleteRow(row));
+
+  learned.rules = learned.rules.filter(rule => !rules.includes(rule));
+}
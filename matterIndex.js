@@ -0,0 +1,173 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 📁 Matter Index - picks the matter of a client from title cues
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Time in FileMaker belongs to matters, and many clients have several open
+// estates or cases. The daily client sync also copies the open matters into
+// the Matters tab of the client match spreadsheet (see syncMattersToSheet):
+//   UID_Matter_PK | UID_Client_fk | Matter Name | Case Type | Case Number | Decedent
+// Once the client of an event is known, its matter is picked from cues in the
+// title, location and description, strongest first: case number, decedent
+// name, matter name, case type. A client with a single open matter always gets
+// it; when the cues do not settle between several matters none is sent.
+// A #matter directive, then the matter of a case number in the case table
+// (see caseNumbers.js), win over all of this.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MATTER_HEADERS = ['UID_Matter_PK', 'UID_Client_fk', 'Matter Name', 'Case Type', 'Case Number', 'Decedent'];
+
+/**
+ * Score of each matter cue - the matter with the best score wins
+ */
+const MATTER_CUE_SCORES = {
+  'case number': 4,
+  'decedent': 3,
+  'matter name': 2,
+  'case type': 1
+};
+
+/**
+ * Case numbers shorter than this (letters and digits only) are not used as cues
+ */
+const MATTER_MIN_CASE_NUMBER_LENGTH = 5;
+
+/**
+ * Loads the open matters from the Matters tab into a matter index
+ * @returns {Object} index from buildMatterIndex() (empty when the tab cannot be read)
+ */
+function loadMatterIndexFromSheet() {
+  try {
+    const rows = _openClientMatchTab('Matters', MATTER_HEADERS).getDataRange().getValues();
+    const matterIndex = buildMatterIndex(rows.slice(1));
+
+    Logger.log(`📁 Indexed ${matterIndex.matters.length} open matters for ${Object.keys(matterIndex.byClient).length} clients`);
+    return matterIndex;
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load matter index from sheet: ${error.message}`);
+    return buildMatterIndex([]);
+  }
+}
+
+/**
+ * Builds the matter index
+ * @param {Array} rows - [UID_Matter_PK, UID_Client_fk, Matter Name, Case Type, Case Number, Decedent] rows
+ * @returns {Object} { matters, byClient } with byClient keyed by client UID → matters
+ */
+function buildMatterIndex(rows) {
+  const matterIndex = { matters: [], byClient: {} };
+
+  rows.forEach(([uid, clientUid, name, caseType, caseNumber, decedent]) => {
+    if (!uid || !clientUid) return;
+
+    const matter = {
+      uid: uid,
+      clientUid: clientUid,
+      name: (name || '').toString().trim(),
+      caseType: (caseType || '').toString().trim(),
+      caseNumber: (caseNumber || '').toString().trim(),
+      decedent: (decedent || '').toString().trim()
+    };
+    const recognized = findCaseNumbers(matter.caseNumber.toUpperCase())[0];
+    matter.caseNumberKey = recognized ? recognized.caseNumber : null;
+    matter.caseNumberCompact = _compactCaseNumber(matter.caseNumber);
+    matter.nameTokens = tokenizeNameText(matter.name).map(t => t.token);
+    matter.caseTypeTokens = tokenizeNameText(matter.caseType).map(t => t.token);
+    matter.decedentTokens = tokenizeNameText(matter.decedent).map(t => t.token);
+
+    const key = String(clientUid);
+    matterIndex.matters.push(matter);
+    (matterIndex.byClient[key] = matterIndex.byClient[key] || []).push(matter);
+  });
+
+  return matterIndex;
+}
+
+/**
+ * Picks the matter of a matched client from the event's title, location and notes
+ * @param {Object} clientMatch - Client match (needs uid; a case number match brings its matterUid)
+ * @param {Object} context - { title, location, notes } of the event
+ * @param {Object} matterIndex - Index from loadMatterIndexFromSheet()
+ * @returns {Object|null} { uid, name, matchedBy } or null when the client has no open
+ *   matter or the cues do not settle between several
+ */
+function matchMatterForEvent(clientMatch, context, matterIndex) {
+  if (clientMatch && clientMatch.matterUid) {
+    console.log(`  📁 Matter ${clientMatch.matterUid} (case number ${clientMatch.caseNumber})`);
+    return { uid: clientMatch.matterUid, name: '', matchedBy: 'case number' };
+  }
+
+  if (!clientMatch || !clientMatch.uid || !matterIndex) {
+    return null;
+  }
+
+  const matters = matterIndex.byClient[String(clientMatch.uid)] || [];
+  if (matters.length === 0) {
+    return null;
+  }
+  if (matters.length === 1) {
+    console.log(`  📁 Matter ${matters[0].uid} (only open matter of client ${clientMatch.uid})`);
+    return { uid: matters[0].uid, name: matters[0].name, matchedBy: 'only matter' };
+  }
+
+  const text = [context.title, context.location, context.notes].filter(part => part).join(' ');
+  const tokens = tokenizeNameText(text).map(t => t.token);
+  const caseNumbers = findCaseNumbers(text).map(hit => hit.caseNumber);
+  const compactText = _compactCaseNumber(text);
+
+  const scored = matters
+    .map(matter => ({ matter: matter, cue: _bestMatterCue(matter, tokens, caseNumbers, compactText) }))
+    .filter(result => result.cue)
+    .sort((a, b) => MATTER_CUE_SCORES[b.cue] - MATTER_CUE_SCORES[a.cue]);
+
+  if (scored.length === 0) {
+    console.log(`  📁 No matter cue for client ${clientMatch.uid} (${matters.length} open matters)`);
+    return null;
+  }
+
+  if (scored.length > 1 && scored[0].cue === scored[1].cue) {
+    console.log(`  📁 Matter cues tie (${scored[0].cue}) between ${scored.filter(r => r.cue === scored[0].cue).map(r => r.matter.uid).join(', ')} - no matter sent`);
+    return null;
+  }
+
+  const best = scored[0];
+  console.log(`  📁 Matter ${best.matter.uid} "${best.matter.name}" (${best.cue})`);
+  return { uid: best.matter.uid, name: best.matter.name, matchedBy: best.cue };
+}
+
+/**
+ * Finds the strongest cue for a matter in the event text
+ * @param {Object} matter - Indexed matter
+ * @param {Array<string>} tokens - Normalized event text tokens
+ * @param {Array<string>} caseNumbers - Canonical case numbers recognized in the event text
+ * @param {string} compactText - Event text with only letters and digits
+ * @returns {string|null} cue name from MATTER_CUE_SCORES, or null
+ */
+function _bestMatterCue(matter, tokens, caseNumbers, compactText) {
+  if (matter.caseNumberKey && caseNumbers.includes(matter.caseNumberKey)) {
+    return 'case number';
+  }
+  if (matter.caseNumberCompact.length >= MATTER_MIN_CASE_NUMBER_LENGTH && compactText.includes(matter.caseNumberCompact)) {
+    return 'case number';
+  }
+  if (matter.decedentTokens.length > 0 && findTokenSequence(tokens, matter.decedentTokens).length > 0) {
+    return 'decedent';
+  }
+  if (matter.nameTokens.length > 0 && findTokenSequence(tokens, matter.nameTokens).length > 0) {
+    return 'matter name';
+  }
+  if (matter.caseTypeTokens.length > 0 && findTokenSequence(tokens, matter.caseTypeTokens).length > 0) {
+    return 'case type';
+  }
+  return null;
+}
+
+/**
+ * Reduces a case number (or text) to lower-case letters and digits, so
+ * "2024-P-000123" and "2024P000123" compare equal
+ * @param {string} text - Case number or event text
+ * @returns {string}
+ */
+function _compactCaseNumber(text) {
+  return (text || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
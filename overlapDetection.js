@@ -0,0 +1,156 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ⏱️ Overlapping Event Detection
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Before posting, a run's timed same-day events are checked for overlaps so a
+// call inside a meeting block is not billed twice. The overlapPolicy setting
+// decides what happens:
+//   BILL_BOTH  - both events are posted at full length (overlap is only reported)
+//   TRIM_OUTER - the longer event is billed without the time covered by the shorter ones
+//   REVIEW     - neither event is posted; both are reported for review
+// Events that are filtered out, or known to be personal from their keyword,
+// color or an excluded recurring series, are left out of the analysis, as are
+// events whose hours are set by a #nobill or hours directive.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const OVERLAP_POLICIES = ['BILL_BOTH', 'TRIM_OUTER', 'REVIEW'];
+
+/**
+ * Finds overlapping events in a run and works out the adjustments for the policy
+ * @param {Array} items - Items from fetchCalendarEventsForRun() [{ event, calendarId, timeZone }]
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {Array} vocabulary - Unified event vocabulary
+ * @param {Object} colorMap - Map from loadEventColorMap()
+ * @param {Object} seriesDefaults - Optional defaults from loadRecurringSeriesDefaults()
+ * @returns {Object} { policy, overlaps: [{ outer, inner, date, minutes, action }], adjustments: { ledgerKey: { action, hours, note } } }
+ */
+function analyzeEventOverlaps(items, settings, vocabulary, colorMap, seriesDefaults = null) {
+  let policy = (settings.overlapPolicy || '').toString().toUpperCase().trim();
+  if (!OVERLAP_POLICIES.includes(policy)) {
+    Logger.log(`⚠️ Unknown overlap policy "${settings.overlapPolicy}" - using BILL_BOTH`);
+    policy = 'BILL_BOTH';
+  }
+
+  const candidates = items
+    .filter(({ event, timeZone }) => _isOverlapCandidate(event, settings, vocabulary, colorMap, resolveTimeZone(settings, timeZone), seriesDefaults))
+    .map(({ event, calendarId }) => ({
+      key: buildLedgerRef(event, null, calendarId).key,
+      title: getEventDirectives(event).title,
+      start: event.getStartTime(),
+      end: event.getEndTime()
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const overlaps = [];
+  const adjustments = {};
+  const trimmedIntervals = {};
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length && candidates[j].start < candidates[i].end; j++) {
+      const [outer, inner] = (candidates[j].end - candidates[j].start) > (candidates[i].end - candidates[i].start)
+        ? [candidates[j], candidates[i]]
+        : [candidates[i], candidates[j]];
+
+      const overlapStart = new Date(Math.max(outer.start, inner.start));
+      const overlapEnd = new Date(Math.min(outer.end, inner.end));
+      const minutes = Math.round((overlapEnd - overlapStart) / 60000);
+      if (minutes <= 0) continue;
+
+      overlaps.push({
+        outer: outer.title,
+        inner: inner.title,
+        date: overlapStart.toLocaleString(),
+        minutes: minutes,
+        action: policy
+      });
+      Logger.log(`⏱️ Overlap: "${inner.title}" overlaps "${outer.title}" by ${minutes} min (${policy})`);
+
+      if (policy === 'REVIEW') {
+        adjustments[outer.key] = { action: 'REVIEW', hours: null, note: `Overlaps "${inner.title}" by ${minutes} min` };
+        adjustments[inner.key] = { action: 'REVIEW', hours: null, note: `Overlaps "${outer.title}" by ${minutes} min` };
+      } else if (policy === 'TRIM_OUTER') {
+        trimmedIntervals[outer.key] = trimmedIntervals[outer.key] || { outer: outer, intervals: [] };
+        trimmedIntervals[outer.key].intervals.push([overlapStart, overlapEnd]);
+      }
+    }
+  }
+
+  Object.entries(trimmedIntervals).forEach(([key, { outer, intervals }]) => {
+    const billableMs = (outer.end - outer.start) - _mergedIntervalLength(intervals);
+
+    if (billableMs <= 0) {
+      adjustments[key] = { action: 'REVIEW', hours: null, note: 'Fully covered by overlapping events' };
+      return;
+    }
+
+    const hours = _calculateRoundedDuration(new Date(0), new Date(billableMs));
+    adjustments[key] = { action: 'TRIM', hours: hours, note: `Trimmed to ${hours}h for overlapping events` };
+  });
+
+  if (overlaps.length > 0) {
+    Logger.log(`⏱️ Found ${overlaps.length} overlapping event pair(s)`);
+  }
+
+  return { policy: policy, overlaps: overlaps, adjustments: adjustments };
+}
+
+/**
+ * Whether an event takes part in the overlap analysis
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {Array} vocabulary - Unified event vocabulary
+ * @param {Object} colorMap - Map from loadEventColorMap()
+ * @param {string} timeZone - Time zone the event's day is read in
+ * @param {Object} seriesDefaults - Optional defaults from loadRecurringSeriesDefaults()
+ * @returns {boolean}
+ */
+function _isOverlapCandidate(event, settings, vocabulary, colorMap, timeZone, seriesDefaults = null) {
+  if (event.isAllDayEvent() || !_isSameDay(event.getStartTime(), event.getEndTime(), timeZone)) {
+    return false;
+  }
+
+  const directives = getEventDirectives(event);
+  if (directives.noBill || directives.hours || getEventSkipReason(event, settings)) {
+    return false;
+  }
+
+  const seriesDefault = getSeriesDefault(event, seriesDefaults);
+  if (seriesDefault && seriesDefault.action === 'EXCLUDE') {
+    return false;
+  }
+
+  const colorRule = getEventColorRule(event, colorMap);
+  if (colorRule && colorRule.action === 'IGNORE') {
+    return false;
+  }
+
+  const eventMatch = directives.category
+    ? findUnifiedEventByCategory(directives.category, vocabulary)
+    : findUnifiedEventMatch(directives.title, vocabulary);
+  return !(eventMatch && eventMatch.isPersonal);
+}
+
+/**
+ * Total length of a set of time intervals, counting shared time once
+ * @param {Array} intervals - [[start, end], ...]
+ * @returns {number} milliseconds
+ */
+function _mergedIntervalLength(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let currentStart = null;
+  let currentEnd = null;
+
+  sorted.forEach(([start, end]) => {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) total += currentEnd - currentStart;
+      currentStart = start;
+      currentEnd = end;
+    } else if (end > currentEnd) {
+      currentEnd = end;
+    }
+  });
+
+  if (currentEnd !== null) total += currentEnd - currentStart;
+  return total;
+}
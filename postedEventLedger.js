@@ -0,0 +1,670 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 📒 Posted Event Ledger - prevents reruns from double-posting
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every calendar event instance posted to FileMaker is recorded in the
+// PostedEvents tab of the CentralClientList sheet. Reruns, backfills and
+// retries check the ledger first and skip instances that were already posted,
+// instead of relying on FileMaker rejecting duplicates.
+//
+// The ledger also keeps the posted field data and FileMaker modId, so later
+// calendar edits and deletions can be carried over to records nobody has
+// touched in FileMaker since. A client corrected by hand in FileMaker is kept
+// in the Client Override column and wins over the client read from the title.
+//
+// Ledger keys (see buildLedgerRef):
+//   <event ID>                          a single event - moving it keeps its key
+//   <event ID>|<instance start>         an instance of a recurring event, or one
+//                                       day of an event billed per day
+//   <key above>|client:<client UID>     one client's record of a shared event
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Column layout of the PostedEvents tab
+ */
+const POSTED_EVENT_LEDGER_HEADERS = [
+  'Ledger Key',
+  'Event ID',
+  'Instance Start',
+  'User Email',
+  'Record ID',
+  'Payload Hash',
+  'Posted At',
+  'Mod ID',
+  'Payload',
+  'Status',
+  'Updated At',
+  'Note',
+  'Calendar ID',
+  'Client Override'
+];
+
+/**
+ * Payload fields compared when deciding whether a posted record is stale
+ */
+const POSTED_EVENT_TRACKED_FIELDS = ['Body', 'Date', 'Time', 'Summary', 'UID_Client_fk'];
+
+/**
+ * Loads the posted-event ledger entries for one user.
+ * Throws when the ledger cannot be read - posting without it would risk duplicates.
+ *
+ * @param {string} userEmail - Optional user email (defaults to the active user)
+ * @returns {Object} ledger { sheet, userEmail, entries } with entries keyed by ledger key
+ */
+function loadPostedEventLedger(userEmail = null) {
+  const email = (userEmail || Session.getActiveUser().getEmail()).toLowerCase();
+
+  try {
+    const sheet = getCentralClientListSheet('PostedEvents', POSTED_EVENT_LEDGER_HEADERS);
+    const rows = sheet.getDataRange().getValues();
+    _ensureLedgerHeaders(sheet, rows[0]);
+
+    const entries = {};
+
+    for (let i = 1; i < rows.length; i++) {
+      const entry = _ledgerEntryFromRow(rows[i], i + 1);
+      if (entry.key && entry.userEmail === email) {
+        entries[entry.key] = entry;
+      }
+    }
+
+    Logger.log(`📒 Loaded ${Object.keys(entries).length} posted events for ${email}`);
+    return { sheet, userEmail: email, entries };
+
+  } catch (error) {
+    throw new Error(`Failed to load PostedEvents ledger from Spreadsheet: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the ledger reference for a calendar event instance.
+ * A single event is keyed by its ID alone, so moving it updates its record instead
+ * of replacing it. Recurring instances share an event ID, so their start time is
+ * part of the key, as is the day of an event billed per day.
+ *
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Date} instanceStart - Optional start of the posted instance (defaults to event start)
+ * @param {string} calendarId - Optional calendar the event was read from (recorded, not part of the key)
+ * @returns {Object} { key, eventId, instanceStart, calendarId, legacyKey } - legacyKey is the
+ *   <event ID>|<start> key a single event was recorded under before, null for other events
+ */
+function buildLedgerRef(event, instanceStart = null, calendarId = '') {
+  const eventId = event.getId();
+  const start = (instanceStart || event.getStartTime()).toISOString();
+  const startKey = `${eventId}|${start}`;
+  const single = !instanceStart && !event.isRecurringEvent();
+
+  return {
+    key: single ? eventId : startKey,
+    eventId: eventId,
+    instanceStart: start,
+    calendarId: calendarId,
+    legacyKey: single ? startKey : null
+  };
+}
+
+/**
+ * Builds the ledger reference for one client's record of an event instance
+ * billed to several clients (see clientAllocation.js). Its key is the
+ * instance's key plus client:<client UID>, so the records stay tied to the event.
+ *
+ * @param {Object} ledgerRef - Ledger ref of the instance (see buildLedgerRef)
+ * @param {string|number} clientUid - Client the record is billed to
+ * @returns {Object} { key, eventId, instanceStart, calendarId }
+ */
+function buildClientShareLedgerRef(ledgerRef, clientUid) {
+  return { ...ledgerRef, key: `${ledgerRef.key}|client:${clientUid}`, legacyKey: null };
+}
+
+/**
+ * Finds the posted client records of an event instance billed to several clients
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} ledgerRef - Ledger ref of the instance (see buildLedgerRef)
+ * @returns {Array} ledger entries not deleted
+ */
+function findClientSharePostedEvents(ledger, ledgerRef) {
+  const prefix = `${ledgerRef.key}|client:`;
+  return Object.values(ledger.entries).filter(entry =>
+    entry.status !== 'DELETED' && String(entry.key).startsWith(prefix));
+}
+
+/**
+ * Whether a ledger entry is one client's record of an event billed to several clients
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean}
+ */
+function isClientSharePostedEvent(entry) {
+  return String(entry.key).includes('|client:');
+}
+
+/**
+ * Computes a SHA-256 hex digest of a payload's field data
+ * @param {Object} payload - FileMaker payload { fieldData }
+ * @returns {string} hex digest
+ */
+function computePayloadHash(payload) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify(payload.fieldData),
+    Utilities.Charset.UTF_8
+  );
+
+  return digest
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Looks up a live (not deleted) entry in the ledger. A single event recorded under
+ * its earlier <event ID>|<start> key is moved to its current key on the way.
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} ledgerRef - Reference from buildLedgerRef()
+ * @returns {Object|null} ledger entry or null if not posted yet
+ */
+function findPostedEvent(ledger, ledgerRef) {
+  if (!ledger.entries[ledgerRef.key] && ledgerRef.legacyKey && ledger.entries[ledgerRef.legacyKey]) {
+    _rekeyLedgerEntry(ledger, ledger.entries[ledgerRef.legacyKey], ledgerRef.key);
+  }
+
+  const entry = ledger.entries[ledgerRef.key];
+  return entry && entry.status !== 'DELETED' ? entry : null;
+}
+
+/**
+ * Records a newly created FileMaker record in the ledger.
+ * Reuses the row of a previously deleted entry for the same instance.
+ *
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} ledgerRef - Reference from buildLedgerRef()
+ * @param {Object} fileMakerResult - { recordId, modId } from createFileMakerRecord()
+ * @param {Object} payload - Payload that was posted
+ * @returns {Object} the new ledger entry
+ */
+function recordPostedEvent(ledger, ledgerRef, fileMakerResult, payload) {
+  const previous = ledger.entries[ledgerRef.key];
+  const entry = {
+    row: previous ? previous.row : null,
+    key: ledgerRef.key,
+    eventId: ledgerRef.eventId,
+    instanceStart: ledgerRef.instanceStart,
+    userEmail: ledger.userEmail,
+    recordId: fileMakerResult.recordId,
+    payloadHash: computePayloadHash(payload),
+    postedAt: new Date(),
+    modId: _modIdText(fileMakerResult.modId),
+    payload: payload.fieldData,
+    status: 'POSTED',
+    updatedAt: '',
+    note: '',
+    calendarId: ledgerRef.calendarId || '',
+    clientOverride: previous ? previous.clientOverride : ''
+  };
+
+  try {
+    if (entry.row) {
+      _writeLedgerEntry(ledger, entry);
+    } else {
+      entry.row = appendCentralClientListRow(ledger.sheet, _ledgerRowFromEntry(entry));
+    }
+  } catch (error) {
+    // The record exists in FileMaker but a rerun would not know about it
+    throw new Error(`Created FileMaker record ${entry.recordId} but failed to write PostedEvents ledger: ${error.message}`);
+  }
+
+  ledger.entries[ledgerRef.key] = entry;
+  return entry;
+}
+
+/**
+ * Fields whose calendar changes are carried over to posted records, including the configured matter field
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {Array<string>} field names
+ */
+function getPostedEventTrackedFields(settings) {
+  return settings && settings.matterFieldName
+    ? POSTED_EVENT_TRACKED_FIELDS.concat(settings.matterFieldName)
+    : POSTED_EVENT_TRACKED_FIELDS;
+}
+
+/**
+ * Posts a payload to FileMaker, or brings an already-posted record up to date.
+ *
+ * - Not in the ledger → create the record
+ * - Unchanged since posting → skip
+ * - Changed and untouched in FileMaker → PATCH the record
+ * - Changed but edited in FileMaker (or awaiting review) → flag for review
+ *
+ * A client adopted from FileMaker (see adoptFileMakerClientCorrection) replaces
+ * the payload's client unless the client was named explicitly - by a #client
+ * directive or a reviewer.
+ *
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} ledgerRef - Reference from buildLedgerRef()
+ * @param {Object} payload - FileMaker payload { fieldData }
+ * @param {Array<string>} trackedFields - Optional fields whose changes are carried over (defaults to POSTED_EVENT_TRACKED_FIELDS)
+ * @param {boolean} clientNamed - Whether the payload's client was named explicitly rather than matched from the event
+ * @returns {Object} { status: 'CREATED'|'ALREADY_POSTED'|'UPDATED'|'REVIEW', recordId, changedFields }
+ */
+function postOrUpdateTimeRecord(ledger, ledgerRef, payload, trackedFields = POSTED_EVENT_TRACKED_FIELDS, clientNamed = false) {
+  const existing = findPostedEvent(ledger, ledgerRef);
+  if (!existing) {
+    const result = retryOperation(() => createFileMakerRecord(payload), 2, 1000);
+    recordPostedEvent(ledger, ledgerRef, result, payload);
+    return { status: 'CREATED', recordId: result.recordId };
+  }
+
+  if (existing.status === 'REVIEW') {
+    return { status: 'REVIEW', recordId: existing.recordId, note: existing.note };
+  }
+
+  // A single event that moved keeps its record; remember where it is now
+  if (existing.instanceStart !== ledgerRef.instanceStart) {
+    existing.instanceStart = ledgerRef.instanceStart;
+    _writeLedgerEntry(ledger, existing);
+  }
+
+  if (existing.clientOverride !== '' && !clientNamed) {
+    payload = { fieldData: { ...payload.fieldData, UID_Client_fk: existing.clientOverride } };
+  }
+
+  if (computePayloadHash(payload) === existing.payloadHash) {
+    return { status: 'ALREADY_POSTED', recordId: existing.recordId };
+  }
+
+  const changedFields = _diffTrackedFields(existing.payload, payload.fieldData, trackedFields);
+  if (changedFields.length === 0) {
+    // Only untracked fields differ - remember the new hash without touching FileMaker
+    existing.payloadHash = computePayloadHash(payload);
+    existing.payload = payload.fieldData;
+    _writeLedgerEntry(ledger, existing);
+    return { status: 'ALREADY_POSTED', recordId: existing.recordId };
+  }
+
+  if (_modIdText(existing.modId) === '') {
+    return _flagPostedEventForReview(ledger, existing,
+      `Calendar changed (${changedFields.join(', ')}) but no modId was recorded to confirm the record is untouched`);
+  }
+
+  // Clear fields that were posted before but are no longer set (e.g. client unmatched)
+  const patch = { fieldData: {} };
+  changedFields.forEach(field => {
+    patch.fieldData[field] = payload.fieldData[field] !== undefined ? payload.fieldData[field] : '';
+  });
+
+  try {
+    const result = retryOperation(() => updateFileMakerRecord(existing.recordId, patch, existing.modId), 2, 1000);
+
+    existing.modId = _modIdText(result.modId) || existing.modId;
+    existing.payloadHash = computePayloadHash(payload);
+    existing.payload = payload.fieldData;
+    existing.status = 'UPDATED';
+    existing.updatedAt = new Date();
+    existing.note = `Updated: ${changedFields.join(', ')}`;
+    _writeLedgerEntry(ledger, existing);
+
+    Logger.log(`✏️ Updated FileMaker record ${existing.recordId}: ${changedFields.join(', ')}`);
+    return { status: 'UPDATED', recordId: existing.recordId, changedFields: changedFields };
+
+  } catch (error) {
+    if (_isModIdMismatch(error)) {
+      return _flagPostedEventForReview(ledger, existing,
+        `Calendar changed (${changedFields.join(', ')}) but the record was edited in FileMaker`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Adopts a client corrected by hand in FileMaker into the ledger, so the next
+ * run compares the calendar against the corrected record. The client is pinned
+ * as the entry's client override, so later runs keep it instead of posting the
+ * client matched from the title again. The record's modId is only adopted when
+ * the client is the only tracked field edited in FileMaker; other edits still
+ * keep the record from being changed automatically.
+ *
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} entry - Ledger entry of the record
+ * @param {Object} record - Current record from getFileMakerRecord()
+ * @param {Array<string>} trackedFields - Fields from getPostedEventTrackedFields()
+ * @returns {boolean} true when the record's modId was adopted
+ */
+function adoptFileMakerClientCorrection(ledger, entry, record, trackedFields = POSTED_EVENT_TRACKED_FIELDS) {
+  const editedFields = _diffTrackedFields(entry.payload, record.fieldData, trackedFields);
+  const clientOnly = editedFields.length === 1 && editedFields[0] === 'UID_Client_fk';
+
+  entry.payload = { ...entry.payload, UID_Client_fk: record.fieldData.UID_Client_fk };
+  entry.payloadHash = computePayloadHash({ fieldData: entry.payload });
+  entry.clientOverride = String(record.fieldData.UID_Client_fk);
+  if (clientOnly) {
+    entry.modId = _modIdText(record.modId);
+  }
+  entry.updatedAt = new Date();
+  entry.note = `Client corrected in FileMaker: ${record.fieldData.UID_Client_fk}`;
+  _writeLedgerEntry(ledger, entry);
+
+  Logger.log(`🎓 Adopted FileMaker client correction on record ${entry.recordId}${clientOnly ? '' : ` (also edited: ${editedFields.join(', ')})`}`);
+  return clientOnly;
+}
+
+/**
+ * Withdraws a posted record whose calendar event was deleted or declined.
+ * Deletes the FileMaker record when it is untouched and the deletedEventAction
+ * setting is DELETE; otherwise flags the ledger entry for review.
+ *
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} entry - Ledger entry to withdraw
+ * @param {string} reason - Why the record is withdrawn (e.g. 'Event deleted')
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {Object} { status: 'DELETED'|'REVIEW'|'UNCHANGED', recordId, note }
+ */
+function retractPostedEvent(ledger, entry, reason, settings) {
+  if (entry.status === 'DELETED' || entry.status === 'REVIEW') {
+    return { status: 'UNCHANGED', recordId: entry.recordId, note: entry.note };
+  }
+
+  if (settings.deletedEventAction !== 'DELETE') {
+    return _flagPostedEventForReview(ledger, entry, reason);
+  }
+
+  if (_modIdText(entry.modId) === '') {
+    return _flagPostedEventForReview(ledger, entry, `${reason}; no modId recorded to confirm the record is untouched`);
+  }
+
+  const record = retryOperation(() => getFileMakerRecord(entry.recordId), 2, 1000);
+
+  if (record && String(record.modId) !== String(entry.modId)) {
+    return _flagPostedEventForReview(ledger, entry, `${reason}; record was edited in FileMaker`);
+  }
+
+  if (record) {
+    retryOperation(() => deleteFileMakerRecord(entry.recordId), 2, 1000);
+  }
+
+  entry.status = 'DELETED';
+  entry.updatedAt = new Date();
+  entry.note = record ? reason : `${reason}; record was already gone from FileMaker`;
+  _writeLedgerEntry(ledger, entry);
+
+  Logger.log(`🗑️ Deleted FileMaker record ${entry.recordId}: ${reason}`);
+  return { status: 'DELETED', recordId: entry.recordId, note: entry.note };
+}
+
+/**
+ * Withdraws whatever was posted for an event that is no longer billable,
+ * the records of every client of a shared event included
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Array} ledgerRefs - Ledger refs of the event's entries (see buildLedgerRef)
+ * @param {string} reason - Why the records are withdrawn
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {Array} results from retractPostedEvent() for each posted entry found
+ */
+function retractPostedEventRefs(ledger, ledgerRefs, reason, settings) {
+  return ledgerRefs
+    .map(ledgerRef => [findPostedEvent(ledger, ledgerRef)].concat(findClientSharePostedEvents(ledger, ledgerRef)))
+    .reduce((all, entries) => all.concat(entries), [])
+    .filter(entry => entry)
+    .map(entry => retractPostedEvent(ledger, entry, reason, settings));
+}
+
+/**
+ * Withdraws the records of an event instance that its current clients no longer
+ * account for: the single record once the instance is shared between several
+ * clients, a client's share once that client is gone, or the shares once the
+ * instance has a single client again
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} ledgerRef - Ledger ref of the instance (see buildLedgerRef)
+ * @param {Array<string>} currentKeys - Ledger keys of the records the instance is posted as now
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {Array} results from retractPostedEvent() for each record withdrawn
+ */
+function retractSupersededPostedEvents(ledger, ledgerRef, currentKeys, settings) {
+  return [findPostedEvent(ledger, ledgerRef)].concat(findClientSharePostedEvents(ledger, ledgerRef))
+    .filter(entry => entry && !currentKeys.includes(entry.key))
+    .map(entry => retractPostedEvent(ledger, entry, 'Clients of the event changed', settings));
+}
+
+/**
+ * Marks the ledger entries of every fetched event as seen before any event is
+ * processed, so an event the run never gets to (timeout, failure) is not taken
+ * for deleted from the calendar. An entry belongs to a fetched event when it has
+ * the event's ID and its instance starts within the event's time span.
+ *
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Array} items - Fetched items [{ event, calendarId }] from fetchCalendarEventsForRun()
+ * @param {Object} seenKeys - Ledger keys seen in this run { key: true }, updated in place
+ */
+function markFetchedPostedEvents(ledger, items, seenKeys) {
+  const spans = {};
+  items.forEach(({ event }) => {
+    const start = event.getStartTime().getTime();
+    (spans[event.getId()] = spans[event.getId()] || []).push([start, Math.max(event.getEndTime().getTime(), start + 1)]);
+  });
+
+  Object.values(ledger.entries).forEach(entry => {
+    const instanceStart = new Date(entry.instanceStart).getTime();
+    if ((spans[entry.eventId] || []).some(([start, end]) => instanceStart >= start && instanceStart < end)) {
+      seenKeys[entry.key] = true;
+    }
+  });
+}
+
+/**
+ * Finds posted entries whose calendar event no longer exists: entries inside the
+ * processed window that were not fetched, plus entries of events the incremental
+ * feed reported as cancelled. Only call it after a run that handled every fetched
+ * event - an event that failed was never marked as seen.
+ * The window is only checked on calendars whose whole window was read in this run;
+ * elsewhere (inaccessible calendar, UserCalendars failed to load, incremental run
+ * that only read changes) an entry that was not fetched was not deleted either.
+ * When a whole recurring or multi-day event is cancelled, the records of its
+ * instances that started before the cancellation are kept.
+ *
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} seenKeys - Ledger keys of all events fetched in this run { key: true }
+ * @param {Date} startDate - Window start
+ * @param {Date} endDate - Window end
+ * @param {Array} cancelled - Optional cancelled events [{ eventId, instanceStart, cancelledAt, calendarId }]
+ * @param {Array<string>} calendarIds - Calendars whose whole window was read in this run (see fetchCalendarEventsForRun)
+ * @returns {Array} ledger entries that are missing from the calendar
+ */
+function findMissingPostedEvents(ledger, seenKeys, startDate, endDate, cancelled = [], calendarIds = []) {
+  // Entries recorded before the Calendar ID column came from the primary calendar, whose ID is the user's email
+  const calendarOf = entry => entry.calendarId || ledger.userEmail;
+
+  const missing = Object.values(ledger.entries).filter(entry => {
+    if (entry.status === 'DELETED' || entry.status === 'REVIEW') return false;
+    if (seenKeys[entry.key] || !calendarIds.includes(calendarOf(entry))) return false;
+
+    const instanceStart = new Date(entry.instanceStart);
+    return instanceStart >= startDate && instanceStart < endDate;
+  });
+
+  cancelled.forEach(item => {
+    findPostedEventsByEventId(ledger, item.eventId, item.instanceStart).forEach(entry => {
+      if (missing.includes(entry) || seenKeys[entry.key] || calendarOf(entry) !== item.calendarId) return;
+
+      if (!item.instanceStart && !_isSingleEventEntry(entry) && new Date(entry.instanceStart) < new Date(item.cancelledAt)) {
+        Logger.log(`📒 Kept ${entry.key}: it took place before event ${item.eventId} was cancelled`);
+        return;
+      }
+      missing.push(entry);
+    });
+  });
+
+  return missing;
+}
+
+/**
+ * Finds live ledger entries for a cancelled calendar event
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {string} eventId - Calendar event ID (iCalUID)
+ * @param {string} instanceStart - Optional ISO start of a single cancelled instance
+ * @returns {Array} matching ledger entries
+ */
+function findPostedEventsByEventId(ledger, eventId, instanceStart = null) {
+  return Object.values(ledger.entries).filter(entry => {
+    if (entry.status === 'DELETED' || entry.status === 'REVIEW') return false;
+    if (entry.eventId !== eventId) return false;
+    return !instanceStart || new Date(entry.instanceStart).getTime() === new Date(instanceStart).getTime();
+  });
+}
+
+/**
+ * Whether a ledger entry is the record (or a client's share) of a single event,
+ * rather than of one instance or day of it (see buildLedgerRef)
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean}
+ */
+function _isSingleEventEntry(entry) {
+  return entry.key === entry.eventId || entry.key.startsWith(`${entry.eventId}|client:`);
+}
+
+/**
+ * Marks a ledger entry as needing human review
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} entry - Ledger entry
+ * @param {string} note - Reason shown to the reviewer
+ * @returns {Object} { status: 'REVIEW', recordId, note }
+ */
+function _flagPostedEventForReview(ledger, entry, note) {
+  entry.status = 'REVIEW';
+  entry.updatedAt = new Date();
+  entry.note = note;
+  _writeLedgerEntry(ledger, entry);
+
+  Logger.log(`🚩 Flagged FileMaker record ${entry.recordId} for review: ${note}`);
+  return { status: 'REVIEW', recordId: entry.recordId, note: note };
+}
+
+/**
+ * Moves a ledger entry to a new key, keeping its row
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} entry - Ledger entry
+ * @param {string} key - New ledger key
+ */
+function _rekeyLedgerEntry(ledger, entry, key) {
+  delete ledger.entries[entry.key];
+  Logger.log(`📒 Ledger key ${entry.key} → ${key}`);
+  entry.key = key;
+  ledger.entries[key] = entry;
+  _writeLedgerEntry(ledger, entry);
+}
+
+/**
+ * Lists the tracked fields whose values differ between two fieldData objects
+ * @param {Object} before - Previously posted fieldData
+ * @param {Object} after - Newly built fieldData
+ * @param {Array<string>} trackedFields - Fields to compare (defaults to POSTED_EVENT_TRACKED_FIELDS)
+ * @returns {Array<string>} changed field names
+ */
+function _diffTrackedFields(before, after, trackedFields = POSTED_EVENT_TRACKED_FIELDS) {
+  const previous = before || {};
+  return trackedFields.filter(field => {
+    const oldValue = previous[field] === undefined ? '' : String(previous[field]);
+    const newValue = after[field] === undefined ? '' : String(after[field]);
+    return oldValue !== newValue;
+  });
+}
+
+/**
+ * Detects FileMaker error 306 "Record modification ID does not match"
+ * @param {Error} error - Error thrown by updateFileMakerRecord()
+ * @returns {boolean}
+ */
+function _isModIdMismatch(error) {
+  return /"code":"306"/.test(error.message || '');
+}
+
+/**
+ * A FileMaker modId as text, '' when none was recorded. Sheets reads a modId of
+ * "0" back as the number 0, which must still count as a recorded modId.
+ * @param {string|number} modId - modId from FileMaker or a PostedEvents row
+ * @returns {string}
+ */
+function _modIdText(modId) {
+  return modId === undefined || modId === null ? '' : String(modId);
+}
+
+/**
+ * Appends any ledger columns missing from an older PostedEvents tab
+ * @param {Sheet} sheet - PostedEvents sheet
+ * @param {Array} headerRow - Current header row values
+ */
+function _ensureLedgerHeaders(sheet, headerRow) {
+  const existing = (headerRow || []).filter(header => header !== '');
+  if (existing.length < POSTED_EVENT_LEDGER_HEADERS.length) {
+    sheet.getRange(1, 1, 1, POSTED_EVENT_LEDGER_HEADERS.length).setValues([POSTED_EVENT_LEDGER_HEADERS]);
+    Logger.log('📋 Added missing PostedEvents ledger columns');
+  }
+}
+
+/**
+ * Converts a PostedEvents row into a ledger entry
+ * @param {Array} row - Sheet row values
+ * @param {number} rowNumber - 1-based sheet row
+ * @returns {Object} ledger entry
+ */
+function _ledgerEntryFromRow(row, rowNumber) {
+  const [key, eventId, instanceStart, userEmail, recordId, payloadHash, postedAt,
+         modId, payloadJson, status, updatedAt, note, calendarId, clientOverride] = row;
+
+  let payload = null;
+  try {
+    payload = payloadJson ? JSON.parse(payloadJson) : null;
+  } catch (e) {
+    payload = null;
+  }
+
+  return {
+    row: rowNumber,
+    key: key,
+    eventId: eventId,
+    instanceStart: instanceStart instanceof Date ? instanceStart.toISOString() : instanceStart,
+    userEmail: userEmail ? userEmail.toString().toLowerCase() : '',
+    recordId: recordId,
+    payloadHash: payloadHash,
+    postedAt: postedAt,
+    modId: _modIdText(modId),
+    payload: payload,
+    status: status || 'POSTED',
+    updatedAt: updatedAt || '',
+    note: note || '',
+    calendarId: calendarId || '',
+    clientOverride: clientOverride === undefined || clientOverride === null ? '' : String(clientOverride)
+  };
+}
+
+/**
+ * Converts a ledger entry into a PostedEvents row
+ * @param {Object} entry - Ledger entry
+ * @returns {Array} row values in POSTED_EVENT_LEDGER_HEADERS order
+ */
+function _ledgerRowFromEntry(entry) {
+  return [
+    entry.key,
+    entry.eventId,
+    entry.instanceStart,
+    entry.userEmail,
+    entry.recordId,
+    entry.payloadHash,
+    entry.postedAt,
+    entry.modId,
+    entry.payload ? JSON.stringify(entry.payload) : '',
+    entry.status,
+    entry.updatedAt,
+    entry.note,
+    entry.calendarId || '',
+    entry.clientOverride || ''
+  ];
+}
+
+/**
+ * Overwrites an existing ledger row with the entry's current values
+ * @param {Object} ledger - Ledger from loadPostedEventLedger()
+ * @param {Object} entry - Ledger entry with a row number
+ */
+function _writeLedgerEntry(ledger, entry) {
+  ledger.sheet
+    .getRange(entry.row, 1, 1, POSTED_EVENT_LEDGER_HEADERS.length)
+    .setValues([_ledgerRowFromEntry(entry)]);
+}
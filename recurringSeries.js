@@ -0,0 +1,178 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🔁 Recurring Series Defaults
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Instances of a recurring event share one event ID (iCalUID), so the client
+// and category chosen for a weekly standing call can be remembered once and
+// applied to every later instance, even when an instance's title changes.
+// Kept in the RecurringSeries tab of the CentralClientList sheet:
+//   Series ID | Title | User Email | Client UID | Client Name | Category | Action | Source | Updated At
+// The first billable instance with a client or keyword match adds a MATCHED
+// row. Rows are never overwritten by the sync, so a row edited or added by
+// hand (Source MANUAL) stays in force. Action EXCLUDE keeps every instance of
+// the series (e.g. a weekly staff meeting) out of FileMaker.
+// Rows without a user email apply firm-wide; rows with one override it for that user.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RECURRING_SERIES_HEADERS = [
+  'Series ID',
+  'Title',
+  'User Email',
+  'Client UID',
+  'Client Name',
+  'Category',
+  'Action',
+  'Source',
+  'Updated At'
+];
+
+const RECURRING_SERIES_ACTIONS = ['BILLABLE', 'EXCLUDE'];
+
+/**
+ * Loads the recurring series defaults for a user
+ * @param {string} userEmail - Optional user email (defaults to the active user)
+ * @returns {Object} { sheet, userEmail, series } with series keyed by series ID →
+ *   { seriesId, title, clientUid, clientName, category, action, source }
+ */
+function loadRecurringSeriesDefaults(userEmail = null) {
+  const email = (userEmail || Session.getActiveUser().getEmail()).toLowerCase();
+  const seriesDefaults = { sheet: null, userEmail: email, series: {} };
+
+  try {
+    const sheet = getCentralClientListSheet('RecurringSeries', RECURRING_SERIES_HEADERS);
+    const rows = sheet.getDataRange().getValues();
+    seriesDefaults.sheet = sheet;
+
+    const firmWide = {};
+    const userSpecific = {};
+
+    for (let i = 1; i < rows.length; i++) {
+      const [seriesId, title, rowEmail, clientUid, clientName, category, action, source] = rows[i];
+      if (!seriesId) continue;
+
+      let seriesAction = (action || '').toString().toUpperCase().trim() || 'BILLABLE';
+      if (!RECURRING_SERIES_ACTIONS.includes(seriesAction)) {
+        Logger.log(`⚠️ Unknown action "${action}" for series "${title}" - treating as BILLABLE`);
+        seriesAction = 'BILLABLE';
+      }
+
+      const entry = {
+        seriesId: seriesId.toString().trim(),
+        title: (title || '').toString(),
+        clientUid: clientUid === null || clientUid === undefined ? '' : clientUid.toString().trim(),
+        clientName: (clientName || '').toString().trim(),
+        category: (category || '').toString().trim(),
+        action: seriesAction,
+        source: (source || '').toString().toUpperCase().trim() || 'MANUAL'
+      };
+
+      if (!rowEmail) {
+        firmWide[entry.seriesId] = entry;
+      } else if (rowEmail.toString().toLowerCase().trim() === email) {
+        userSpecific[entry.seriesId] = entry;
+      }
+    }
+
+    Object.assign(seriesDefaults.series, firmWide, userSpecific);
+    Logger.log(`🔁 Loaded ${Object.keys(seriesDefaults.series).length} recurring series defaults`);
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load recurring series defaults: ${error.message}`);
+  }
+
+  return seriesDefaults;
+}
+
+/**
+ * Finds the remembered defaults for a recurring event's series
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} seriesDefaults - Defaults from loadRecurringSeriesDefaults()
+ * @returns {Object|null} series entry, or null for one-off events and unknown series
+ */
+function getSeriesDefault(event, seriesDefaults) {
+  if (!seriesDefaults || !event.isRecurringEvent()) {
+    return null;
+  }
+
+  return seriesDefaults.series[event.getId()] || null;
+}
+
+/**
+ * Builds the client match for an event from its series defaults
+ * @param {Object} seriesDefault - Entry from getSeriesDefault()
+ * @returns {Object|null} { name, uid, firstName, lastName, confidence, candidates, matchSource: 'series' } or null when the series has no client
+ */
+function getSeriesClientMatch(seriesDefault) {
+  if (!seriesDefault || !seriesDefault.clientUid) {
+    return null;
+  }
+
+  const nameParts = seriesDefault.clientName.split(/\s+/).filter(part => part);
+  const lastName = nameParts.length > 0 ? nameParts[nameParts.length - 1] : '';
+
+  return {
+    name: lastName.toLowerCase(),
+    uid: seriesDefault.clientUid,
+    firstName: nameParts.slice(0, -1).join(' ') || lastName,
+    lastName: nameParts.length > 1 ? lastName : '',
+    confidence: 1,
+    candidates: [],
+    matchSource: 'series'
+  };
+}
+
+/**
+ * Remembers the client and category matched for a recurring event's series.
+ * Does nothing for one-off events, series that already have a row, or when
+ * there is neither a client nor a category to remember.
+ *
+ * @param {Object} seriesDefaults - Defaults from loadRecurringSeriesDefaults()
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} clientMatch - Client match or null
+ * @param {string} category - Matched vocabulary category or null
+ * @returns {Object|null} the new series entry, or null when nothing was recorded
+ */
+function rememberSeriesDefault(seriesDefaults, event, clientMatch, category) {
+  if (!seriesDefaults || !seriesDefaults.sheet || !event.isRecurringEvent()) {
+    return null;
+  }
+
+  const seriesId = event.getId();
+  if (seriesDefaults.series[seriesId] || (!clientMatch && !category)) {
+    return null;
+  }
+
+  const clientName = clientMatch
+    ? (clientMatch.firstName && clientMatch.lastName ? `${clientMatch.firstName} ${clientMatch.lastName}` : clientMatch.name)
+    : '';
+  const entry = {
+    seriesId: seriesId,
+    title: event.getTitle(),
+    clientUid: clientMatch ? clientMatch.uid.toString() : '',
+    clientName: clientName,
+    category: category || '',
+    action: 'BILLABLE',
+    source: 'MATCHED'
+  };
+
+  try {
+    seriesDefaults.sheet.appendRow([
+      entry.seriesId,
+      entry.title,
+      seriesDefaults.userEmail,
+      entry.clientUid,
+      entry.clientName,
+      entry.category,
+      entry.action,
+      entry.source,
+      new Date()
+    ]);
+    seriesDefaults.series[seriesId] = entry;
+    Logger.log(`🔁 Remembered series "${entry.title}" → ${entry.clientName || 'no client'} / ${entry.category || 'no category'}`);
+    return entry;
+
+  } catch (error) {
+    Logger.log(`⚠️ Could not remember series "${entry.title}": ${error.message}`);
+    return null;
+  }
+}
@@ -25,11 +25,28 @@ function smartSyncClientsToUIDSheet() {
     // Perform the sync
     const syncResult = syncClientsToUIDSheetWithTimestamp();
     
-    Logger.log(`✅ Smart sync completed: ${syncResult.clientCount} clients`);
+    // Open matters and court cases are refreshed with the clients; a failed sync keeps the previous rows
+    let matterCount = null;
+    try {
+      matterCount = syncMattersToSheet().matterCount;
+    } catch (error) {
+      Logger.log(`⚠️ Matter sync failed, keeping the previous matters: ${error.message}`);
+    }
+    
+    let caseCount = null;
+    try {
+      caseCount = syncCasesToSheet().caseCount;
+    } catch (error) {
+      Logger.log(`⚠️ Case sync failed, keeping the previous cases: ${error.message}`);
+    }
+    
+    Logger.log(`✅ Smart sync completed: ${syncResult.clientCount} clients, ${matterCount === null ? 'no' : matterCount} matters, ${caseCount === null ? 'no' : caseCount} cases`);
     
     return {
       status: 'SUCCESS',
       clientCount: syncResult.clientCount,
+      matterCount: matterCount,
+      caseCount: caseCount,
       syncTime: new Date().toISOString()
     };
     
@@ -169,16 +186,17 @@ function syncClientsToUIDSheetWithTimestamp() {
     sheet.getRange('B1').setValue(`Last sync: ${clients.length} clients`);
     
     // Row 2: Headers
-    sheet.getRange('A2:C2').setValues([['First Name', 'Last Name', 'UID_Client_PK']]);
+    sheet.getRange('A2:D2').setValues([['First Name', 'Last Name', 'UID_Client_PK', 'Email']]);
 
-    // Row 3+: Client data
+    // Row 3+: Client data (Email used to match clients invited to calendar events)
     let row = 3;
     clients.forEach(record => {
       const first = record.fieldData['First Name'];
       const last = record.fieldData['Last Name'];
       const uid = record.fieldData['UID Client'];
+      const email = record.fieldData['Email'] || '';
       if (first && last && uid) {
-        sheet.getRange(row, 1, 1, 3).setValues([[first, last, uid]]);
+        sheet.getRange(row, 1, 1, 4).setValues([[first, last, uid, email]]);
         row++;
       }
     });
@@ -193,6 +211,120 @@ function syncClientsToUIDSheetWithTimestamp() {
   }
 }
 
+/**
+ * FileMaker layout, find request and fields of the open matters,
+ * with the fields in Matters tab column order (see MATTER_HEADERS)
+ */
+const MATTER_SYNC_LAYOUT = 'systemgoogle_activeMatter';
+const MATTER_SYNC_QUERY = { 'Status': 'Open' };
+const MATTER_SYNC_FIELDS = ['UID Matter', 'UID Client', 'Matter Name', 'Case Type', 'Case Number', 'Decedent'];
+
+/**
+ * FileMaker layout, find request and fields of the court case table,
+ * with the fields in Cases tab column order (see CASE_HEADERS)
+ */
+const CASE_SYNC_LAYOUT = 'systemgoogle_courtCases';
+const CASE_SYNC_QUERY = { 'Status': 'Open' };
+const CASE_SYNC_FIELDS = ['Case Number', 'Jurisdiction', 'UID Matter', 'UID Client'];
+
+/**
+ * Sync the open matters to the Matters tab
+ * @returns {Object} sync results with matter count
+ */
+function syncMattersToSheet() {
+  try {
+    Logger.log('📁 Syncing open matters to Matters sheet...');
+
+    const rows = _findFileMakerRows(MATTER_SYNC_LAYOUT, MATTER_SYNC_QUERY, MATTER_SYNC_FIELDS)
+      .filter(([uid, clientUid]) => uid && clientUid);
+    _replaceSheetRows(_openClientMatchTab('Matters', MATTER_HEADERS), MATTER_HEADERS, rows);
+
+    Logger.log(`✅ Synced ${rows.length} open matters to sheet.`);
+
+    return { matterCount: rows.length };
+
+  } catch (err) {
+    Logger.log(`❌ Error syncing matters to sheet: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Sync the court case table to the Cases tab
+ * @returns {Object} sync results with case count
+ */
+function syncCasesToSheet() {
+  try {
+    Logger.log('⚖️ Syncing court cases to Cases sheet...');
+
+    const rows = _findFileMakerRows(CASE_SYNC_LAYOUT, CASE_SYNC_QUERY, CASE_SYNC_FIELDS)
+      .filter(([caseNumber, , matterUid, clientUid]) => caseNumber && (matterUid || clientUid));
+    _replaceSheetRows(_openClientMatchTab('Cases', CASE_HEADERS), CASE_HEADERS, rows);
+
+    Logger.log(`✅ Synced ${rows.length} court cases to sheet.`);
+
+    return { caseCount: rows.length };
+
+  } catch (err) {
+    Logger.log(`❌ Error syncing court cases to sheet: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Runs a FileMaker find and returns the found records as sheet rows
+ * @param {string} layout - FileMaker layout
+ * @param {Object} query - Find request
+ * @param {Array<string>} fields - Fields in column order
+ * @returns {Array} one row per record (missing fields are blank)
+ */
+function _findFileMakerRows(layout, query, fields) {
+  const { token, fmConfig } = getFileMakerToken();
+  const findUrl = `${fmConfig.host}/fmi/data/vLatest/databases/${fmConfig.db}/layouts/${layout}/_find`;
+  const queryPayload = {
+    query: [query],
+    limit: "90000"
+  };
+
+  const response = UrlFetchApp.fetch(findUrl, {
+    method: 'post',
+    headers: {
+      Authorization: 'Bearer ' + token,
+      'Content-Type': 'application/json'
+    },
+    payload: JSON.stringify(queryPayload),
+    muteHttpExceptions: true
+  });
+
+  logoutFileMakerToken(token, fmConfig);
+
+  // 401 = no records match the find request
+  const data = JSON.parse(response.getContentText());
+  if (data.messages && data.messages[0].code === '401') {
+    return [];
+  }
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`❌ FileMaker ${layout} query failed: ` + response.getContentText());
+  }
+
+  return data.response.data
+    .map(record => fields.map(field => record.fieldData[field] === undefined ? '' : record.fieldData[field]));
+}
+
+/**
+ * Replaces everything below the header row of a synced tab
+ * @param {Sheet} sheet - Tab to rewrite
+ * @param {Array<string>} headers - Header row
+ * @param {Array} rows - Data rows
+ */
+function _replaceSheetRows(sheet, headers, rows) {
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+}
+
 /**
  * Create smart daily trigger that uses timestamp checking
  */
@@ -0,0 +1,121 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ⚙️ System Settings
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Loads processing settings from the Settings tab of the CentralClientList sheet.
+ * Expected columns: Setting | Value | User Email
+ * Rows without a user email apply firm-wide; rows with one override it for that user.
+ *
+ * @param {string} userEmail - Optional user email (defaults to the active user)
+ * @returns {Object} settings keyed by setting name, merged over the defaults
+ */
+function loadSystemSettings(userEmail = null) {
+  const settings = getDefaultSystemSettings();
+
+  try {
+    const email = (userEmail || Session.getActiveUser().getEmail()).toLowerCase();
+    const sheet = getCentralClientListSheet('Settings', ['Setting', 'Value', 'User Email']);
+    const rows = sheet.getDataRange().getValues();
+
+    const firmWide = {};
+    const userSpecific = {};
+
+    for (let i = 1; i < rows.length; i++) {
+      const [name, value, rowEmail] = rows[i];
+      if (!name || value === '' || value === null) continue;
+
+      const key = name.toString().trim();
+      if (!rowEmail) {
+        firmWide[key] = value;
+      } else if (rowEmail.toString().toLowerCase().trim() === email) {
+        userSpecific[key] = value;
+      }
+    }
+
+    Object.assign(settings, firmWide, userSpecific);
+    Logger.log(`⚙️ Loaded ${Object.keys(firmWide).length} firm-wide and ${Object.keys(userSpecific).length} user settings`);
+
+  } catch (error) {
+    Logger.log(`❌ Failed to load settings, using defaults: ${error.message}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Default settings used when the Settings tab is missing or a setting is not listed
+ * @returns {Object} default settings
+ */
+function getDefaultSystemSettings() {
+  return {
+    // What to do with a posted record whose calendar event was deleted or declined: DELETE | REVIEW
+    deletedEventAction: 'DELETE',
+
+    // FileMaker field that records which calendar an event came from, e.g. Source_Calendar (blank = not sent).
+    // Only set it once the time layout has the field - FileMaker rejects every record naming an unknown field
+    calendarFieldName: '',
+
+    // FileMaker field that receives the matter ID - from a #matter directive or the client's open matters,
+    // e.g. UID_Matter_fk (blank = not sent; set it only once the time layout has the field)
+    matterFieldName: '',
+
+    // How events spanning several days are billed: SKIP | WORKING_HOURS | FIXED_HOURS
+    multiDayMode: 'SKIP',
+
+    // Working hours each day of a multi-day event is clipped to (WORKING_HOURS)
+    workdayStart: '09:00',
+    workdayEnd: '17:00',
+
+    // Hours billed per business day (FIXED_HOURS)
+    multiDayHoursPerDay: 8,
+
+    // Days that get an entry when an event is split per day
+    businessDays: 'Mon,Tue,Wed,Thu,Fri',
+
+    // The user's RSVP statuses that are not billable: YES, NO, MAYBE, INVITED, OWNER
+    skipResponseStatuses: 'NO,MAYBE',
+
+    // Event visibilities that are not billable: DEFAULT, PUBLIC, PRIVATE, CONFIDENTIAL
+    skipVisibilities: '',
+
+    // Skip events shown as "free" (transparent)
+    skipFreeEvents: false,
+
+    // What to do with overlapping events: BILL_BOTH | TRIM_OUTER | REVIEW
+    overlapPolicy: 'BILL_BOTH',
+
+    // IANA time zone for event dates, e.g. America/New_York (blank = the calendar's time zone)
+    timeZone: '',
+
+    // Client matches with a lower confidence (0-1) go to the ClientReview tab instead of FileMaker
+    clientMatchThreshold: 0.6,
+
+    // How events naming several clients are billed: SPLIT (time shared equally) | FULL (full time to each) | REVIEW
+    multiClientPolicy: 'REVIEW',
+
+    // FileMaker field that ties together the records of an event billed to several clients,
+    // e.g. Calendar_Event_Ref (blank = not sent; set it only once the time layout has the field)
+    eventRefFieldName: ''
+  };
+}
+
+/**
+ * Parses a comma-separated setting such as "NO,MAYBE"
+ * @param {string} value - Setting value
+ * @returns {Array<string>} upper-case entries
+ */
+function parseSettingList(value) {
+  return (value || '').toString().split(',')
+    .map(item => item.trim().toUpperCase())
+    .filter(item => item);
+}
+
+/**
+ * Reads a yes/no setting (sheet checkboxes come through as booleans, typed values as text)
+ * @param {boolean|string} value - Setting value
+ * @returns {boolean}
+ */
+function isSettingEnabled(value) {
+  return value === true || ['TRUE', 'YES', 'Y', '1'].includes((value || '').toString().trim().toUpperCase());
+}
@@ -36,18 +36,102 @@ function runAllCalendarSystemTests() {
     console.log('\n4️⃣ Testing FileMaker Integration...');
     results.tests.fileMaker = testFileMakerConnection();
     
+    // Test 4B: Posted Event Ledger
+    console.log('\n4️⃣B Testing Posted Event Ledger...');
+    results.tests.postedEventLedger = testPostedEventLedger();
+    
+    // Test 4C: Calendar Edits and Deletions
+    console.log('\n4️⃣C Testing Calendar Edit Propagation...');
+    results.tests.calendarEditPropagation = testCalendarEditPropagation();
+    
+    // Test 4D: Incremental Sync
+    console.log('\n4️⃣D Testing Incremental Calendar Sync...');
+    results.tests.incrementalSync = testIncrementalCalendarSync();
+    
     // Test 5: Event Vocabulary Loading
     console.log('\n5️⃣ Testing Event Vocabulary System...');
     results.tests.eventVocabulary = testEventVocabularySystem();
     
+    // Test 5B: Whole-Word, Phrase, Prefix and Regex Keywords
+    console.log('\n5️⃣B Testing Event Keyword Matching...');
+    results.tests.eventKeywordSyntax = testEventKeywordSyntax();
+    
+    // Test 5C: Priority, Exclusions and Tie-Breaking
+    console.log('\n5️⃣C Testing Event Match Ranking...');
+    results.tests.eventMatchRanking = testEventMatchRanking();
+    
     // Test 6: Client Matching
     console.log('\n6️⃣ Testing Client Matching Logic...');
     results.tests.clientMatching = testClientMatchingAccuracy();
     
+    // Test 6B: Clients Sharing a Last Name
+    console.log('\n6️⃣B Testing Same-Surname Client Resolution...');
+    results.tests.clientCollisions = testClientCollisionResolution();
+    
+    // Test 6C: Whole-Token Name Matching
+    console.log('\n6️⃣C Testing Whole-Token Name Matching...');
+    results.tests.clientTokenMatching = testClientTokenMatching();
+    
+    // Test 6D: Client Aliases
+    console.log('\n6️⃣D Testing Client Alias Matching...');
+    results.tests.clientAliases = testClientAliasMatching();
+    
+    // Test 6E: Match Confidence and Client Review
+    console.log('\n6️⃣E Testing Match Confidence and Client Review...');
+    results.tests.clientMatchConfidence = testClientMatchConfidence();
+    
+    // Test 6F: Learned Client Matches
+    console.log('\n6️⃣F Testing Learned Client Matches...');
+    results.tests.learnedClientMatches = testLearnedClientMatching();
+    
+    // Test 6G: Matter Matching
+    console.log('\n6️⃣G Testing Matter Matching...');
+    results.tests.matterMatching = testMatterMatching();
+    
+    // Test 6H: Court Case Numbers
+    console.log('\n6️⃣H Testing Court Case Number Matching...');
+    results.tests.caseNumberMatching = testCaseNumberMatching();
+    
+    // Test 6I: Indexed Client Name Matching
+    console.log('\n6️⃣I Testing Indexed Client Name Matching...');
+    results.tests.indexedClientMatching = testIndexedClientMatching();
+    
+    // Test 6J: Events Naming Several Clients
+    console.log('\n6️⃣J Testing Multi-Client Allocation...');
+    results.tests.multiClientAllocation = testMultiClientAllocation();
+    
     // Test 7: Time Calculations
     console.log('\n7️⃣ Testing Time Calculation Logic...');
     results.tests.timeCalculation = testTimeCalculationAccuracy();
     
+    // Test 7B: Multi-Day and All-Day Events
+    console.log('\n7️⃣B Testing Time Entry Planning...');
+    results.tests.timeEntryPlanning = testTimeEntryPlanning();
+    
+    // Test 7C: Declined, Tentative, Private and Free Events
+    console.log('\n7️⃣C Testing Event Skip Rules...');
+    results.tests.eventSkipRules = testEventSkipRules();
+    
+    // Test 7D: Personal Events
+    console.log('\n7️⃣D Testing Personal Event Classification...');
+    results.tests.personalEvents = testPersonalEventClassification();
+    
+    // Test 7E: Overlapping Events
+    console.log('\n7️⃣E Testing Event Overlap Policies...');
+    results.tests.eventOverlaps = testEventOverlapPolicies();
+    
+    // Test 7F: Time Zones and DST
+    console.log('\n7️⃣F Testing Time Zone and DST Handling...');
+    results.tests.timeZoneHandling = testTimeZoneHandling();
+    
+    // Test 7G: Recurring Series
+    console.log('\n7️⃣G Testing Recurring Series Defaults...');
+    results.tests.recurringSeries = testRecurringSeriesDefaults();
+    
+    // Test 7H: Event Directives
+    console.log('\n7️⃣H Testing Event Directive Parsing...');
+    results.tests.eventDirectives = testEventDirectiveParsing();
+    
     // Test 8: Summary Generation
     console.log('\n8️⃣ Testing Summary Generation...');
     results.tests.summaryGeneration = testSummaryGenerationLogic();
@@ -56,6 +140,14 @@ function runAllCalendarSystemTests() {
     console.log('\n9️⃣ Testing Error Handling System...');
     results.tests.errorHandling = testErrorHandlingSystem();
     
+    // Test 9B: Events Failing Mid-Run
+    console.log('\n9️⃣B Testing Failing Events in the Processing Pipelines...');
+    results.tests.pipelineEventFailures = testPipelineEventFailures();
+    
+    // Test 9C: One Decision Per Event for Both Pipelines
+    console.log('\n9️⃣C Testing Event Decisions...');
+    results.tests.eventDecisions = testEventDecisions();
+    
     // Test 10: End-to-End Processing
     console.log('\n🔟 Testing Complete Processing Pipeline...');
     results.tests.endToEndProcessing = testCompleteProcessingPipeline();
@@ -270,156 +362,1870 @@ function testFileMakerConnection() {
     }
     
   } catch (error) {
-    console.error('❌ FileMaker connection failed:', error.message);
+    console.error('❌ FileMaker connection failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test the PostedEvents ledger keeping reruns from double-posting
+ */
+function testPostedEventLedger() {
+  try {
+    console.log('📒 Testing Posted Event Ledger...');
+    
+    const fileMaker = _newTestFileMaker();
+    const sheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const payload = { fieldData: { Body: 'Call Smith', Date: '03/04/2024', Time: 0.6, Summary: 'Call', UID_Client_fk: 'U1' } };
+    const call = _testCalendarEvent('evt1', '2024-03-04T15:00:00Z', '2024-03-04T15:30:00Z');
+    const weekly = _testCalendarEvent('evt2', '2024-03-04T17:00:00Z', '2024-03-04T18:00:00Z', { recurring: true });
+    const nextWeek = _testCalendarEvent('evt2', '2024-03-11T17:00:00Z', '2024-03-11T18:00:00Z', { recurring: true });
+    
+    const results = _withTestFileMaker(fileMaker, sheet, () => {
+      const ledger = loadPostedEventLedger('test@example.com');
+      const created = postOrUpdateTimeRecord(ledger, buildLedgerRef(call), payload);
+      const rerun = postOrUpdateTimeRecord(ledger, buildLedgerRef(call), payload);
+      const instances = [weekly, nextWeek].map(event => postOrUpdateTimeRecord(ledger, buildLedgerRef(event), payload).status);
+      sheet.appendRow(['evt9|2024-03-05T15:00:00.000Z', 'evt9', '2024-03-05T15:00:00.000Z', 'other@example.com', '99', 'hash', new Date()]);
+      const reloaded = loadPostedEventLedger('TEST@example.com');
+      return {
+        created: created,
+        rerun: rerun,
+        instances: instances,
+        reloaded: reloaded,
+        afterReload: postOrUpdateTimeRecord(reloaded, buildLedgerRef(call), payload)
+      };
+    });
+    
+    // Another user's run appends to PostedEvents while this one records its row
+    const raceSheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const raced = _withTestFileMaker(_newTestFileMaker(), raceSheet, () =>
+      _withContendedTestSheet(raceSheet, ['evt9', 'evt9', '', 'other@example.com', '99', 'hash', new Date()], () => {
+        const ledger = loadPostedEventLedger('test@example.com');
+        postOrUpdateTimeRecord(ledger, buildLedgerRef(call), payload);
+        return ledger.entries.evt1;
+      }));
+    
+    const testCases = [
+      { name: 'First run creates the record', passed: results.created.status === 'CREATED' && fileMaker.records[results.created.recordId] !== undefined },
+      { name: 'Rerun posts nothing', passed: results.rerun.status === 'ALREADY_POSTED' && results.rerun.recordId === results.created.recordId },
+      { name: 'Each recurring instance posted once', passed: results.instances.join(',') === 'CREATED,CREATED' &&
+                                                             sheet.rows[3][0] === 'evt2|2024-03-11T17:00:00.000Z' },
+      { name: 'Ledger row written per record', passed: sheet.rows.length === 5 && sheet.rows[1][0] === 'evt1' &&
+                                                       sheet.rows[1][4] === results.created.recordId },
+      { name: 'Rerun after reloading the ledger posts nothing', passed: results.afterReload.status === 'ALREADY_POSTED' &&
+                                                                          results.reloaded.entries.evt1.row === 2 },
+      { name: "Other users' rows left out", passed: Object.keys(results.reloaded.entries).length === 3 },
+      { name: 'Only new records reach FileMaker', passed: fileMaker.calls.join(',') === 'create 1,create 2,create 3' },
+      { name: "Row number not taken from another user's append", passed: raceSheet.rows[raced.row - 1][0] === 'evt1' }
+    ];
+    
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Posted event ledger: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Posted event ledger working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Posted event ledger test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test carrying calendar edits and deletions over to posted FileMaker records
+ */
+function testCalendarEditPropagation() {
+  try {
+    console.log('✏️ Testing Calendar Edit Propagation...');
+    
+    const defaults = getDefaultSystemSettings();
+    const fieldData = (time, date) => ({ Body: 'Call Smith', Date: date || '03/04/2024', Time: time, Summary: 'Call', UID_Client_fk: 'U1' });
+    const event = (id, start) => _testCalendarEvent(id, start, new Date(new Date(start).getTime() + 1800000).toISOString());
+    
+    // Edits: one event edited twice in the calendar, then once more after a hand edit in FileMaker
+    const fileMaker = _newTestFileMaker();
+    const sheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const call = event('evt1', '2024-03-04T15:00:00Z');
+    
+    // A row written before single events were keyed by their ID alone
+    const oldCall = event('evt3', '2024-03-06T15:00:00Z');
+    sheet.appendRow(['evt3|2024-03-06T15:00:00.000Z', 'evt3', '2024-03-06T15:00:00.000Z', 'test@example.com', '7',
+                     computePayloadHash({ fieldData: fieldData(0.6) }), new Date()]);
+    
+    const edits = _withTestFileMaker(fileMaker, sheet, () => {
+      const ledger = loadPostedEventLedger('test@example.com');
+      const post = (item, payload) => postOrUpdateTimeRecord(ledger, buildLedgerRef(item), { fieldData: payload });
+      const created = post(call, fieldData(0.6));
+      const firstEdit = post(call, fieldData(0.8));
+      const secondEdit = post(call, fieldData(1));
+      const modIdAfterEdits = ledger.entries.evt1.modId;
+      fileMaker.editInFileMaker(created.recordId, { Time: 2 });
+      const editedInFileMaker = post(call, fieldData(1.2));
+      const callsInReview = fileMaker.calls.length;
+      const afterReview = post(call, fieldData(1.4));
+      const untouchedInReview = fileMaker.calls.length === callsInReview;
+      const movedCreated = post(event('evt2', '2024-03-05T15:00:00Z'), fieldData(0.6, '03/05/2024'));
+      const moved = post(event('evt2', '2024-03-06T16:00:00Z'), fieldData(0.6, '03/06/2024'));
+      const oldRow = post(oldCall, fieldData(0.6));
+      return {
+        created, firstEdit, secondEdit, modIdAfterEdits, editedInFileMaker, afterReview, untouchedInReview, movedCreated, moved, oldRow, ledger
+      };
+    });
+    const record = fileMaker.records[edits.created.recordId];
+    
+    // Deletions: the next run fetches evt1 and evt3 and processes only evt1
+    const sweepFileMaker = _newTestFileMaker();
+    const sweepSheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const windowStart = new Date('2024-03-04T00:00:00Z');
+    const windowEnd = new Date('2024-03-11T00:00:00Z');
+    const posted = {
+      processed: event('evt1', '2024-03-04T15:00:00Z'),
+      notReached: event('evt3', '2024-03-05T15:00:00Z'),
+      deleted: event('evt4', '2024-03-06T15:00:00Z'),
+      otherCalendar: event('evt5', '2024-03-06T17:00:00Z'),
+      editedThenDeleted: event('evt6', '2024-03-07T15:00:00Z'),
+      outsideWindow: event('evt7', '2024-03-12T15:00:00Z')
+    };
+    
+    const sweep = _withTestFileMaker(sweepFileMaker, sweepSheet, () => {
+      const ledger = loadPostedEventLedger('test@example.com');
+      const recordIds = {};
+      Object.keys(posted).forEach(name => {
+        const calendarId = name === 'otherCalendar' ? 'team@group.calendar.google.com' : 'test@example.com';
+        recordIds[name] = postOrUpdateTimeRecord(ledger, buildLedgerRef(posted[name], null, calendarId), { fieldData: fieldData(0.6) }).recordId;
+      });
+      sweepFileMaker.editInFileMaker(recordIds.editedThenDeleted, { Body: 'Call Smith re: deed' });
+      
+      const seenKeys = { [buildLedgerRef(posted.processed).key]: true };
+      markFetchedPostedEvents(ledger, [{ event: posted.processed }, { event: posted.notReached }], seenKeys);
+      const missing = findMissingPostedEvents(ledger, seenKeys, windowStart, windowEnd, [], ['test@example.com']);
+      const retractions = {};
+      missing.forEach(entry => {
+        retractions[entry.eventId] = retractPostedEvent(ledger, entry, 'Event deleted from calendar', defaults).status;
+      });
+      return { recordIds, missing: missing.map(entry => entry.eventId).sort().join(','), retractions, ledger };
+    });
+    
+    // With deletedEventAction REVIEW nothing is deleted from FileMaker
+    const reviewFileMaker = _newTestFileMaker();
+    const flagged = _withTestFileMaker(reviewFileMaker, _newTestSheet(POSTED_EVENT_LEDGER_HEADERS), () => {
+      const ledger = loadPostedEventLedger('test@example.com');
+      postOrUpdateTimeRecord(ledger, buildLedgerRef(posted.deleted), { fieldData: fieldData(0.6) });
+      return retractPostedEvent(ledger, ledger.entries.evt4, 'Event deleted from calendar', { ...defaults, deletedEventAction: 'REVIEW' });
+    });
+    
+    // Sheets reads a modId of "0" back as the number 0
+    const zeroFileMaker = _newTestFileMaker();
+    const zeroSheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const zeroModId = _withTestFileMaker(zeroFileMaker, zeroSheet, () => {
+      const firstRun = loadPostedEventLedger('test@example.com');
+      postOrUpdateTimeRecord(firstRun, buildLedgerRef(event('evt8', '2024-03-08T15:00:00Z')), { fieldData: fieldData(0.6) });
+      postOrUpdateTimeRecord(firstRun, buildLedgerRef(event('evt9', '2024-03-08T17:00:00Z')), { fieldData: fieldData(0.6) });
+      zeroSheet.rows.slice(1).forEach(row => { row[POSTED_EVENT_LEDGER_HEADERS.indexOf('Mod ID')] = 0; });
+      
+      const ledger = loadPostedEventLedger('test@example.com');
+      return {
+        modId: ledger.entries.evt8.modId,
+        edited: postOrUpdateTimeRecord(ledger, buildLedgerRef(event('evt8', '2024-03-08T15:00:00Z')), { fieldData: fieldData(0.8) }),
+        deleted: retractPostedEvent(ledger, ledger.entries.evt9, 'Event deleted from calendar', defaults)
+      };
+    });
+    
+    // The sweep only runs after a run that handled every fetched event
+    const skippedOnly = processWithGracefulDegradation([1, 2, 3], item => {
+      if (item === 2) throw new Error('Event filtered out: declined');
+      return item === 3 ? null : { posted: true };
+    });
+    const withFailure = processWithGracefulDegradation([1, 2, 3], item => {
+      if (item === 3) throw new Error('FileMaker record update failed');
+      return { posted: true };
+    }, { stopOnExcessiveFailures: false });
+    const stoppedEarly = { total: 4, successful: 1, failed: 2, skipped: 0, results: [{}, {}, {}] };
+    
+    const testCases = [
+      { name: 'Edited event updates its record', passed: edits.firstEdit.status === 'UPDATED' && edits.firstEdit.recordId === edits.created.recordId &&
+                                                         edits.firstEdit.changedFields.join(',') === 'Time' },
+      { name: 'Later edit uses the new modId', passed: edits.secondEdit.status === 'UPDATED' && edits.modIdAfterEdits === '2' },
+      { name: 'Record edited in FileMaker (306) goes to review', passed: edits.editedInFileMaker.status === 'REVIEW' &&
+                                                                          edits.editedInFileMaker.note.includes('edited in FileMaker') },
+      { name: 'Hand-edited record left as it was', passed: record.fieldData.Time === 2 && record.modId === '3' },
+      { name: 'Record under review not touched again', passed: edits.afterReview.status === 'REVIEW' && edits.untouchedInReview },
+      { name: 'Moved event updates the same record', passed: edits.moved.status === 'UPDATED' && edits.moved.recordId === edits.movedCreated.recordId &&
+                                                             edits.ledger.entries.evt2.instanceStart === '2024-03-06T16:00:00.000Z' },
+      { name: 'Row under the earlier key reused', passed: edits.oldRow.status === 'ALREADY_POSTED' && edits.oldRow.recordId === '7' &&
+                                                          sheet.rows[1][0] === 'evt3' && !edits.ledger.entries['evt3|2024-03-06T15:00:00.000Z'] },
+      { name: 'Deleted events found in the window', passed: sweep.missing === 'evt4,evt6' },
+      { name: 'Untouched record of a deleted event removed', passed: sweep.retractions.evt4 === 'DELETED' &&
+                                                                     !sweepFileMaker.records[sweep.recordIds.deleted] &&
+                                                                     sweep.ledger.entries.evt4.status === 'DELETED' },
+      { name: 'Record edited in FileMaker kept for review', passed: sweep.retractions.evt6 === 'REVIEW' &&
+                                                                    sweepFileMaker.records[sweep.recordIds.editedThenDeleted] !== undefined },
+      { name: 'Events outside the window left alone', passed: sweepFileMaker.records[sweep.recordIds.outsideWindow] !== undefined },
+      { name: 'deletedEventAction REVIEW only flags the record', passed: flagged.status === 'REVIEW' && reviewFileMaker.records['1'] !== undefined },
+      { name: 'Numeric modId 0 from the sheet still confirms the record', passed: zeroModId.modId === '0' &&
+                                                                                 zeroModId.edited.status === 'UPDATED' &&
+                                                                                 zeroModId.deleted.status === 'DELETED' },
+      { name: 'Fetched but unprocessed event not swept', passed: sweepFileMaker.records[sweep.recordIds.notReached] !== undefined },
+      { name: 'Calendar not read this run not swept', passed: sweepFileMaker.records[sweep.recordIds.otherCalendar] !== undefined },
+      { name: 'Skipped events do not stop the sweep', passed: skippedOnly.skipped === 2 && getDeletedEventCheckBlocker(skippedOnly) === null },
+      { name: 'Failed event stops the sweep', passed: getDeletedEventCheckBlocker(withFailure) === '1 events failed' },
+      { name: 'Run that stopped early stops the sweep', passed: getDeletedEventCheckBlocker(stoppedEarly) === '2 events failed, processing stopped early' }
+    ];
+    
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Calendar edit propagation: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Calendar edit propagation working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Calendar edit propagation test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test incremental runs: which runs read the whole window, which cancellations
+ * withdraw posted records, and which errors mean the sync token expired
+ */
+function testIncrementalCalendarSync() {
+  try {
+    console.log('🔄 Testing Incremental Calendar Sync...');
+    
+    const windowStart = new Date('2024-03-04T06:00:00Z');
+    const windowEnd = new Date('2024-03-05T06:00:00Z');
+    const apiEvent = (id, start, status = 'confirmed') => ({
+      id: id, iCalUID: id, status: status, summary: 'Call Smith', updated: '2024-03-04T20:00:00Z',
+      start: { dateTime: start }, end: { dateTime: new Date(new Date(start).getTime() + 1800000).toISOString() }
+    });
+    
+    // One calendar whose window reads are counted; its feed holds one change and one cancellation
+    const fetchRun = (storedWindowStart, fullResync) => {
+      let windowReads = 0;
+      const calendar = {
+        getEvents: () => {
+          windowReads++;
+          return [_testCalendarEvent('evt1', '2024-03-04T15:00:00Z', '2024-03-04T15:30:00Z')];
+        }
+      };
+      const result = _withTestGlobals({
+        loadUserCalendarSources: () => [{ calendarId: 'cal1', calendar: calendar, name: 'Calendar', timeRule: 'ALL', timeZone: 'America/Chicago' }],
+        fetchIncrementalCalendarChanges: () => ({
+          events: [apiEvent('evt2', '2024-03-04T17:00:00Z'), apiEvent('evt3', '2024-03-01T15:00:00Z', 'cancelled')],
+          nextSyncToken: 'token2',
+          fullResync: fullResync
+        }),
+        getStoredSyncWindowStart: () => storedWindowStart
+      }, () => fetchCalendarEventsForRun(windowStart, windowEnd, { incremental: true }));
+      return {
+        windowReads: windowReads,
+        events: result.items.map(item => item.event.getId()).join(','),
+        calendarIds: result.calendarIds.join(','),
+        windowStart: result.windowStarts.cal1,
+        cancelled: result.cancelled[0]
+      };
+    };
+    const firstRun = fetchRun('2024-03-03T06:00:00.000Z', false);
+    const laterRun = fetchRun(windowStart.toISOString(), false);
+    const resync = fetchRun(windowStart.toISOString(), true);
+    
+    // Cancellations: a weekly series and a two-day event cancelled as a whole on 03/06, a single event and one instance
+    const fileMaker = _newTestFileMaker();
+    const sheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const instance = (id, start) => _testCalendarEvent(id, start, new Date(new Date(start).getTime() + 1800000).toISOString(), { recurring: true });
+    const missing = _withTestFileMaker(fileMaker, sheet, () => {
+      const ledger = loadPostedEventLedger('test@example.com');
+      const payload = { fieldData: { Body: 'Call Smith', Date: '03/04/2024', Time: 0.5, Summary: 'Call', UID_Client_fk: 'U1' } };
+      const post = ledgerRef => postOrUpdateTimeRecord(ledger, { ...ledgerRef, calendarId: 'test@example.com' }, payload);
+      post(buildLedgerRef(instance('series', '2024-03-04T15:00:00Z')));
+      post(buildLedgerRef(instance('series', '2024-03-11T15:00:00Z')));
+      const twoDays = _testCalendarEvent('trial', '2024-03-05T14:00:00Z', '2024-03-07T23:00:00Z');
+      post(buildLedgerRef(twoDays, new Date('2024-03-05T14:00:00Z')));
+      post(buildLedgerRef(twoDays, new Date('2024-03-06T14:00:00Z')));
+      post(buildLedgerRef(_testCalendarEvent('single', '2024-03-04T17:00:00Z', '2024-03-04T17:30:00Z')));
+      post(buildLedgerRef(instance('weekly', '2024-03-04T19:00:00Z')));
+      post(buildLedgerRef(instance('weekly', '2024-03-11T19:00:00Z')));
+      post(buildLedgerRef(_testCalendarEvent('untouched', '2024-03-04T21:00:00Z', '2024-03-04T21:30:00Z')));
+      
+      const cancelledAt = '2024-03-06T12:00:00.000Z';
+      const cancelled = [
+        { eventId: 'series', instanceStart: null, cancelledAt: cancelledAt, calendarId: 'test@example.com' },
+        { eventId: 'trial', instanceStart: null, cancelledAt: cancelledAt, calendarId: 'test@example.com' },
+        { eventId: 'single', instanceStart: null, cancelledAt: cancelledAt, calendarId: 'test@example.com' },
+        { eventId: 'weekly', instanceStart: '2024-03-11T19:00:00.000Z', cancelledAt: null, calendarId: 'test@example.com' }
+      ];
+      return findMissingPostedEvents(ledger, {}, new Date('2024-03-04T00:00:00Z'), new Date('2024-03-11T00:00:00Z'), cancelled, [])
+        .map(entry => entry.key).sort().join(',');
+    });
+    
+    const testCases = [
+      { name: 'First run over a window reads it', passed: firstRun.windowReads === 1 && firstRun.events === 'evt1,evt2' &&
+                                                        firstRun.calendarIds === 'cal1' && firstRun.windowStart === windowStart.toISOString() },
+      { name: 'Later run over the same window reads only changes', passed: laterRun.windowReads === 0 && laterRun.events === 'evt2' &&
+                                                                           laterRun.calendarIds === '' },
+      { name: 'Full resync does not read the window again', passed: resync.windowReads === 0 && resync.calendarIds === 'cal1' },
+      { name: 'Cancelled event reported with its cancellation time', passed: laterRun.cancelled.eventId === 'evt3' &&
+                                                                             laterRun.cancelled.instanceStart === null &&
+                                                                             laterRun.cancelled.cancelledAt === '2024-03-04T20:00:00.000Z' },
+      { name: 'Cancelled series keeps instances that took place', passed: missing ===
+        'series|2024-03-11T15:00:00.000Z,single,trial|2024-03-06T14:00:00.000Z,weekly|2024-03-11T19:00:00.000Z' },
+      { name: 'Expired sync token detected', passed: _isSyncTokenInvalid(new Error('API call to calendar.events.list failed with error: Sync token is no longer valid, a full sync is required.')) &&
+                                                     _isSyncTokenInvalid(new Error('{"error":{"code":410,"message":"Gone"}}')) &&
+                                                     _isSyncTokenInvalid(new Error('Request failed: HTTP 410')) },
+      { name: 'Other errors mentioning 410 are not an expired token', passed: !_isSyncTokenInvalid(new Error('Event 4103abc not found')) &&
+                                                                              !_isSyncTokenInvalid(new Error('Rate limit exceeded, retry after 410 ms')) }
+    ];
+    
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Incremental sync: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Incremental calendar sync working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Incremental sync test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * In-memory stand-in for the FileMaker record calls in fmpPost.js.
+ * Every record starts at modId 0, and each update raises it by one like
+ * FileMaker does; an update with a stale modId fails with error 306.
+ * @returns {Object} { records, calls, create, update, get, remove, editInFileMaker }
+ */
+function _newTestFileMaker() {
+  const fileMaker = { records: {}, calls: [], nextId: 1 };
+  
+  fileMaker.create = payload => {
+    const recordId = String(fileMaker.nextId++);
+    fileMaker.records[recordId] = { modId: '0', fieldData: { ...payload.fieldData } };
+    fileMaker.calls.push(`create ${recordId}`);
+    return { recordId: recordId, modId: '0' };
+  };
+  
+  fileMaker.update = (recordId, patch, modId) => {
+    const record = fileMaker.records[recordId];
+    fileMaker.calls.push(`update ${recordId}`);
+    if (!record) {
+      throw new Error('FileMaker record update failed: {"messages":[{"code":"101","message":"Record is missing"}]}');
+    }
+    if (String(modId) !== record.modId) {
+      throw new Error('FileMaker record update failed: {"messages":[{"code":"306","message":"Record modification ID does not match"}]}');
+    }
+    Object.assign(record.fieldData, patch.fieldData);
+    record.modId = String(Number(record.modId) + 1);
+    return { recordId: recordId, modId: record.modId };
+  };
+  
+  fileMaker.get = recordId => {
+    const record = fileMaker.records[recordId];
+    return record ? { recordId: recordId, modId: record.modId, fieldData: { ...record.fieldData } } : null;
+  };
+  
+  fileMaker.remove = recordId => {
+    delete fileMaker.records[recordId];
+    fileMaker.calls.push(`delete ${recordId}`);
+    return true;
+  };
+  
+  // Someone editing the record by hand in FileMaker
+  fileMaker.editInFileMaker = (recordId, fieldData) => {
+    const record = fileMaker.records[recordId];
+    Object.assign(record.fieldData, fieldData);
+    record.modId = String(Number(record.modId) + 1);
+  };
+  
+  return fileMaker;
+}
+
+/**
+ * In-memory stand-in for a tab of the CentralClientList sheet
+ * @param {Array} headers - Header row
+ * @returns {Object} sheet with the Sheet methods the ledger uses, and its rows
+ */
+function _newTestSheet(headers) {
+  const sheet = { rows: [headers.slice()] };
+  
+  sheet.appendRow = row => { sheet.rows.push(row.slice()); };
+  sheet.getLastRow = () => sheet.rows.length;
+  sheet.getDataRange = () => ({ getValues: () => sheet.rows.map(row => row.slice()) });
+  sheet.getRange = (row, column) => ({
+    setValues: values => values.forEach((rowValues, i) => {
+      const target = sheet.rows[row - 1 + i] = sheet.rows[row - 1 + i] || [];
+      rowValues.forEach((value, j) => { target[column - 1 + j] = value; });
+    }),
+    setValue: value => { sheet.rows[row - 1][column - 1] = value; },
+    setDataValidation: () => {}
+  });
+  
+  return sheet;
+}
+
+/**
+ * Runs a test while another user's sync appends to the same tab. Their row lands
+ * between an appendRow() and the next getLastRow() unless the script lock is held.
+ * @param {Object} sheet - Stand-in from _newTestSheet()
+ * @param {Array} otherRow - Row the other user appends
+ * @param {Function} test - Test to run
+ * @returns {*} whatever the test returns
+ */
+function _withContendedTestSheet(sheet, otherRow, test) {
+  const realLockService = LockService;
+  const realGetLastRow = sheet.getLastRow;
+  let locked = false;
+  
+  LockService = { getScriptLock: () => ({ waitLock: () => { locked = true; }, releaseLock: () => { locked = false; } }) };
+  sheet.getLastRow = () => {
+    if (!locked) sheet.rows.push(otherRow.slice());
+    return realGetLastRow();
+  };
+  
+  try {
+    return test();
+  } finally {
+    LockService = realLockService;
+    sheet.getLastRow = realGetLastRow;
+  }
+}
+
+/**
+ * Runs a test with FileMaker and the CentralClientList tabs swapped for in-memory stand-ins
+ * @param {Object} fileMaker - Stand-in from _newTestFileMaker()
+ * @param {Object} sheet - Stand-in from _newTestSheet(), returned for every tab
+ * @param {Function} test - Test to run
+ * @returns {*} whatever the test returns
+ */
+function _withTestFileMaker(fileMaker, sheet, test) {
+  const real = {
+    create: createFileMakerRecord,
+    update: updateFileMakerRecord,
+    get: getFileMakerRecord,
+    remove: deleteFileMakerRecord,
+    sheet: getCentralClientListSheet
+  };
+  
+  createFileMakerRecord = fileMaker.create;
+  updateFileMakerRecord = fileMaker.update;
+  getFileMakerRecord = fileMaker.get;
+  deleteFileMakerRecord = fileMaker.remove;
+  getCentralClientListSheet = () => sheet;
+  
+  try {
+    return test();
+  } finally {
+    createFileMakerRecord = real.create;
+    updateFileMakerRecord = real.update;
+    getFileMakerRecord = real.get;
+    deleteFileMakerRecord = real.remove;
+    getCentralClientListSheet = real.sheet;
+  }
+}
+
+/**
+ * Runs a processing pipeline against in-memory stand-ins: FileMaker, an empty
+ * CentralClientList tab per tab name, a client list of John Smith (U1), and a
+ * calendar fetch returning the given events from the user's primary calendar
+ * @param {Object} fileMaker - Stand-in from _newTestFileMaker()
+ * @param {Array} events - Calendar events the run fetches
+ * @param {Function} test - Test to run, called with { tabs, committedTokens }
+ * @returns {*} whatever the test returns
+ */
+function _withTestPipeline(fileMaker, events, test) {
+  const email = Session.getActiveUser().getEmail().toLowerCase();
+  const pipeline = { tabs: {}, committedTokens: [] };
+  const stubs = {
+    createFileMakerRecord: fileMaker.create,
+    updateFileMakerRecord: fileMaker.update,
+    getFileMakerRecord: fileMaker.get,
+    deleteFileMakerRecord: fileMaker.remove,
+    getCentralClientListSheet: (tabName, headers) => pipeline.tabs[tabName] = pipeline.tabs[tabName] || _newTestSheet(headers || []),
+    loadClientIndexFromSheet: () => buildClientIndex([['John', 'Smith', 'U1']]),
+    loadMatterIndexFromSheet: () => buildMatterIndex([]),
+    loadCaseIndexFromSheet: () => buildCaseIndex([]),
+    loadClientEmailMapFromSheet: () => ({}),
+    loadJudgeMapFromSheet: () => ({}),
+    loadUnifiedEventVocabulary: () => [],
+    getCurrentUserId: () => 'USER1',
+    smartSyncClientsToUIDSheet: () => ({ status: 'SKIPPED' }),
+    sendErrorNotification: () => {},
+    fetchCalendarEventsForRun: () => ({
+      items: events.map(event => ({ event: event, calendarId: email, calendarName: 'Calendar', timeZone: 'America/Chicago' })),
+      cancelled: [],
+      syncTokens: { [email]: 'next-token' },
+      windowStarts: {},
+      syncMode: 'INCREMENTAL',
+      calendarIds: [email]
+    }),
+    commitCalendarSyncTokens: fetchResult => { pipeline.committedTokens.push(fetchResult.syncTokens); }
+  };
+  
+  return _withTestGlobals(stubs, () => test(pipeline));
+}
+
+/**
+ * Runs a test with global functions swapped for stand-ins, restoring them afterwards
+ * @param {Object} stubs - Stand-ins keyed by global function name
+ * @param {Function} test - Test to run
+ * @returns {*} whatever the test returns
+ */
+function _withTestGlobals(stubs, test) {
+  const real = {};
+  
+  Object.keys(stubs).forEach(name => {
+    real[name] = globalThis[name];
+    globalThis[name] = stubs[name];
+  });
+  
+  try {
+    return test();
+  } finally {
+    Object.keys(real).forEach(name => { globalThis[name] = real[name]; });
+  }
+}
+
+/**
+ * Minimal calendar event for ledger and time entry tests
+ * @param {string} id - Event ID
+ * @param {string} start - ISO start
+ * @param {string} end - ISO end
+ * @param {Object} details - Optional { recurring, title, allDay, location, description, myStatus, visibility, transparency, color }
+ * @returns {Object} object with the CalendarEvent methods the tests use
+ */
+function _testCalendarEvent(id, start, end, details = {}) {
+  return {
+    getId: () => id,
+    getTitle: () => details.title || '',
+    getStartTime: () => new Date(start),
+    getEndTime: () => new Date(end),
+    isAllDayEvent: () => details.allDay === true,
+    isRecurringEvent: () => details.recurring === true,
+    getLocation: () => details.location || '',
+    getDescription: () => details.description || '',
+    getMyStatus: () => details.myStatus || 'OWNER',
+    getVisibility: () => details.visibility || 'DEFAULT',
+    getTransparency: () => details.transparency || CalendarApp.EventTransparency.OPAQUE,
+    getColor: () => details.color || '',
+    getGuestList: () => []
+  };
+}
+
+/**
+ * Test event vocabulary loading and matching logic
+ */
+function testEventVocabularySystem() {
+  try {
+    console.log('📝 Testing Event Vocabulary System...');
+    
+    const eventVocabulary = loadUnifiedEventVocabulary();
+    
+    if (eventVocabulary.length === 0) {
+      throw new Error('No event vocabulary loaded');
+    }
+    
+    // Test various matching scenarios
+    const testCases = [
+      { title: 'Motion Smith estate', expectedMatch: true, category: 'Motion' },
+      { title: 'Zoom Johnson trust planning', expectedMatch: true, category: 'Consultation' },
+      { title: 'Random unmatched event', expectedMatch: false, category: null }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const match = findUnifiedEventMatch(testCase.title, eventVocabulary);
+      const matchFound = !!match;
+      const passed = matchFound === testCase.expectedMatch;
+      
+      return {
+        title: testCase.title,
+        expectedMatch: testCase.expectedMatch,
+        actualMatch: matchFound,
+        category: match ? match.category : null,
+        passed: passed
+      };
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Event vocabulary: ${eventVocabulary.length} events, ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      eventCount: eventVocabulary.length,
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Event vocabulary system functional'
+    };
+    
+  } catch (error) {
+    console.error('❌ Event vocabulary test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test whole-word, phrase, prefix and regex keywords of the event vocabulary
+ */
+function testEventKeywordSyntax() {
+  try {
+    console.log('🔑 Testing Event Keyword Matching...');
+    
+    const parsed = parseEventKeywords('tc|cc|om|call|open file|"re: status"|prob*|/hear(ing)?s?\\b/|/motion(/|"  "');
+    const vocabulary = [
+      { category: 'Phone Call', keywords: ['tc', 'call'], description: 'Telephone call' },
+      { category: 'Office Meeting', keywords: ['om', 'cc'], description: 'Office meeting' },
+      { category: 'Open', keywords: ['open', 'open file', '"re: status"'], description: 'Opened file' },
+      { category: 'Probate', keywords: ['prob*'], description: 'Probate' },
+      { category: 'Court', keywords: ['/hear(ing)?s?\\b/'], description: 'Court hearing' }
+    ].map(event => ({ ...event, patterns: parseEventKeywords(event.keywords).patterns }));
+    
+    const testCases = [
+      { title: 'Watch the Smith video', expected: null },
+      { title: 'Review account statements', expected: null },
+      { title: 'Email from Jones', expected: null },
+      { title: 'Recall notice Wilson', expected: null },
+      { title: 'Reopened Brown estate', expected: null },
+      { title: 'TC Smith', expected: 'Phone Call' },
+      { title: 'Call: Jones', expected: 'Phone Call' },
+      { title: 'OM with Wilson', expected: 'Office Meeting' },
+      { title: 'Open   file Garcia', expected: 'Open' },
+      { title: 'Re: Status Miller', expected: 'Open' },
+      { title: 'Probation review Davis', expected: 'Probate' },
+      { title: 'Hearings Taylor', expected: 'Court' },
+      { title: 'Overhearing Taylor', expected: 'Court' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const match = findUnifiedEventMatch(testCase.title, vocabulary);
+      const category = match ? match.category : null;
+      return {
+        title: testCase.title,
+        expected: testCase.expected,
+        actual: category,
+        passed: category === testCase.expected
+      };
+    });
+    
+    // The two invalid keywords are reported and left out; the others compile
+    testResults.push({
+      title: 'invalid keywords reported',
+      expected: '8 keywords, 2 problems',
+      actual: `${parsed.patterns.length} keywords, ${parsed.problems.length} problems`,
+      passed: parsed.patterns.length === 8 && parsed.problems.length === 2
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.actual}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Event keywords: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Event keyword matching working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Event keyword test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test priority, exclusions, combination rules and tie-breaking between vocabulary rows
+ */
+function testEventMatchRanking() {
+  try {
+    console.log('🏅 Testing Event Match Ranking...');
+    
+    const vocabulary = [
+      { category: 'Court', keywords: ['motion'], description: 'Presentation of Motion' },
+      { category: 'Court', keywords: ['hearing'], description: 'Hearing on Motion' },
+      { category: 'Court', keywords: ['hearing+motion'], description: 'Hearing on Motion (combined)' },
+      { category: 'Court', keywords: ['status'], description: 'Status', priority: 5 },
+      { category: 'Office Meeting', keywords: ['meeting'], excludeKeywords: ['zoom', '/\\bteams\\b/'], description: 'Office meeting' },
+      { category: 'Zoom Conference', keywords: ['zoom'], description: 'Video conference' },
+      { category: 'Telephone Conference', keywords: ['call', 'tc'], description: 'Telephone conference' }
+    ].map((event, index) => ({
+      ...event,
+      patterns: parseEventKeywords(event.keywords).patterns,
+      excludePatterns: parseEventKeywords(event.excludeKeywords || []).patterns,
+      priority: event.priority || 0
+    }));
+    
+    const testCases = [
+      { title: 'Hearing on motion Smith', expected: 'Hearing on Motion (combined)', reason: 'more keywords combined' },
+      { title: 'Motion Jones', expected: 'Presentation of Motion', reason: 'only matching row' },
+      { title: 'Status hearing Brown', expected: 'Status', reason: 'higher priority' },
+      { title: 'Meeting Wilson', expected: 'Office meeting', reason: 'only matching row' },
+      { title: 'Zoom meeting Wilson', expected: 'Video conference', reason: 'only matching row' },
+      { title: 'Meeting on Teams Wilson', expected: null, reason: null },
+      { title: 'TC then call Garcia', expected: 'Telephone conference', reason: 'only matching row' },
+      { title: 'Call re meeting Davis', expected: 'Office meeting', reason: 'longer keyword' },
+      { title: 'Call or tc Davis', expected: 'Telephone conference', reason: 'only matching row' },
+      { title: 'Call then zoom Ray', expected: 'Telephone conference', reason: 'keyword earlier in the text' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const match = findUnifiedEventMatch(testCase.title, vocabulary);
+      const description = match ? match.description : null;
+      const reason = match ? match.matchReason : null;
+      return {
+        title: testCase.title,
+        expected: `${testCase.expected} (${testCase.reason})`,
+        actual: `${description} (${reason})`,
+        passed: description === testCase.expected && (reason === testCase.reason || (reason || '').startsWith(`${testCase.reason} than`))
+      };
+    });
+    
+    // A combination needs every part and reports a bad part with the keyword
+    const combination = parseEventKeywords('hearing + /motions?/|status+|"a+b"');
+    testResults.push({
+      title: 'combination keywords parsed',
+      expected: 'hearing+/motions?/, "a+b"; 1 problem',
+      actual: `${combination.keywords.join(', ')}; ${combination.problems.length} problem`,
+      passed: combination.keywords.join(', ') === 'hearing+/motions?/, "a+b"' && combination.problems.length === 1
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.actual}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Event match ranking: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Event match ranking working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Event match ranking test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test client matching accuracy
+ */
+function testClientMatchingAccuracy() {
+  try {
+    console.log('👥 Testing Client Matching Logic...');
+    
+    const clientMap = loadClientMappingFromSheet();
+    
+    if (Object.keys(clientMap).length === 0) {
+      throw new Error('No client mapping data loaded');
+    }
+    
+    // Get first few clients for testing
+    const testClients = Object.keys(clientMap).slice(0, 3);
+    const testResults = testClients.map(clientName => {
+      const testTitle = `Meeting ${clientName} estate planning`;
+      const match = matchClientFromTitle(testTitle, clientMap);
+      
+      return {
+        clientName: clientName,
+        testTitle: testTitle,
+        matchFound: !!match,
+        matchedName: match ? match.name : null,
+        matchedUID: match ? match.uid : null
+      };
+    });
+    
+    const successfulMatches = testResults.filter(r => r.matchFound).length;
+    
+    console.log(`✅ Client matching: ${successfulMatches}/${testResults.length} test cases passed`);
+    
+    return {
+      status: successfulMatches === testResults.length ? 'success' : 'partial',
+      clientCount: Object.keys(clientMap).length,
+      testResults: testResults,
+      successfulMatches: successfulMatches,
+      message: 'Client matching functional'
+    };
+    
+  } catch (error) {
+    console.error('❌ Client matching test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test picking between clients who share a last name
+ */
+function testClientCollisionResolution() {
+  try {
+    console.log('👥 Testing Same-Surname Client Resolution...');
+    
+    const clientIndex = buildClientIndex([
+      ['John', 'Smith', 'U1'],
+      ['Mary', 'Smith', 'U2'],
+      ['Robert', 'Brown', 'U3']
+    ]);
+    
+    const testCases = [
+      { title: 'Call John Smith re estate', expected: 'U1' },
+      { title: 'Smith, Mary - status', expected: 'U2' },
+      { title: 'Mary re Smith trust', expected: 'U2' },
+      { title: 'M. Smith office meeting', expected: 'U2' },
+      { title: 'Smith estate planning', expected: 'AMBIGUOUS' },
+      { title: 'Brown estate planning', expected: 'U3' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const match = resolveClientFromText(testCase.title, clientIndex);
+      const result = match ? (match.ambiguous ? 'AMBIGUOUS' : match.uid) : null;
+      return {
+        title: testCase.title,
+        expected: testCase.expected,
+        result: result,
+        passed: result === testCase.expected
+      };
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Same-surname resolution: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Same-surname client resolution working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Same-surname resolution test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test whole-token client matching and name normalization
+ */
+function testClientTokenMatching() {
+  try {
+    console.log('🔤 Testing Whole-Token Name Matching...');
+    
+    const clientIndex = buildClientIndex([
+      ['Ann', 'Lee', 'U1'],
+      ['Kim', 'Hall', 'U2'],
+      ['Sean', "O'Malley", 'U3'],
+      ['Rob', 'Lopez', 'U4'],
+      ['Maria', 'Garcia-Lopez', 'U5'],
+      ['Ian', 'McDonald', 'U6'],
+      ['René', 'Côté', 'U7']
+    ]);
+    
+    const testCases = [
+      { title: 'Office meeting in the hallway', expected: null },
+      { title: 'Call Lee re estate', expected: 'U1' },
+      { title: 'OMalley - 1802 Status', expected: 'U3' },
+      { title: 'O’Malley trust review', expected: 'U3' },
+      { title: 'Garcia Lopez estate', expected: 'U5' },
+      { title: 'Lopez estate', expected: 'U4' },
+      { title: 'Mac Donald review', expected: 'U6' },
+      { title: 'Cote hearing', expected: 'U7' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const match = resolveClientFromText(testCase.title, clientIndex);
+      const result = match ? match.uid : null;
+      return {
+        title: testCase.title,
+        expected: testCase.expected,
+        result: result,
+        passed: result === testCase.expected
+      };
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Whole-token matching: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Whole-token client matching working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Whole-token matching test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test match confidence scores and which matches are held for client review
+ */
+function testClientMatchConfidence() {
+  try {
+    console.log('🚩 Testing Match Confidence and Client Review...');
+    
+    const clientIndex = buildClientIndex([
+      ['John', 'Smith', 'U1'],
+      ['Mary', 'Smith', 'U2'],
+      ['Bob', 'Brown', 'U3'],
+      ['Ann', 'Green', 'U4']
+    ]);
+    const settings = { ...getDefaultSystemSettings(), clientMatchThreshold: 0.6 };
+    const event = { getGuestList: () => [], getTitle: () => '' };
+    
+    const testCases = [
+      { context: { title: 'Call Mary Smith', location: '', notes: '' }, confidence: 0.95, review: false },
+      { context: { title: 'Call Brown', location: '', notes: '' }, confidence: 0.7, review: false },
+      { context: { title: 'Meeting', location: 'Brown office', notes: '' }, confidence: 0.63, review: false },
+      { context: { title: 'Brown and Green', location: '', notes: '' }, confidence: 0.7, review: true },
+      { context: { title: 'Bob Brown and Smith', location: '', notes: '' }, confidence: 0.71, review: false },
+      { context: { title: 'Call Smith', location: '', notes: '' }, confidence: 0, review: true }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const match = matchClientForEvent(event, clientIndex, {}, testCase.context);
+      const confidence = match ? match.confidence : null;
+      const review = needsClientReview(match, settings);
+      return {
+        title: `${testCase.context.title} ${testCase.context.location}`.trim(),
+        expected: `${testCase.confidence} / review ${testCase.review}`,
+        result: `${confidence} / review ${review}`,
+        passed: confidence === testCase.confidence && review === testCase.review
+      };
+    });
+    
+    // Another user's run queues a review while this one records its row
+    const reviewSheet = _newTestSheet(CLIENT_REVIEW_HEADERS);
+    const reviewMatch = matchClientForEvent(event, clientIndex, {}, testCases[5].context);
+    const queued = _withTestFileMaker(_newTestFileMaker(), reviewSheet, () =>
+      _withContendedTestSheet(reviewSheet, ['evt9', 'other@example.com', 'Call Green'], () => {
+        const entry = { ledgerRef: { key: 'evt1' }, date: '03/04/2024', hours: 0.5 };
+        return queueClientReview(loadClientReviewQueue('test@example.com'), reviewMatch, { title: 'Call Smith', entries: [entry] });
+      }));
+    testResults.push({
+      title: 'Review row number not taken from another user\'s append',
+      expected: 'evt1',
+      result: queued ? reviewSheet.rows[queued.row - 1][0] : null,
+      passed: queued !== null && reviewSheet.rows[queued.row - 1][0] === 'evt1'
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Match confidence: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Match confidence and client review threshold working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Match confidence test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test that learned title patterns win over the last-name index
+ */
+function testLearnedClientMatching() {
+  try {
+    console.log('🎓 Testing Learned Client Matches...');
+    
+    const clientIndex = buildClientIndex([
+      ['John', 'Smith', 'U1'],
+      ['Mary', 'Smith', 'U2'],
+      ['Bob', 'Brown', 'U3'],
+      ['Ann', 'Jones', 'U4']
+    ]);
+    const rule = (pattern, uid, source = 'REVIEW') =>
+      ({ pattern: pattern, tokens: getLearnedPatternTokens(pattern), uid: uid, clientName: '', source: source, confirmations: 1 });
+    const learned = {
+      sheet: null,
+      rules: [rule('smith tumpa estate', 'U2'), rule('brown', 'U1'), rule('brown hoa', 'U3'),
+              rule('probate hearing', 'U1', 'FILEMAKER'), rule('tumpa', 'U2', 'MANUAL')]
+    };
+    const event = { getGuestList: () => [], getTitle: () => '' };
+    
+    const testCases = [
+      { title: 'Call Smith re Tumpa estate planning', expected: 'U2' },
+      { title: 'Tumpa estate 2026 - Smith', expected: 'U2' },
+      { title: 'Call Smith', expected: 'AMBIGUOUS' },
+      { title: 'Brown HOA meeting', expected: 'U3' },
+      // A learned pattern does not override a client the title names without doubt
+      { title: 'Brown review', expected: 'U3' },
+      // Generic vocabulary is no rule, whoever learned it; a rule entered by hand is used as written
+      { title: 'Probate hearing Jones', expected: 'U4' },
+      { title: 'Probate hearing', expected: null },
+      { title: 'Tumpa signing', expected: 'U2' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const context = { title: testCase.title, location: '', notes: '' };
+      const match = matchClientForEvent(event, clientIndex, {}, context, learned);
+      const result = match ? (match.ambiguous ? 'AMBIGUOUS' : match.uid) : null;
+      return {
+        title: testCase.title,
+        expected: testCase.expected,
+        result: result,
+        passed: result === testCase.expected
+      };
+    });
+    
+    // Only distinctive titles are learned
+    [['Probate hearing', false], ['Probate hearing Jones', true], ['Maple Street closing', true], ['Zoom review', false]]
+      .forEach(([title, expected]) => {
+        const result = isDistinctiveLearnedPattern(getLearnedPatternTokens(title), clientIndex);
+        testResults.push({ title: `learn "${title}"`, expected: expected, result: result, passed: result === expected });
+      });
+    
+    // A client corrected in FileMaker is kept by later runs that match the title to the old client
+    const correctionFileMaker = _newTestFileMaker();
+    const correctionSheet = _newTestSheet(POSTED_EVENT_LEDGER_HEADERS);
+    const call = _testCalendarEvent('evt1', '2024-03-04T15:00:00Z', '2024-03-04T15:30:00Z');
+    const callData = (time, uid) => ({ fieldData: { Body: 'Call Smith', Date: '03/04/2024', Time: time, Summary: 'Call', UID_Client_fk: uid } });
+    const corrected = _withTestFileMaker(correctionFileMaker, correctionSheet, () => {
+      const created = postOrUpdateTimeRecord(loadPostedEventLedger('test@example.com'), buildLedgerRef(call), callData(0.5, 'U1'));
+      correctionFileMaker.editInFileMaker(created.recordId, { UID_Client_fk: 'U2' });
+      const ledger = loadPostedEventLedger('test@example.com');
+      adoptFileMakerClientCorrection(ledger, ledger.entries.evt1, correctionFileMaker.get(created.recordId));
+      const rerunLedger = loadPostedEventLedger('test@example.com');
+      const rerun = postOrUpdateTimeRecord(rerunLedger, buildLedgerRef(call), callData(0.5, 'U1'));
+      const callsAfterRerun = correctionFileMaker.calls.join(',');
+      const edited = postOrUpdateTimeRecord(rerunLedger, buildLedgerRef(call), callData(0.8, 'U1'));
+      const clientAfterEdit = correctionFileMaker.records[created.recordId].fieldData.UID_Client_fk;
+      const directive = postOrUpdateTimeRecord(rerunLedger, buildLedgerRef(call), callData(0.8, 'U3'), POSTED_EVENT_TRACKED_FIELDS, true);
+      return { record: correctionFileMaker.records[created.recordId], rerun, callsAfterRerun, edited, clientAfterEdit, directive };
+    });
+    [
+      ['rerun after a FileMaker client correction', 'ALREADY_POSTED / create 1', `${corrected.rerun.status} / ${corrected.callsAfterRerun}`],
+      ['calendar edit keeps the corrected client', 'UPDATED / U2', `${corrected.edited.status} / ${corrected.clientAfterEdit}`],
+      ['#client directive replaces the corrected client', 'UPDATED / U3', `${corrected.directive.status} / ${corrected.record.fieldData.UID_Client_fk}`]
+    ].forEach(([title, expected, result]) => {
+      testResults.push({ title: title, expected: expected, result: result, passed: result === expected });
+    });
+    
+    // Another user's run learns a pattern while this one records its row
+    const learnedSheet = _newTestSheet(LEARNED_MATCH_HEADERS);
+    const newRule = _withTestFileMaker(_newTestFileMaker(), learnedSheet, () =>
+      _withContendedTestSheet(learnedSheet, ['oak lane closing', 'U3'], () =>
+        learnClientMatch(loadLearnedMatches(), 'Maple Street closing', 'U2', 'Mary Smith', 'REVIEW', clientIndex)));
+    const learnedRow = newRule ? learnedSheet.rows[newRule.row - 1][0] : null;
+    testResults.push({
+      title: 'Learned row number not taken from another user\'s append',
+      expected: 'maple street closing',
+      result: learnedRow,
+      passed: learnedRow === 'maple street closing'
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Learned matches: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Learned client matches working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Learned match test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test picking a client's matter from title, location and description cues
+ */
+function testMatterMatching() {
+  try {
+    console.log('📁 Testing Matter Matching...');
+    
+    const matterIndex = buildMatterIndex([
+      ['M1', 'U1', 'Estate of John Doe', 'Probate', '2024-P-000123', 'John Doe'],
+      ['M2', 'U1', 'Doe Family Trust', 'Trust Administration', '', ''],
+      ['M3', 'U1', 'Guardianship of Amy Doe', 'Guardianship', '2023GU0042', 'Amy Doe'],
+      ['M4', 'U2', 'Smith Estate', 'Probate', '', '']
+    ]);
+    
+    const testCases = [
+      { client: 'U1', context: { title: 'Call Doe re 2024P000123', location: '', notes: '' }, expected: 'M1' },
+      { client: 'U1', context: { title: 'Hearing', location: 'Courtroom 1804', notes: 'Estate of John Doe inventory' }, expected: 'M1' },
+      { client: 'U1', context: { title: 'Doe trust administration review', location: '', notes: '' }, expected: 'M2' },
+      { client: 'U1', context: { title: 'Doe guardianship and probate', location: '', notes: '' }, expected: null },
+      { client: 'U2', context: { title: 'Call Smith', location: '', notes: '' }, expected: 'M4' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const matter = matchMatterForEvent({ uid: testCase.client }, testCase.context, matterIndex);
+      const result = matter ? matter.uid : null;
+      return {
+        title: testCase.context.title,
+        expected: testCase.expected,
+        result: result,
+        passed: result === testCase.expected
+      };
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Matter matching: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Matter matching working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Matter matching test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test case number recognition and that a known case number outranks names
+ */
+function testCaseNumberMatching() {
+  try {
+    console.log('⚖️ Testing Court Case Number Matching...');
+    
+    const clientIndex = buildClientIndex([
+      ['John', 'Smith', 'U1'],
+      ['Mary', 'Smith', 'U2'],
+      ['Bob', 'Brown', 'U3']
+    ]);
+    const caseIndex = buildCaseIndex([
+      ['2023P004512', 'Cook County', 'M1', 'U1'],
+      ['23 CH 1234', '', 'M5', 'U3']
+    ]);
+    const event = { getGuestList: () => [], getTitle: () => '' };
+    
+    const testCases = [
+      { title: 'Call Smith re 2023-P-004512', notes: '', expected: 'U1/M1' },
+      { title: 'Smith hearing', notes: 'Case 23 CH 1234', expected: 'U3/M5' },
+      { title: 'Brown status 23 P 4512', notes: '', expected: 'U1/M1' },
+      { title: 'Call Brown 2025P000001', notes: '', expected: 'U3/none' },
+      // Lower-case letters between numbers are ordinary text, not a case type code
+      { title: 'Brown 23 p 4512 sq ft', notes: '', expected: 'U3/none' },
+      { title: 'Brown 2023 PM 004512', notes: '', expected: 'U3/none' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const context = { title: testCase.title, location: '', notes: testCase.notes };
+      const match = matchClientForEvent(event, clientIndex, {}, context, null, caseIndex);
+      const result = match ? `${match.uid}/${match.matterUid || 'none'}` : null;
+      return {
+        title: testCase.title,
+        expected: testCase.expected,
+        result: result,
+        passed: result === testCase.expected
+      };
+    });
+    
+    const canonical = findCaseNumbers('23 CH 1234').map(hit => hit.caseNumber).join();
+    testResults.push({ title: '23 CH 1234', expected: '2023CH001234', result: canonical, passed: canonical === '2023CH001234' });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Case number matching: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Court case number matching working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Case number matching test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test time calculation accuracy (12-minute rounding)
+ */
+function testTimeCalculationAccuracy() {
+  try {
+    console.log('⏰ Testing Time Calculation Logic...');
+    
+    const testCases = [
+      { minutes: 5, expected: 0.2 },   // Minimum 0.2 hours
+      { minutes: 12, expected: 0.2 },  // Exactly 12 minutes
+      { minutes: 15, expected: 0.2 },  // Round down to 0.2
+      { minutes: 18, expected: 0.4 },  // Round up to 0.4
+      { minutes: 30, expected: 0.6 },  // 30 minutes = 0.5, round up to 0.6
+      { minutes: 36, expected: 0.6 },  // Exactly 36 minutes
+      { minutes: 60, expected: 1.0 }   // 1 hour
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const startTime = new Date();
+      const endTime = new Date(startTime.getTime() + (testCase.minutes * 60 * 1000));
+      
+      const calculated = _calculateRoundedDuration(startTime, endTime);
+      const passed = calculated === testCase.expected;
+      
+      return {
+        inputMinutes: testCase.minutes,
+        expected: testCase.expected,
+        calculated: calculated,
+        passed: passed
+      };
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Time calculation: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Time calculation logic working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Time calculation test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test turning multi-day and all-day events into per-day time entries
+ */
+function testTimeEntryPlanning() {
+  try {
+    console.log('📆 Testing Time Entry Planning...');
+    
+    const chicago = 'America/Chicago';
+    const defaults = getDefaultSystemSettings();
+    const workingHours = { ...defaults, multiDayMode: 'WORKING_HOURS' };
+    const fixedHours = { ...defaults, multiDayMode: 'FIXED_HOURS', multiDayHoursPerDay: 6 };
+    const vocabulary = [
+      { category: 'Trial', keywords: ['trial'], description: 'Trial', allDayHours: 6 },
+      { category: 'Seminar', keywords: ['seminar'], description: 'Seminar', allDayHours: 0 }
+    ];
+    const farEnd = new Date('2030-01-01T00:00:00Z');
+    
+    // Monday 1:00 PM to Wednesday 11:00 AM, and Friday 1:00 PM to Monday 11:00 AM (Chicago, CDT)
+    const midweek = _testCalendarEvent('evt1', '2026-06-08T18:00:00Z', '2026-06-10T16:00:00Z', { title: 'Deposition Smith' });
+    const weekend = _testCalendarEvent('evt2', '2026-06-12T18:00:00Z', '2026-06-15T16:00:00Z', { title: 'Deposition Smith' });
+    const call = _testCalendarEvent('evt3', '2026-06-08T14:00:00Z', '2026-06-08T15:00:00Z', { title: 'Call Smith' });
+    const trial = _testCalendarEvent('evt4', '2026-06-08T05:00:00Z', '2026-06-10T05:00:00Z', { title: 'Trial Smith', allDay: true });
+    const seminar = _testCalendarEvent('evt5', '2026-06-08T05:00:00Z', '2026-06-09T05:00:00Z', { title: 'Seminar', allDay: true });
+    
+    const plan = (event, settings, endDate, directives) => planTimeEntries(event, settings, vocabulary, endDate || farEnd, chicago, directives);
+    const describe = result => result.entries.map(entry => `${formatDateForFileMaker(entry.start, chicago)} ${entry.hours}`).join(', ');
+    
+    const testCases = [
+      { name: 'Same-day event is one entry keyed by the event', result: plan(call, defaults),
+        check: result => describe(result) === '06/08/2026 1' && result.entries[0].instanceStart === null },
+      { name: 'Multi-day event skipped by default', result: plan(midweek, defaults),
+        check: result => result.entries.length === 0 && result.skipReason === 'multi-day event' },
+      { name: 'Working hours clip each day', result: plan(midweek, workingHours),
+        check: result => describe(result) === '06/08/2026 4, 06/09/2026 8, 06/10/2026 2' },
+      { name: 'Each day keyed by its own start', result: plan(midweek, workingHours),
+        check: result => result.entries.map(entry => entry.instanceStart.toISOString()).join(',') ===
+                         '2026-06-08T18:00:00.000Z,2026-06-09T14:00:00.000Z,2026-06-10T14:00:00.000Z' },
+      { name: 'Fixed hours per business day, weekend left out', result: plan(weekend, fixedHours),
+        check: result => describe(result) === '06/12/2026 6, 06/15/2026 6' },
+      { name: 'Days after the run window wait for a later run', result: plan(midweek, workingHours, new Date('2026-06-09T05:00:00Z')),
+        check: result => describe(result) === '06/08/2026 4' },
+      { name: 'All-day event billed at its category hours', result: plan(trial, defaults),
+        check: result => describe(result) === '06/08/2026 6, 06/09/2026 6' },
+      { name: 'All-day event without category hours skipped', result: plan(seminar, defaults),
+        check: result => result.entries.length === 0 && result.skipReason === 'all-day event without all-day hours for its category' },
+      { name: 'Hours directive bills the start day only', result: plan(midweek, workingHours, null, { hours: 3 }),
+        check: result => describe(result) === '06/08/2026 3' }
+    ];
+    
+    const testResults = testCases.map(testCase => ({
+      name: testCase.name,
+      actual: describe(testCase.result) || testCase.result.skipReason,
+      passed: testCase.check(testCase.result)
+    }));
+    
+    testResults.filter(r => !r.passed).forEach(r => console.log(`   ❌ ${r.name}: got ${r.actual}`));
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Time entry planning: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Time entry planning working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Time entry planning test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test skipping events by the user's RSVP status, visibility and free/busy
+ */
+function testEventSkipRules() {
+  try {
+    console.log('🚦 Testing Event Skip Rules...');
+    
+    const defaults = getDefaultSystemSettings();
+    const strict = { ...defaults, skipResponseStatuses: 'no, maybe, invited', skipVisibilities: 'PRIVATE', skipFreeEvents: 'Yes' };
+    const event = details => _testCalendarEvent('evt1', '2024-03-04T15:00:00Z', '2024-03-04T16:00:00Z', { title: 'Call Smith', ...details });
+    
+    const testCases = [
+      { name: 'Own event billed', event: event({}), settings: defaults, expected: null },
+      { name: 'Accepted meeting billed', event: event({ myStatus: 'YES' }), settings: defaults, expected: null },
+      { name: 'Declined meeting skipped', event: event({ myStatus: 'NO' }), settings: defaults, expected: 'declined event' },
+      { name: 'Tentative meeting skipped', event: event({ myStatus: 'MAYBE' }), settings: defaults, expected: 'tentative event' },
+      { name: 'Unanswered invitation billed by default', event: event({ myStatus: 'INVITED' }), settings: defaults, expected: null },
+      { name: 'Unanswered invitation skipped when configured', event: event({ myStatus: 'INVITED' }), settings: strict, expected: 'not responded event' },
+      { name: 'Private event billed by default', event: event({ visibility: 'PRIVATE' }), settings: defaults, expected: null },
+      { name: 'Private event skipped when configured', event: event({ visibility: 'PRIVATE' }), settings: strict, expected: 'private event' },
+      { name: 'Free event billed by default', event: event({ transparency: CalendarApp.EventTransparency.TRANSPARENT }), settings: defaults, expected: null },
+      { name: 'Free event skipped when configured', event: event({ transparency: CalendarApp.EventTransparency.TRANSPARENT }), settings: strict, expected: 'event shown as free' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const reason = getEventSkipReason(testCase.event, testCase.settings);
+      return { name: testCase.name, expected: testCase.expected, actual: reason, passed: reason === testCase.expected };
+    });
+    
+    // A meeting declined after it was posted has its record withdrawn
+    const fileMaker = _newTestFileMaker();
+    const declined = event({ myStatus: 'NO' });
+    const withdrawn = _withTestFileMaker(fileMaker, _newTestSheet(POSTED_EVENT_LEDGER_HEADERS), () => {
+      const ledger = loadPostedEventLedger('test@example.com');
+      const posted = postOrUpdateTimeRecord(ledger, buildLedgerRef(declined), { fieldData: { Body: 'Call Smith', Time: 1 } });
+      const reason = getEventSkipReason(declined, defaults);
+      const retraction = retractPostedEvent(ledger, findPostedEvent(ledger, buildLedgerRef(declined)), `Event not billable: ${reason}`, defaults);
+      return { recordId: posted.recordId, status: retraction.status, note: ledger.entries.evt1.note };
+    });
+    testResults.push({
+      name: 'Record of a declined meeting withdrawn',
+      expected: 'DELETED',
+      actual: withdrawn.status,
+      passed: withdrawn.status === 'DELETED' && !fileMaker.records[withdrawn.recordId] &&
+              withdrawn.note === 'Event not billable: declined event'
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ ${r.name}: expected ${r.expected}, got ${r.actual}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Event skip rules: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Event skip rules working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Event skip rules test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test keeping personal events (gym, school pickup, doctor) out of FileMaker
+ */
+function testPersonalEventClassification() {
+  try {
+    console.log('🏠 Testing Personal Event Classification...');
+    
+    const vocabulary = [
+      { category: 'Phone Call', keywords: ['call', 'tc'], description: 'Telephone call' },
+      { category: 'Office Meeting', keywords: ['meeting', 'om'], description: 'Office meeting' },
+      { category: 'Ignore', keywords: ['gym', 'pick up kids', 'doctor'], description: '' },
+      { category: 'Personal', keywords: ['lunch'], description: '' }
+    ].map(event => ({ ...event, isPersonal: PERSONAL_EVENT_CATEGORIES.includes(event.category.toLowerCase()) }));
+    const smith = { uid: 'U1', firstName: 'John', lastName: 'Smith' };
+    
+    const testCases = [
+      { title: 'Gym workout', expected: 'Ignore keyword "gym"' },
+      { title: 'Pick up kids', expected: 'Ignore keyword "pick up kids"' },
+      { title: 'Doctor appointment', expected: 'Ignore keyword "doctor"' },
+      { title: 'Lunch', expected: 'Personal keyword "lunch"' },
+      { title: 'Dentist', expected: 'no client or billable keyword' },
+      { title: 'Call Smith', client: smith, expected: null },
+      { title: 'Smith estate planning', client: smith, expected: null },
+      { title: 'Team call', expected: null },
+      { title: 'Gym with Smith', client: smith, expected: 'Ignore keyword "gym"' },
+      { title: 'Gym with Smith', directives: { clientUid: 'U1' }, expected: null },
+      { title: 'Call Smith', client: smith, directives: { category: 'Personal' }, expected: '#cat:Personal directive' },
+      { title: 'Call Smith', client: smith, colorRule: { colorId: '5', action: 'IGNORE' }, expected: 'color 5 set to ignore' },
+      { title: 'Dentist', colorRule: { colorId: '8', category: 'Personal', action: '' }, expected: 'color 8 mapped to Personal' },
+      { title: 'Dentist', colorRule: { colorId: '11', category: 'Office Meeting', action: 'BILLABLE' }, expected: null },
+      { title: 'Lunch', colorRule: { colorId: '11', category: 'Office Meeting', action: 'BILLABLE' }, expected: 'Personal keyword "lunch"' },
+      { title: 'Weekly sync', seriesDefault: { category: 'Office Meeting' }, expected: null },
+      { title: 'Weekly sync', seriesDefault: { category: 'Ignore' }, expected: 'recurring series mapped to Ignore' },
+      { title: 'Call Smith', client: smith, seriesDefault: { action: 'EXCLUDE' }, expected: 'recurring series excluded' }
+    ];
+    
+    const testResults = testCases.map(testCase => {
+      const reason = classifyPersonalEvent(testCase.title, testCase.client || null, vocabulary, null,
+                                           testCase.colorRule || null, testCase.seriesDefault || null, testCase.directives || null);
+      return { title: testCase.title, expected: testCase.expected, actual: reason, passed: reason === testCase.expected };
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.actual}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Personal events: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Personal event classification working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Personal event test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test finding overlapping events and applying the overlapPolicy setting
+ */
+function testEventOverlapPolicies() {
+  try {
+    console.log('⏱️ Testing Event Overlap Policies...');
+    
+    const chicago = 'America/Chicago';
+    const defaults = getDefaultSystemSettings();
+    const vocabulary = [
+      { category: 'Phone Call', keywords: ['call', 'tc'], description: 'Telephone call' },
+      { category: 'Office Meeting', keywords: ['meeting'], description: 'Office meeting' },
+      { category: 'Ignore', keywords: ['gym'], description: '', isPersonal: true }
+    ];
+    
+    // Monday 8 June 2026 in Chicago (CDT, UTC-5)
+    const item = (id, title, from, to, details = {}) => ({
+      event: _testCalendarEvent(id, `2026-06-08T${from}:00-05:00`, `2026-06-08T${to}:00-05:00`, { title: title, ...details }),
+      calendarId: 'test@example.com',
+      timeZone: chicago
+    });
+    const items = [
+      item('evt1', 'Meeting Smith', '09:00', '11:00'),
+      item('evt2', 'Call Jones', '10:00', '11:00'),
+      item('evt3', 'Gym', '09:30', '10:30'),
+      item('evt4', 'Call Davis', '10:00', '11:00', { myStatus: 'NO' }),
+      item('evt5', 'Call Taylor #nobill', '10:15', '10:45'),
+      item('evt6', 'Meeting Wilson', '13:00', '14:00'),
+      item('evt7', 'Call Wilson', '13:00', '13:36'),
+      item('evt8', 'TC Wilson', '13:24', '14:00'),
+      item('evt9', 'Call Brown', '15:00', '15:30')
+    ];
+    
+    const analyze = policy => analyzeEventOverlaps(items, { ...defaults, overlapPolicy: policy }, vocabulary, {});
+    const billBoth = analyze('BILL_BOTH');
+    const trimOuter = analyze('trim_outer');
+    const review = analyze('REVIEW');
+    const unknown = analyze('SPLIT');
+    
+    const testCases = [
+      { name: 'Overlapping pairs found', passed: billBoth.overlaps.map(o => `${o.inner} in ${o.outer} ${o.minutes}`).join(', ') ===
+          'Call Jones in Meeting Smith 60, Call Wilson in Meeting Wilson 36, TC Wilson in Meeting Wilson 36, TC Wilson in Call Wilson 12' },
+      { name: 'Personal, declined and #nobill events left out', passed: !billBoth.overlaps.some(o => /Gym|Davis|Taylor/.test(`${o.inner} ${o.outer}`)) },
+      { name: 'BILL_BOTH changes nothing', passed: Object.keys(billBoth.adjustments).length === 0 },
+      { name: 'TRIM_OUTER bills the block without the call', passed: trimOuter.policy === 'TRIM_OUTER' &&
+                                                                      trimOuter.adjustments.evt1.action === 'TRIM' && trimOuter.adjustments.evt1.hours === 1 &&
+                                                                      !trimOuter.adjustments.evt2 },
+      { name: 'TRIM_OUTER sends a fully covered block to review', passed: trimOuter.adjustments.evt6.action === 'REVIEW' &&
+                                                                          trimOuter.adjustments.evt6.note === 'Fully covered by overlapping events' },
+      { name: 'REVIEW holds both events', passed: review.adjustments.evt1.action === 'REVIEW' && review.adjustments.evt2.action === 'REVIEW' &&
+                                                  review.adjustments.evt1.note === 'Overlaps "Call Jones" by 60 min' },
+      { name: 'Event without overlap untouched', passed: !trimOuter.adjustments.evt9 && !review.adjustments.evt9 },
+      { name: 'Unknown policy falls back to BILL_BOTH', passed: unknown.policy === 'BILL_BOTH' && Object.keys(unknown.adjustments).length === 0 }
+    ];
+    
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Event overlaps: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Event overlap policies working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Event overlap test failed:', error.message);
     return { status: 'error', error: error.message };
   }
 }
 
 /**
- * Test event vocabulary loading and matching logic
+ * Test time-zone-aware dates and durations around DST transitions
  */
-function testEventVocabularySystem() {
+function testTimeZoneHandling() {
   try {
-    console.log('📝 Testing Event Vocabulary System...');
-    
-    const eventVocabulary = loadUnifiedEventVocabulary();
+    console.log('🌐 Testing Time Zone Handling...');
     
-    if (eventVocabulary.length === 0) {
-      throw new Error('No event vocabulary loaded');
-    }
+    const chicago = 'America/Chicago';
+    const hour = 60 * 60 * 1000;
     
-    // Test various matching scenarios
     const testCases = [
-      { title: 'Motion Smith estate', expectedMatch: true, category: 'Motion' },
-      { title: 'Zoom Johnson trust planning', expectedMatch: true, category: 'Consultation' },
-      { title: 'Random unmatched event', expectedMatch: false, category: null }
+      {
+        name: 'Spring forward: local midnight to 9:00 is 8 hours',
+        calculated: (dateAtTimeInZone(new Date('2026-03-08T18:00:00Z'), '09:00', chicago) - startOfDayInZone(new Date('2026-03-08T18:00:00Z'), 0, chicago)) / hour,
+        expected: 8
+      },
+      {
+        name: 'Fall back: local midnight to 9:00 is 10 hours',
+        calculated: (dateAtTimeInZone(new Date('2026-11-01T18:00:00Z'), '09:00', chicago) - startOfDayInZone(new Date('2026-11-01T18:00:00Z'), 0, chicago)) / hour,
+        expected: 10
+      },
+      {
+        name: 'Business days across spring forward start at local midnight',
+        calculated: _businessDaysOfEvent(new Date('2026-03-06T15:00:00Z'), new Date('2026-03-10T15:00:00Z'), { businessDays: 'Mon,Tue,Wed,Thu,Fri' }, chicago)
+          .map(day => day.toISOString()).join(),
+        expected: '2026-03-06T06:00:00.000Z,2026-03-09T05:00:00.000Z,2026-03-10T05:00:00.000Z'
+      },
+      {
+        name: 'Spring-forward day is 23 hours long',
+        calculated: (startOfDayInZone(new Date('2026-03-08T18:00:00Z'), 1, chicago) - startOfDayInZone(new Date('2026-03-08T18:00:00Z'), 0, chicago)) / hour,
+        expected: 23
+      },
+      {
+        name: 'Fall-back day is 25 hours long',
+        calculated: (startOfDayInZone(new Date('2026-11-01T18:00:00Z'), 1, chicago) - startOfDayInZone(new Date('2026-11-01T18:00:00Z'), 0, chicago)) / hour,
+        expected: 25
+      },
+      {
+        name: '9:00 on the spring-forward day is 14:00 UTC',
+        calculated: dateAtTimeInZone(new Date('2026-03-08T18:00:00Z'), '09:00', chicago).toISOString(),
+        expected: '2026-03-08T14:00:00.000Z'
+      },
+      {
+        name: 'Event across the DST change stays on one day',
+        calculated: _isSameDay(new Date('2026-03-08T01:30:00-06:00'), new Date('2026-03-08T03:30:00-05:00'), chicago),
+        expected: true
+      },
+      {
+        name: '11:30 PM in Los Angeles is posted on the Los Angeles date',
+        calculated: formatDateForFileMaker(new Date('2026-06-10T23:30:00-07:00'), 'America/Los_Angeles'),
+        expected: '06/10/2026'
+      },
+      {
+        name: 'The same instant is the next day in Chicago',
+        calculated: formatDateForFileMaker(new Date('2026-06-10T23:30:00-07:00'), chicago),
+        expected: '06/11/2026'
+      },
+      {
+        name: 'Day of week is read in the time zone',
+        calculated: getDayOfWeekInZone(new Date('2026-06-13T02:00:00Z'), 'America/Los_Angeles'),
+        expected: 5 // Friday in Los Angeles, already Saturday in UTC
+      }
     ];
     
-    const testResults = testCases.map(testCase => {
-      const match = findUnifiedEventMatch(testCase.title, eventVocabulary);
-      const matchFound = !!match;
-      const passed = matchFound === testCase.expectedMatch;
-      
-      return {
-        title: testCase.title,
-        expectedMatch: testCase.expectedMatch,
-        actualMatch: matchFound,
-        category: match ? match.category : null,
-        passed: passed
-      };
+    const testResults = testCases.map(testCase => ({
+      name: testCase.name,
+      expected: testCase.expected,
+      calculated: testCase.calculated,
+      passed: testCase.calculated === testCase.expected
+    }));
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ ${r.name}: expected ${r.expected}, got ${r.calculated}`);
     });
     
     const passedTests = testResults.filter(r => r.passed).length;
     
-    console.log(`✅ Event vocabulary: ${eventVocabulary.length} events, ${passedTests}/${testCases.length} test cases passed`);
+    console.log(`✅ Time zone handling: ${passedTests}/${testCases.length} test cases passed`);
     
     return {
       status: passedTests === testCases.length ? 'success' : 'partial',
-      eventCount: eventVocabulary.length,
       testResults: testResults,
       passedTests: passedTests,
       totalTests: testCases.length,
-      message: 'Event vocabulary system functional'
+      message: 'Time zone handling working'
     };
     
   } catch (error) {
-    console.error('❌ Event vocabulary test failed:', error.message);
+    console.error('❌ Time zone test failed:', error.message);
     return { status: 'error', error: error.message };
   }
 }
 
 /**
- * Test client matching accuracy
+ * Test remembering the client and category of recurring series
  */
-function testClientMatchingAccuracy() {
+function testRecurringSeriesDefaults() {
   try {
-    console.log('👥 Testing Client Matching Logic...');
-    
-    const clientMap = loadClientMappingFromSheet();
+    console.log('🔁 Testing Recurring Series Defaults...');
+    
+    const rows = [
+      RECURRING_SERIES_HEADERS,
+      ['series1', 'Weekly Smith call', '', 'U1', 'John Smith', 'Phone Call', '', 'MATCHED', ''],
+      ['series1', 'Weekly Smith call', 'Test@Example.com', 'U2', 'Ann Jones', 'Phone Call', 'BILLABLE', '', ''],
+      ['series2', 'Staff meeting', '', '', '', '', 'exclude', 'MANUAL', ''],
+      ['series3', 'Brown check-in', 'other@example.com', 'U3', 'Bob Brown', '', '', '', ''],
+      ['series4', 'Davis review', '', 'U4', 'Mary Davis', '', 'SOMETIMES', '', '']
+    ];
+    const appended = [];
+    const sheet = { getDataRange: () => ({ getValues: () => rows }), appendRow: row => appended.push(row) };
     
-    if (Object.keys(clientMap).length === 0) {
-      throw new Error('No client mapping data loaded');
+    const realSheet = getCentralClientListSheet;
+    getCentralClientListSheet = () => sheet;
+    let seriesDefaults;
+    try {
+      seriesDefaults = loadRecurringSeriesDefaults('test@example.com');
+    } finally {
+      getCentralClientListSheet = realSheet;
     }
     
-    // Get first few clients for testing
-    const testClients = Object.keys(clientMap).slice(0, 3);
-    const testResults = testClients.map(clientName => {
-      const testTitle = `Meeting ${clientName} estate planning`;
-      const match = matchClientFromTitle(testTitle, clientMap);
-      
-      return {
-        clientName: clientName,
-        testTitle: testTitle,
-        matchFound: !!match,
-        matchedName: match ? match.name : null,
-        matchedUID: match ? match.uid : null
-      };
-    });
+    const instance = (id, title) => _testCalendarEvent(id, '2024-03-04T15:00:00Z', '2024-03-04T15:30:00Z', { title: title, recurring: true });
+    const oneOff = _testCalendarEvent('series1', '2024-03-04T15:00:00Z', '2024-03-04T15:30:00Z', { title: 'Weekly Smith call' });
+    const renamed = getSeriesDefault(instance('series1', 'Moved: weekly call'), seriesDefaults);
+    const seriesMatch = getSeriesClientMatch(renamed);
+    const newSeries = instance('series5', 'Taylor estate call');
+    const remembered = rememberSeriesDefault(seriesDefaults, newSeries, { name: 'taylor', uid: 'U5', firstName: 'Ann', lastName: 'Taylor' }, 'Phone Call');
+    const rememberedAgain = rememberSeriesDefault(seriesDefaults, newSeries, { name: 'smith', uid: 'U1', firstName: 'John', lastName: 'Smith' }, null);
+    const nothingToRemember = rememberSeriesDefault(seriesDefaults, instance('series6', 'Catch-up'), null, null);
     
-    const successfulMatches = testResults.filter(r => r.matchFound).length;
+    const testCases = [
+      { name: 'User row overrides the firm-wide row', passed: renamed.clientUid === 'U2' && renamed.source === 'MANUAL' },
+      { name: 'Instance matched by series ID, not title', passed: seriesMatch.uid === 'U2' && seriesMatch.matchSource === 'series' &&
+                                                                 seriesMatch.firstName === 'Ann' && seriesMatch.lastName === 'Jones' },
+      { name: 'One-off event with the same ID ignored', passed: getSeriesDefault(oneOff, seriesDefaults) === null },
+      { name: 'EXCLUDE action read in any case', passed: seriesDefaults.series.series2.action === 'EXCLUDE' &&
+                                                         classifyPersonalEvent('Staff meeting', null, [], null, null, seriesDefaults.series.series2) === 'recurring series excluded' },
+      { name: 'Series without a client gives no client match', passed: getSeriesClientMatch(seriesDefaults.series.series2) === null },
+      { name: "Other users' rows left out", passed: !seriesDefaults.series.series3 },
+      { name: 'Unknown action treated as BILLABLE', passed: seriesDefaults.series.series4.action === 'BILLABLE' },
+      { name: 'New series remembered for later instances', passed: remembered.source === 'MATCHED' &&
+                                                                  getSeriesDefault(newSeries, seriesDefaults).clientName === 'Ann Taylor' &&
+                                                                  appended.length === 1 && appended[0][2] === 'test@example.com' },
+      { name: 'Remembered series never overwritten', passed: rememberedAgain === null && seriesDefaults.series.series5.clientUid === 'U5' },
+      { name: 'Nothing remembered without client or category', passed: nothingToRemember === null && appended.length === 1 }
+    ];
     
-    console.log(`✅ Client matching: ${successfulMatches}/${testResults.length} test cases passed`);
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Recurring series defaults: ${passedTests}/${testCases.length} test cases passed`);
     
     return {
-      status: successfulMatches === testResults.length ? 'success' : 'partial',
-      clientCount: Object.keys(clientMap).length,
-      testResults: testResults,
-      successfulMatches: successfulMatches,
-      message: 'Client matching functional'
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Recurring series defaults working'
     };
     
   } catch (error) {
-    console.error('❌ Client matching test failed:', error.message);
+    console.error('❌ Recurring series test failed:', error.message);
     return { status: 'error', error: error.message };
   }
 }
 
 /**
- * Test time calculation accuracy (12-minute rounding)
+ * Test hashtag directive parsing and stripping
  */
-function testTimeCalculationAccuracy() {
+function testEventDirectiveParsing() {
   try {
-    console.log('⏰ Testing Time Calculation Logic...');
+    console.log('#️⃣ Testing Event Directive Parsing...');
     
     const testCases = [
-      { minutes: 5, expected: 0.2 },   // Minimum 0.2 hours
-      { minutes: 12, expected: 0.2 },  // Exactly 12 minutes
-      { minutes: 15, expected: 0.2 },  // Round down to 0.2
-      { minutes: 18, expected: 0.4 },  // Round up to 0.4
-      { minutes: 30, expected: 0.6 },  // 30 minutes = 0.5, round up to 0.6
-      { minutes: 36, expected: 0.6 },  // Exactly 36 minutes
-      { minutes: 60, expected: 1.0 }   // 1 hour
+      { text: 'Call Smith #0.5h', expectedText: 'Call Smith', expected: { hours: 0.5 } },
+      { text: '#nobill Lunch with Jones', expectedText: 'Lunch with Jones', expected: { noBill: true } },
+      { text: 'Hearing #client:12345 #matter:2024P000123', expectedText: 'Hearing', expected: { clientUid: '12345', matter: '2024P000123' } },
+      { text: 'Meeting Wilson #cat:Office_Meeting', expectedText: 'Meeting Wilson', expected: { category: 'Office Meeting' } },
+      { text: 'Ticket #123 and #30h', expectedText: 'Ticket #123 and #30h', expected: {} },
+      { text: 'Draft email#nobill', expectedText: 'Draft email#nobill', expected: {} }
     ];
     
     const testResults = testCases.map(testCase => {
-      const startTime = new Date();
-      const endTime = new Date(startTime.getTime() + (testCase.minutes * 60 * 1000));
-      
-      const calculated = _calculateRoundedDuration(startTime, endTime);
-      const passed = calculated === testCase.expected;
-      
+      const parsed = parseEventDirectives(testCase.text);
       return {
-        inputMinutes: testCase.minutes,
-        expected: testCase.expected,
-        calculated: calculated,
-        passed: passed
+        text: testCase.text,
+        expected: JSON.stringify(testCase.expected),
+        parsed: JSON.stringify(parsed.directives),
+        cleanedText: parsed.text,
+        passed: JSON.stringify(parsed.directives) === JSON.stringify(testCase.expected) && parsed.text === testCase.expectedText
       };
     });
     
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.text}": expected ${r.expected}, got ${r.parsed} → "${r.cleanedText}"`);
+    });
+    
     const passedTests = testResults.filter(r => r.passed).length;
     
-    console.log(`✅ Time calculation: ${passedTests}/${testCases.length} test cases passed`);
+    console.log(`✅ Event directives: ${passedTests}/${testCases.length} test cases passed`);
     
     return {
       status: passedTests === testCases.length ? 'success' : 'partial',
       testResults: testResults,
       passedTests: passedTests,
       totalTests: testCases.length,
-      message: 'Time calculation logic working'
+      message: 'Event directive parsing working'
     };
     
   } catch (error) {
-    console.error('❌ Time calculation test failed:', error.message);
+    console.error('❌ Event directive test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test matching clients by trust, business and maiden names from the Aliases tab
+ */
+function testClientAliasMatching() {
+  try {
+    console.log('🏷️ Testing Client Alias Matching...');
+    
+    const clientIndex = buildClientIndex([
+      ['John', 'Smith', 'U1'],
+      ['Ann', 'Jones', 'U2'],
+      ['Mary', 'Davis', 'U3']
+    ], [
+      ['Tumpa Trust No. 1', 'U1', '', ''],
+      ['Acme Plumbing LLC', 'U2', '', ''],
+      ['Mary Miller', 'U3', '', ''],
+      ['Riverside Holdings', 'U4', 'Bob', 'Brown'],
+      ['Oak Trust', 'U1', '', ''],
+      ['Oak Trust', 'U2', '', '']
+    ]);
+    
+    const testCases = [
+      { title: 'Review Tumpa Trust No. 1 documents', expected: 'U1 alias John Smith' },
+      { title: 'Call re: acme plumbing llc lease', expected: 'U2 alias Ann Jones' },
+      { title: 'Meeting Mary Miller', expected: 'U3 alias Mary Davis' },
+      { title: 'Riverside Holdings closing', expected: 'U4 alias Bob Brown' },
+      { title: 'Tumpa Trust funding', expected: 'none' },
+      { title: 'Oak Trust review', expected: 'ambiguous U1,U2' },
+      { title: 'Davis estate', expected: 'U3 last name Mary Davis' },
+      { title: 'Acme Plumbing LLC call with John Smith', expected: 'U1 full name John Smith + U2' }
+    ];
+    
+    const describe = match => {
+      if (!match) return 'none';
+      if (match.ambiguous) return `ambiguous ${match.candidates.map(client => client.uid).join(',')}`;
+      const others = (match.additionalClients || []).map(client => client.uid).join(',');
+      return `${match.uid} ${match.matchedBy} ${match.firstName} ${match.lastName}${others ? ` + ${others}` : ''}`;
+    };
+    
+    const testResults = testCases.map(testCase => {
+      const actual = describe(resolveClientFromText(testCase.title, clientIndex));
+      return { title: testCase.title, expected: testCase.expected, actual: actual, passed: actual === testCase.expected };
+    });
+    
+    testResults.push({
+      title: 'aliases indexed',
+      expected: '5 aliases',
+      actual: `${Object.keys(clientIndex.byAlias).length} aliases`,
+      passed: Object.keys(clientIndex.byAlias).length === 5 && clientIndex.clients.length === 3
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ "${r.title}": expected ${r.expected}, got ${r.actual}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Client aliases: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Client alias matching working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Client alias test failed:', error.message);
     return { status: 'error', error: error.message };
   }
 }
@@ -573,10 +2379,18 @@ function benchmarkProcessingPerformance() {
     const judgeMap = loadJudgeMapFromSheet();
     benchmarks.judgeLoadingMs = new Date().getTime() - judgeStart;
     
+    // Benchmark client name matching: one scan per client name vs the prebuilt token trie
+    benchmarks.clientMatching = _benchmarkClientNameMatching(2000, 500);
+    
     console.log('⚡ Performance Results:');
     console.log('   Client loading:', benchmarks.clientLoadingMs + 'ms');
     console.log('   Event vocabulary:', benchmarks.eventVocabularyMs + 'ms');
     console.log('   Judge loading:', benchmarks.judgeLoadingMs + 'ms');
+    console.log(`   Client matching (${benchmarks.clientMatching.clients} clients, ${benchmarks.clientMatching.titles} titles):`);
+    console.log('     Index build:', benchmarks.clientMatching.indexBuildMs + 'ms');
+    console.log('     Per-name scan:', benchmarks.clientMatching.scanMs + 'ms');
+    console.log('     Indexed:', benchmarks.clientMatching.indexedMs + 'ms');
+    console.log('     Same results:', benchmarks.clientMatching.sameResults);
     
     return benchmarks;
     
@@ -586,6 +2400,169 @@ function benchmarkProcessingPerformance() {
   }
 }
 
+/**
+ * Times client name matching over synthetic clients and titles: a scan of every
+ * client name per title (the old matcher) against the token trie of the client index
+ * @param {number} clientCount - Synthetic clients to index
+ * @param {number} titleCount - Synthetic event titles to match
+ * @returns {Object} { clients, titles, indexBuildMs, scanMs, indexedMs, sameResults }
+ */
+function _benchmarkClientNameMatching(clientCount, titleCount) {
+  const syllables = ['bar', 'ken', 'dal', 'mor', 'vin', 'sta', 'lo', 'ric', 'han', 'tel',
+                     'gor', 'pen', 'sul', 'wex', 'ard', 'bel', 'cor', 'dun', 'fal', 'nim'];
+  const syntheticName = n => syllables[n % 20] + syllables[Math.floor(n / 20) % 20] + syllables[Math.floor(n / 400) % 20];
+  const rows = [];
+  for (let i = 0; i < clientCount; i++) {
+    rows.push([`First${syntheticName(i + 7)}`, `${syntheticName(i)}${i % 5 === 0 ? ' ' + syntheticName(i + 1) : ''}`, 100000 + i]);
+  }
+  const titles = [];
+  for (let i = 0; i < titleCount; i++) {
+    titles.push(i % 4 === 0 ? 'Lunch with the team' : `Call re ${rows[(i * 37) % clientCount][1]} estate documents`);
+  }
+
+  const buildStart = new Date().getTime();
+  const clientIndex = buildClientIndex(rows);
+  const indexBuildMs = new Date().getTime() - buildStart;
+  const nameKeys = Object.keys(clientIndex.byLastName);
+
+  const scanStart = new Date().getTime();
+  const scanned = titles.map(title => {
+    const titleTokens = tokenizeNameText(title).map(t => t.token);
+    return nameKeys.filter(key => findTokenSequence(titleTokens, key.split(' ')).length > 0).sort();
+  });
+  const scanMs = new Date().getTime() - scanStart;
+
+  const indexedStart = new Date().getTime();
+  const indexed = titles.map(title => {
+    const titleTokens = tokenizeNameText(title).map(t => t.token);
+    return findTokenTrieMatches(clientIndex.nameTrie, titleTokens)
+      .map(match => match.values[0].key)
+      .filter((key, index, keys) => keys.indexOf(key) === index)
+      .sort();
+  });
+  const indexedMs = new Date().getTime() - indexedStart;
+
+  return {
+    clients: clientCount,
+    titles: titleCount,
+    indexBuildMs: indexBuildMs,
+    scanMs: scanMs,
+    indexedMs: indexedMs,
+    sameResults: JSON.stringify(scanned) === JSON.stringify(indexed)
+  };
+}
+
+/**
+ * Test the token trie behind client name matching and the name index cached per client map
+ */
+function testIndexedClientMatching() {
+  try {
+    console.log('🌲 Testing Indexed Client Name Matching...');
+    
+    const trie = buildTokenTrie([
+      [['lopez'], 'lopez'],
+      [['garcia', 'lopez'], 'garcia lopez'],
+      [['constructor'], 'constructor']
+    ]);
+    const trieMatches = findTokenTrieMatches(trie, ['garcia', 'lopez', 'estate', 'tostring', 'constructor']);
+    
+    const clientMap = { 'lee': 'U1', 'smith': 'U2', 'van der berg': 'U3', 'berg': 'U4' };
+    const firstIndex = getClientMapNameIndex(clientMap);
+    
+    const testCases = [
+      { name: 'Trie finds nested names', passed: trieMatches.map(m => m.values[0]).join('|') === 'garcia lopez|lopez|constructor' },
+      { name: 'Trie reports position and length', passed: trieMatches[0].position === 0 && trieMatches[0].length === 2 },
+      { name: 'Longest client map name wins', passed: (matchClientFromTitle('Van der Berg closing', clientMap) || {}).uid === 'U3' },
+      { name: 'Client map names match whole words', passed: matchClientFromTitle('Team meeting', clientMap) === null },
+      { name: 'Private matcher uses the same index', passed: (_matchClientFromTitle('Call Smith', clientMap) || {}).matchedName === 'smith' },
+      { name: 'Name index built once per client map', passed: getClientMapNameIndex(clientMap) === firstIndex },
+      { name: 'Benchmark agrees with per-name scan', passed: _benchmarkClientNameMatching(200, 50).sameResults }
+    ];
+    
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Indexed client matching: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Indexed client name matching working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Indexed client matching test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test billing an event that names several clients per the multiClientPolicy setting
+ */
+function testMultiClientAllocation() {
+  try {
+    console.log('👥 Testing Multi-Client Allocation...');
+    
+    const clientIndex = buildClientIndex([
+      ['John', 'Smith', 'U1'],
+      ['Ann', 'Jones', 'U2'],
+      ['Bob', 'Brown', 'U3']
+    ]);
+    const defaults = getDefaultSystemSettings();
+    const split = { ...defaults, multiClientPolicy: 'SPLIT', eventRefFieldName: 'Calendar_Event_Ref' };
+    const full = { ...defaults, multiClientPolicy: 'FULL' };
+    const ledgerRef = { key: 'evt1|2024-03-04T15:00:00.000Z', eventId: 'evt1', instanceStart: '2024-03-04T15:00:00.000Z', calendarId: '' };
+    
+    const match = resolveClientFromText('Conference call Smith and Jones re: partition', clientIndex);
+    const billed = getBilledClients(match);
+    const splitShares = buildClientShares(ledgerRef, 1, billed, split);
+    const fullShares = buildClientShares(ledgerRef, 1, billed, full);
+    const single = buildClientShares(ledgerRef, 1, getBilledClients(resolveClientFromText('Call Brown', clientIndex)), split);
+    const threeClients = getBilledClients(resolveClientFromText('Call Smith, Jones and Brown', clientIndex));
+    const shortCall = buildClientShares(ledgerRef, 0.4, threeClients, split);
+    const fieldData = buildTimeEntryFieldData({ body: 't', date: '03/04/2024', hours: splitShares[1].hours, summary: 's', userId: 'X',
+                                                clientUid: splitShares[1].client.uid, calendarName: 'c', eventRef: splitShares[1].eventRef }, split);
+    const reviewed = getReviewedClientMatch({ chosenUid: 'U3, U1', title: 't', details: null }, clientIndex);
+    
+    const testCases = [
+      { name: 'Every client in the title is returned', passed: billed.map(c => c.uid).join(',') === 'U1,U2' },
+      { name: 'SPLIT shares the time in 0.2h blocks', passed: splitShares.map(s => s.hours).join(',') === '0.6,0.4' },
+      { name: 'FULL bills the full time to each', passed: fullShares.map(s => s.hours).join(',') === '1,1' },
+      { name: 'REVIEW holds the event', passed: needsClientReview(match, defaults) && !needsClientReview(match, split) },
+      { name: 'Records keyed per client, tied to the event', passed: splitShares[1].ledgerRef.key === `${ledgerRef.key}|client:U2` &&
+                                                                    splitShares.every(s => s.eventRef === ledgerRef.key) },
+      { name: 'Event reference sent to FileMaker', passed: fieldData.Calendar_Event_Ref === ledgerRef.key },
+      { name: 'Single client keeps the instance key', passed: single.length === 1 && single[0].ledgerRef === ledgerRef && single[0].eventRef === null },
+      { name: 'Split never bills more than the event', passed: splitBillableHours(0.2, 3).join(',') === '0.2,0,0' &&
+                                                              splitBillableHours(0.8, 3).join(',') === '0.4,0.2,0.2' },
+      { name: 'Clients left without a block get no record', passed: threeClients.length === 3 &&
+                                                                    shortCall.map(s => `${s.client.uid} ${s.hours}`).join(',') === 'U1 0.2,U2 0.2' },
+      { name: 'Reviewer can choose several clients', passed: reviewed.uid === 'U3' && reviewed.additionalClients.map(c => c.uid).join(',') === 'U1' }
+    ];
+    
+    testCases.filter(t => !t.passed).forEach(t => console.log(`   ❌ ${t.name}`));
+    
+    const passedTests = testCases.filter(t => t.passed).length;
+    
+    console.log(`✅ Multi-client allocation: ${passedTests}/${testCases.length} test cases passed`);
+    
+    return {
+      status: passedTests === testCases.length ? 'success' : 'partial',
+      testResults: testCases,
+      passedTests: passedTests,
+      totalTests: testCases.length,
+      message: 'Multi-client allocation working'
+    };
+    
+  } catch (error) {
+    console.error('❌ Multi-client allocation test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
 /**
  * Test smart client sync system with timestamp checking
  */
@@ -731,6 +2708,161 @@ function testErrorHandlingSystem() {
   }
 }
 
+/**
+ * Test that an event failing mid-run is counted as failed by both processing
+ * pipelines, and holds back the sync token and the deleted-event check
+ */
+function testPipelineEventFailures() {
+  try {
+    console.log('💥 Testing Failing Events in the Processing Pipelines...');
+    
+    const windowStart = new Date('2024-03-04T00:00:00Z');
+    const windowEnd = new Date('2024-03-11T00:00:00Z');
+    const event = (id, title) => _testCalendarEvent(id, '2024-03-05T15:00:00Z', '2024-03-05T15:30:00Z', { title: title });
+    const payload = { fieldData: { Body: 'Call Smith', Date: '03/05/2024', Time: 0.5, Summary: 'Call', UID_Client_fk: 'U1' } };
+    
+    // evt1 was posted and is now #nobill, but FileMaker refuses to delete its record; evt9 was posted and is gone from the calendar
+    const run = pipeline => {
+      const fileMaker = _newTestFileMaker();
+      const remove = fileMaker.remove;
+      fileMaker.remove = recordId => {
+        if (recordId === '1') throw new Error('FileMaker Data API unavailable');
+        return remove(recordId);
+      };
+      
+      return _withTestPipeline(fileMaker, [event('evt1', 'Call Smith #nobill'), event('evt2', 'Call Smith')], ({ committedTokens }) => {
+        const ledger = loadPostedEventLedger();
+        postOrUpdateTimeRecord(ledger, buildLedgerRef(event('evt1', 'Call Smith')), payload);
+        postOrUpdateTimeRecord(ledger, buildLedgerRef(event('evt9', 'Call Smith')), payload);
+        const result = pipeline(windowStart, windowEnd, { incremental: true });
+        return { result: result, committedTokens: committedTokens, fileMaker: fileMaker };
+      });
+    };
+    
+    const testResults = [['unified', processCalendarEventsUnified], ['error handling', processCalendarEventsWithErrorHandling]]
+      .map(([name, pipeline]) => {
+        const { result, committedTokens, fileMaker } = run(pipeline);
+        const outcome = `failed ${result.failed}, successful ${result.successful}, tokens ${committedTokens.length}, ` +
+                        `evt9 record ${fileMaker.records['2'] ? 'kept' : 'deleted'}`;
+        const expected = 'failed 1, successful 1, tokens 0, evt9 record kept';
+        return { title: name, expected: expected, result: outcome, passed: outcome === expected };
+      });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ ${r.title} pipeline: expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Failing events: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Failing events counted by both pipelines'
+    };
+    
+  } catch (error) {
+    console.error('❌ Failing events test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Test the per-event decision both processing pipelines share
+ */
+function testEventDecisions() {
+  try {
+    console.log('🧭 Testing Event Decisions...');
+    
+    const windowStart = new Date('2024-03-04T00:00:00Z');
+    const windowEnd = new Date('2024-03-11T00:00:00Z');
+    const event = (id, title, start) => _testCalendarEvent(id, start, new Date(new Date(start).getTime() + 1800000).toISOString(), { title: title });
+    const events = [
+      event('evt1', 'Call Smith', '2024-03-04T15:00:00Z'),
+      event('evt2', 'Lunch with Smith #nobill', '2024-03-04T17:00:00Z'),
+      event('evt3', 'Gym', '2024-03-04T19:00:00Z'),
+      event('evt4', 'Call re deed #client:U9', '2024-03-05T15:00:00Z')
+    ];
+    
+    // The decisions themselves
+    const decisions = _withTestPipeline(_newTestFileMaker(), events, () => {
+      const settings = loadSystemSettings();
+      const colorMap = loadEventColorMap();
+      const seriesDefaults = loadRecurringSeriesDefaults();
+      const items = events.map(item => ({ event: item, calendarId: 'test@example.com', calendarName: 'Calendar', timeZone: 'America/Chicago' }));
+      const run = {
+        settings: settings,
+        ledger: loadPostedEventLedger(),
+        seenLedgerKeys: {},
+        endDate: windowEnd,
+        currentUserId: 'USER1',
+        clientIndex: loadClientIndexFromSheet(),
+        clientEmailMap: {},
+        caseIndex: loadCaseIndexFromSheet(),
+        matterIndex: loadMatterIndexFromSheet(),
+        learnedMatches: loadLearnedMatches(),
+        unifiedEvents: [],
+        colorMap: colorMap,
+        seriesDefaults: seriesDefaults,
+        reviewQueue: loadClientReviewQueue(),
+        overlapAnalysis: analyzeEventOverlaps(items, settings, [], colorMap, seriesDefaults)
+      };
+      return items.map(item => decideCalendarEvent(item, run));
+    });
+    const describe = decision => decision.outcome === 'POST'
+      ? `POST ${decision.records.map(record => `${record.payload.fieldData.UID_Client_fk || '-'} ${record.hours}h${record.clientNamed ? ' named' : ''}`).join(', ')}`
+      : `${decision.outcome} (${decision.reason})`;
+    
+    // Both pipelines post the same records for the same events
+    const postedBy = pipeline => {
+      const fileMaker = _newTestFileMaker();
+      _withTestPipeline(fileMaker, events, () => pipeline(windowStart, windowEnd));
+      return JSON.stringify(Object.values(fileMaker.records).map(record => record.fieldData));
+    };
+    const unified = postedBy(processCalendarEventsUnified);
+    const errorHandling = postedBy(processCalendarEventsWithErrorHandling);
+    
+    const testResults = [
+      { title: 'Client event', expected: 'POST U1 0.6h' },
+      { title: '#nobill event', expected: 'SKIPPED (#nobill directive)' },
+      { title: 'Event without client or billable keyword', expected: 'PERSONAL' },
+      { title: '#client directive', expected: 'POST U9 0.6h named' }
+    ].map((testCase, position) => {
+      const result = describe(decisions[position]);
+      return { title: testCase.title, expected: testCase.expected, result: result, passed: result.startsWith(testCase.expected) };
+    });
+    testResults.push({
+      title: 'Both pipelines post the same records',
+      expected: unified,
+      result: errorHandling,
+      passed: unified === errorHandling && JSON.parse(unified).length === 2
+    });
+    
+    testResults.filter(r => !r.passed).forEach(r => {
+      console.log(`   ❌ ${r.title}: expected ${r.expected}, got ${r.result}`);
+    });
+    
+    const passedTests = testResults.filter(r => r.passed).length;
+    
+    console.log(`✅ Event decisions: ${passedTests}/${testResults.length} test cases passed`);
+    
+    return {
+      status: passedTests === testResults.length ? 'success' : 'partial',
+      testResults: testResults,
+      passedTests: passedTests,
+      totalTests: testResults.length,
+      message: 'Event decisions shared by both pipelines'
+    };
+    
+  } catch (error) {
+    console.error('❌ Event decision test failed:', error.message);
+    return { status: 'error', error: error.message };
+  }
+}
+
 /**
  * Test enhanced error handling in main processing function
  */
@@ -0,0 +1,196 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 📆 Time Entry Policy (multi-day and all-day events)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// A same-day timed event becomes a single time entry. Events spanning several
+// days (trials, seminars) become one entry per business day, either clipped to
+// working hours or billed at a fixed number of hours per day (multiDayMode
+// setting). All-day events are only billed when their vocabulary category has
+// All-Day Hours set in the EventTypes sheet (e.g. Trial = 6.0).
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Multi-day modes:
+ * SKIP          - multi-day events are not billed (default)
+ * WORKING_HOURS - each business day is clipped to workdayStart-workdayEnd
+ * FIXED_HOURS   - each business day is billed multiDayHoursPerDay hours
+ */
+const MULTI_DAY_MODES = ['SKIP', 'WORKING_HOURS', 'FIXED_HOURS'];
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Plans the FileMaker time entries for a calendar event.
+ * Day entries after endDate are left for the run that covers their day.
+ *
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {Array} vocabulary - Unified event vocabulary (for all-day hours)
+ * @param {Date} endDate - End of the run's window
+ * @param {string} timeZone - Time zone days and working hours are read in (see resolveTimeZone)
+ * @param {Object} directives - Optional directives from getEventDirectives()
+ * @returns {Object} { entries: [{ start, hours, instanceStart }], skipReason }
+ *          instanceStart is null for a single entry, so the ledger keys it by the event alone
+ */
+function planTimeEntries(event, settings, vocabulary, endDate, timeZone = null, directives = null) {
+  const start = event.getStartTime();
+  const end = event.getEndTime();
+
+  // An hours directive bills exactly that time on the event's start day
+  if (directives && directives.hours) {
+    return { entries: [{ start: start, hours: directives.hours, instanceStart: null }], skipReason: null };
+  }
+
+  if (!event.isAllDayEvent() && _isSameDay(start, end, timeZone)) {
+    return {
+      entries: [{ start: start, hours: _calculateRoundedDuration(start, end), instanceStart: null }],
+      skipReason: null
+    };
+  }
+
+  let entries;
+  if (event.isAllDayEvent()) {
+    const eventMatch = directives && directives.category
+      ? findUnifiedEventByCategory(directives.category, vocabulary)
+      : findUnifiedEventMatch(directives ? directives.title : event.getTitle(), vocabulary,
+                              directives ? directives.context : getEventMatchContext(event));
+    const hours = eventMatch ? eventMatch.allDayHours : 0;
+    if (!hours) {
+      return { entries: [], skipReason: 'all-day event without all-day hours for its category' };
+    }
+
+    entries = _businessDaysOfEvent(start, end, settings, timeZone).map(day => ({ start: day, hours: hours, instanceStart: day }));
+
+  } else {
+    const mode = (settings.multiDayMode || '').toString().toUpperCase().trim();
+    if (!MULTI_DAY_MODES.includes(mode) || mode === 'SKIP') {
+      return { entries: [], skipReason: 'multi-day event' };
+    }
+
+    entries = _businessDaysOfEvent(start, end, settings, timeZone)
+      .map(day => _planMultiDayEntry(day, start, end, mode, settings, timeZone))
+      .filter(entry => entry !== null);
+  }
+
+  entries = entries.filter(entry => entry.start < endDate);
+  if (entries.length === 0) {
+    return { entries: [], skipReason: 'no business day with billable time' };
+  }
+
+  Logger.log(`📆 Split "${event.getTitle()}" into ${entries.length} daily entries`);
+  return { entries: entries, skipReason: null };
+}
+
+/**
+ * Builds the FileMaker field data of one planned time entry.
+ * The field order is fixed - the ledger hashes the field data to spot changes.
+ *
+ * @param {Object} record - { body, date, hours, summary, userId, clientUid, calendarName, matter, eventRef }
+ *   date is already formatted for FileMaker; clientUid, matter and eventRef are optional
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @returns {Object} fieldData for the FileMaker Data API
+ */
+function buildTimeEntryFieldData(record, settings) {
+  const fieldData = {
+    Body: record.body,
+    Date: record.date,
+    Time: record.hours,
+    Summary: record.summary,
+    UID_User_fk: record.userId
+  };
+
+  // Only include client field if there's a match
+  if (record.clientUid !== null && record.clientUid !== undefined && record.clientUid !== '') {
+    fieldData.UID_Client_fk = record.clientUid;
+  }
+
+  // Record which calendar the event came from
+  if (settings.calendarFieldName) {
+    fieldData[settings.calendarFieldName] = record.calendarName;
+  }
+
+  // Matter from a #matter directive or the client's open matters
+  if (settings.matterFieldName && record.matter) {
+    fieldData[settings.matterFieldName] = record.matter;
+  }
+
+  // The same event reference on every record of an event billed to several clients
+  if (settings.eventRefFieldName && record.eventRef) {
+    fieldData[settings.eventRefFieldName] = record.eventRef;
+  }
+
+  return fieldData;
+}
+
+/**
+ * Plans one business day of a multi-day timed event
+ * @param {Date} day - Midnight of the day
+ * @param {Date} start - Event start
+ * @param {Date} end - Event end
+ * @param {string} mode - WORKING_HOURS | FIXED_HOURS
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {string} timeZone - Time zone of the working hours
+ * @returns {Object|null} { start, hours, instanceStart } or null when the day has no working time
+ */
+function _planMultiDayEntry(day, start, end, mode, settings, timeZone) {
+  const workStart = dateAtTimeInZone(day, _timeOfDaySetting(settings.workdayStart), timeZone);
+  const workEnd = dateAtTimeInZone(day, _timeOfDaySetting(settings.workdayEnd), timeZone);
+
+  const pieceStart = new Date(Math.max(start, workStart));
+  const pieceEnd = new Date(Math.min(end, workEnd));
+
+  if (mode === 'FIXED_HOURS') {
+    const entryStart = pieceStart < end ? pieceStart : new Date(Math.max(start, day));
+    return { start: entryStart, hours: Number(settings.multiDayHoursPerDay), instanceStart: entryStart };
+  }
+
+  if (pieceEnd <= pieceStart) {
+    return null;
+  }
+
+  return { start: pieceStart, hours: _calculateRoundedDuration(pieceStart, pieceEnd), instanceStart: pieceStart };
+}
+
+/**
+ * Lists midnight of every business day an event touches
+ * @param {Date} start - Event start
+ * @param {Date} end - Event end (exclusive; all-day events end at midnight after their last day)
+ * @param {Object} settings - Settings from loadSystemSettings()
+ * @param {string} timeZone - Time zone the days are counted in
+ * @returns {Array<Date>} days
+ */
+function _businessDaysOfEvent(start, end, settings, timeZone) {
+  const businessDays = _parseBusinessDays(settings.businessDays);
+  const days = [];
+
+  for (let day = startOfDayInZone(start, 0, timeZone); day < end; day = startOfDayInZone(day, 1, timeZone)) {
+    if (businessDays.includes(getDayOfWeekInZone(day, timeZone))) {
+      days.push(day);
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Parses a business day list such as "Mon,Tue,Wed,Thu,Fri"
+ * @param {string} value - Comma-separated day names
+ * @returns {Array<number>} day numbers as returned by Date.getDay()
+ */
+function _parseBusinessDays(value) {
+  return (value || '').toString().split(',')
+    .map(name => WEEKDAY_NAMES.indexOf(name.trim().toLowerCase().substring(0, 3)))
+    .filter(dayNumber => dayNumber >= 0);
+}
+
+/**
+ * Reads a time-of-day setting as "HH:mm"
+ * @param {string|Date} value - "HH:mm", or a time value read from a sheet cell
+ * @returns {string}
+ */
+function _timeOfDaySetting(value) {
+  if (value && typeof value.getHours === 'function') {
+    return `${value.getHours()}:${value.getMinutes()}`;
+  }
+  return (value || '0:00').toString();
+}
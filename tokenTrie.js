@@ -0,0 +1,74 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// 🌲 Token Trie - finds every known name in a text in one pass
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Checking a title against each client name in turn costs one scan per name
+// per event, so a run slows down as the client list grows. A token trie holds
+// the token sequences of all names, is built once per run (see
+// buildClientIndex and matchClientFromTitle) and finds every name in a text by
+// walking it from each token: the cost follows the length of the title, not
+// the number of clients.
+// Names and texts are compared as tokens from tokenizeNameText(), so a name
+// only matches whole words. Children are kept in a Map, so a token such as
+// "constructor" cannot collide with an object property.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Builds a token trie
+ * @param {Array} entries - [tokens, value] pairs; a value is returned for every place its tokens appear
+ * @returns {Object} trie root
+ */
+function buildTokenTrie(entries = []) {
+  const trie = _newTokenTrieNode();
+  entries.forEach(([tokens, value]) => addToTokenTrie(trie, tokens, value));
+  return trie;
+}
+
+/**
+ * Adds a token sequence to a trie
+ * @param {Object} trie - Trie from buildTokenTrie()
+ * @param {Array<string>} tokens - Normalized tokens of the name
+ * @param {*} value - Value returned when the sequence is found
+ */
+function addToTokenTrie(trie, tokens, value) {
+  if (!tokens || tokens.length === 0) return;
+
+  let node = trie;
+  tokens.forEach(token => {
+    if (!node.next.has(token)) {
+      node.next.set(token, _newTokenTrieNode());
+    }
+    node = node.next.get(token);
+  });
+  node.values.push(value);
+}
+
+/**
+ * Finds every sequence of the trie in a list of text tokens, overlapping ones included
+ * @param {Object} trie - Trie from buildTokenTrie()
+ * @param {Array<string>} tokens - Normalized tokens of the text
+ * @returns {Array} [{ position, length, values }] by position, then length
+ */
+function findTokenTrieMatches(trie, tokens) {
+  const matches = [];
+
+  for (let start = 0; start < tokens.length; start++) {
+    let node = trie;
+    for (let i = start; i < tokens.length; i++) {
+      node = node.next.get(tokens[i]);
+      if (!node) break;
+      if (node.values.length > 0) {
+        matches.push({ position: start, length: i - start + 1, values: node.values });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * @returns {Object} empty trie node
+ */
+function _newTokenTrieNode() {
+  return { next: new Map(), values: [] };
+}
@@ -8,100 +8,162 @@
  * 
  * @param {Date} startDate
  * @param {Date} endDate
+ * @param {Object} options - { incremental: boolean } (see fetchCalendarEventsForRun)
  * @returns {Object} detailed processing results with success/failure counts
  */
-function processCalendarEventsUnified(startDate, endDate) {
+function processCalendarEventsUnified(startDate, endDate, options = {}) {
   try {
     Logger.log('🎯 Starting unified calendar event processing...');
     
     // Load required mappings
-    const clientMap = loadClientMappingFromSheet();
+    const clientIndex = loadClientIndexFromSheet();
+    const matterIndex = loadMatterIndexFromSheet();
+    const caseIndex = loadCaseIndexFromSheet();
+    const clientEmailMap = loadClientEmailMapFromSheet();
     const currentUserId = getCurrentUserId();
+    const ledger = loadPostedEventLedger();
+    const settings = loadSystemSettings();
+    const trackedFields = getPostedEventTrackedFields(settings);
+    const unifiedEvents = loadUnifiedEventVocabulary();
+    const colorMap = loadEventColorMap();
+    const seriesDefaults = loadRecurringSeriesDefaults();
+    const reviewQueue = loadClientReviewQueue();
+    const learnedMatches = loadLearnedMatches();
+    
+    // Post the entries a reviewer has picked a client for since the last run
+    const reviewResult = postResolvedClientReviews(reviewQueue, ledger, clientIndex, settings, trackedFields, learnedMatches, matterIndex);
     
     // Fetch calendar events
-    const events = CalendarApp.getDefaultCalendar().getEvents(startDate, endDate);
+    const fetchResult = fetchCalendarEventsForRun(startDate, endDate, options);
+    const events = fetchResult.items.map(item => item.event);
     const matchedPayloads = [];
     const processingStats = {
       totalEvents: events.length,
       processedEvents: 0,
       clientMatches: 0,
+      clientMatchSources: { directive: 0, series: 0, review: 0, email: 0, case: 0, learned: 0, title: 0, location: 0, notes: 0 },
       eventMatches: 0,
       courtEvents: 0,
-      clientEvents: 0
+      clientEvents: 0,
+      splitEvents: 0,
+      multiClientEvents: 0,
+      personalEvents: 0,
+      alreadyPosted: 0,
+      updated: 0,
+      removed: 0,
+      flaggedForReview: 0,
+      failedEvents: 0
     };
+    const seenLedgerKeys = {};
+    const skippedEvents = [];
+    let successCount = 0;
+    let failureCount = 0;
+    markFetchedPostedEvents(ledger, fetchResult.items, seenLedgerKeys);
     
-    Logger.log(`📊 Found ${events.length} calendar events to process`);
+    Logger.log(`📊 Found ${events.length} calendar events to process (${fetchResult.syncMode})`);
+    
+    // Check the run's events for overlaps before anything is posted
+    const overlapAnalysis = analyzeEventOverlaps(fetchResult.items, settings, unifiedEvents, colorMap, seriesDefaults);
+    
+    // What each event's decision needs (see decideCalendarEvent)
+    const run = {
+      settings, ledger, seenLedgerKeys, endDate, currentUserId, clientIndex, clientEmailMap, caseIndex, matterIndex,
+      learnedMatches, unifiedEvents, colorMap, seriesDefaults, reviewQueue, overlapAnalysis
+    };
     
     // Process each event
-    events.forEach(event => {
-      const title = event.getTitle();
-      const start = event.getStartTime();
-      const end = event.getEndTime();
-      
-      // Skip all-day events and multi-day events
-      if (event.isAllDayEvent() || !_isSameDay(start, end)) {
-        Logger.log(`⏭️ Skipping: "${title}" (all-day or multi-day)`);
-        return;
-      }
-      
-      processingStats.processedEvents++;
-      
-      // Step 1: Client Detection (existing logic)
-      const clientMatch = matchClientFromTitle(title, clientMap);
-      if (clientMatch) {
-        processingStats.clientMatches++;
-        Logger.log(`👤 Client matched: "${title}" → ${clientMatch.matchedName}`);
-      } else {
-        Logger.log(`👤 No client match for: "${title}" - processing without client`);
-      }
-      
-      // Step 2-4: Unified Event Processing (new approach)
-      const summary = generateUnifiedSummary(title, clientMatch);
-      
-      // Track event types for statistics
-      if (summary.includes('Appeared before Judge')) {
-        processingStats.courtEvents++;
-      } else {
-        processingStats.clientEvents++;
-      }
-      
-      processingStats.eventMatches++;
-      
-      // Create FileMaker payload
-      const duration = _calculateRoundedDuration(start, end);
-      const dateString = formatDateForFileMaker(start);
-      
-      const fieldData = {
-        Body: title,
-        Date: dateString,
-        Time: duration,
-        Summary: summary,
-        UID_User_fk: currentUserId
-      };
-      
-      // Only include client field if there's a match
-      if (clientMatch) {
-        fieldData.UID_Client_fk = clientMatch.uid;
+    fetchResult.items.forEach((item, index) => {
+      try {
+        const decision = decideCalendarEvent(item, run);
+        const { title, start, match: clientMatch, summary } = decision;
+        decision.retractions.forEach(retraction => _countRetraction(retraction, processingStats));
+        
+        switch (decision.outcome) {
+          case 'SKIPPED':
+            Logger.log(`⏭️ Skipping: "${title}" (${decision.reason})`);
+            skippedEvents.push({ title: title, date: start.toLocaleString(), reason: decision.reason });
+            return;
+          
+          case 'AWAITING_REVIEW':
+            Logger.log(`🚩 Client review ${decision.reason.toLowerCase()}: "${title}"`);
+            if (decision.reason === 'PENDING') {
+              processingStats.flaggedForReview++;
+            }
+            return;
+          
+          case 'PERSONAL':
+            Logger.log(`🏠 Personal event, not posted: "${title}" (${decision.reason})`);
+            processingStats.personalEvents++;
+            return;
+          
+          case 'REVIEW':
+            Logger.log(`🚩 Needs review: "${title}" (${decision.reason})`);
+            processingStats.flaggedForReview++;
+            return;
+        }
+        
+        processingStats.processedEvents++;
+        if (decision.entries.length > 1) {
+          processingStats.splitEvents++;
+        }
+        
+        if (clientMatch) {
+          processingStats.clientMatches++;
+          processingStats.clientMatchSources[clientMatch.matchSource]++;
+          Logger.log(`👤 Client matched by ${clientMatch.matchSource}: "${title}" → ${clientMatch.matchedEmail || clientMatch.name}`);
+        } else {
+          Logger.log(`👤 No client match for: "${title}" - processing without client`);
+        }
+        
+        if (decision.billedClients.length > 1) {
+          processingStats.multiClientEvents++;
+        }
+        
+        // Track event types for statistics
+        if (summary.includes('Appeared before Judge')) {
+          processingStats.courtEvents++;
+        } else {
+          processingStats.clientEvents++;
+        }
+        
+        processingStats.eventMatches++;
+        
+        // FileMaker payloads - one per planned entry (per business day for multi-day events) and billed client
+        decision.records.forEach(({ ledgerRef, payload, clientNamed, hours }) => {
+          matchedPayloads.push({ ledgerRef, payload, clientNamed });
+          Logger.log(`📝 Created payload: ${payload.fieldData.Summary} (${payload.fieldData.Date}, ${hours}h)`);
+        });
+      } catch (error) {
+        // The event is retried next run - its failure holds back the sync token and the deleted-event check
+        Logger.log(`❌ Event ${index + 1} failed: ${error.message}`);
+        processingStats.failedEvents++;
+        failureCount++;
       }
-      
-      matchedPayloads.push({
-        fieldData: fieldData
-      });
-      
-      Logger.log(`📝 Created payload: ${summary} (${duration}h)`);
     });
     
     Logger.log(`📊 Processing Stats:`, processingStats);
     Logger.log(`📌 Prepared ${matchedPayloads.length} records for FileMaker`);
     
     // Send to FileMaker
-    let successCount = 0;
-    let failureCount = 0;
-    
-    matchedPayloads.forEach((payload, index) => {
+    matchedPayloads.forEach(({ ledgerRef, payload, clientNamed }, index) => {
       try {
-        const result = createFileMakerRecord(payload);
-        Logger.log(`✅ Record ${index + 1}: Created FileMaker record ${result.recordId}`);
+        const result = postOrUpdateTimeRecord(ledger, ledgerRef, payload, trackedFields, clientNamed);
+        if (result.status === 'ALREADY_POSTED') {
+          Logger.log(`⏭️ Record ${index + 1}: Already posted as FileMaker record ${result.recordId}`);
+          processingStats.alreadyPosted++;
+          return;
+        }
+        if (result.status === 'REVIEW') {
+          Logger.log(`🚩 Record ${index + 1}: FileMaker record ${result.recordId} needs review - ${result.note}`);
+          processingStats.flaggedForReview++;
+          return;
+        }
+        if (result.status === 'UPDATED') {
+          Logger.log(`✏️ Record ${index + 1}: Updated FileMaker record ${result.recordId} (${result.changedFields.join(', ')})`);
+          processingStats.updated++;
+        } else {
+          Logger.log(`✅ Record ${index + 1}: Created FileMaker record ${result.recordId}`);
+        }
         successCount++;
       } catch (error) {
         // Enhanced error handling for FileMaker issues
@@ -121,10 +183,40 @@ function processCalendarEventsUnified(startDate, endDate) {
       }
     });
     
+    // Withdraw posted records whose events were deleted from the calendar - only after a
+    // complete run, since an event whose record failed could look deleted
+    if (failureCount > 0) {
+      Logger.log(`⚠️ Deleted-event check skipped: ${failureCount} events or records failed`);
+    } else {
+      findMissingPostedEvents(ledger, seenLedgerKeys, startDate, endDate, fetchResult.cancelled, fetchResult.calendarIds).forEach(entry => {
+        try {
+          _countRetraction(retractPostedEvent(ledger, entry, 'Event deleted from calendar', settings), processingStats);
+        } catch (error) {
+          Logger.log(`❌ Failed to withdraw FileMaker record ${entry.recordId}: ${error.message}`);
+          failureCount++;
+        }
+      });
+    }
+    
+    // Only advance the sync token when every event was handled, so failures are retried next run
+    if (failureCount === 0) {
+      commitCalendarSyncTokens(fetchResult);
+    }
+    
     const finalResult = {
       status: failureCount === 0 ? 'SUCCESS' : (successCount > 0 ? 'PARTIAL' : 'FAILURE'),
+      syncMode: fetchResult.syncMode,
       successful: successCount,
       failed: failureCount,
+      alreadyPosted: processingStats.alreadyPosted,
+      updated: processingStats.updated,
+      removed: processingStats.removed,
+      flaggedForReview: processingStats.flaggedForReview,
+      postedFromReview: reviewResult.posted,
+      skipped: skippedEvents.length,
+      personal: processingStats.personalEvents,
+      overlaps: overlapAnalysis.overlaps,
+      skippedEvents: skippedEvents,
       totalProcessed: matchedPayloads.length,
       stats: processingStats
     };
@@ -138,6 +230,19 @@ function processCalendarEventsUnified(startDate, endDate) {
   }
 }
 
+/**
+ * Adds the outcome of retractPostedEvent() to the processing stats
+ * @param {Object} retraction - Result from retractPostedEvent()
+ * @param {Object} processingStats - Stats object to update
+ */
+function _countRetraction(retraction, processingStats) {
+  if (retraction.status === 'DELETED') {
+    processingStats.removed++;
+  } else if (retraction.status === 'REVIEW') {
+    processingStats.flaggedForReview++;
+  }
+}
+
 /**
  * Test the unified processing approach with a sample date range
  * @param {Date} testDate - Optional test date (defaults to today)
@@ -160,11 +265,23 @@ function testUnifiedCalendarProcessing(testDate = null) {
     Logger.log(`   Status: ${result.status}`);
     Logger.log(`   Successful: ${result.successful}`);
     Logger.log(`   Failed: ${result.failed}`);
+    Logger.log(`   Already Posted: ${result.alreadyPosted}`);
+    Logger.log(`   Updated: ${result.updated}`);
+    Logger.log(`   Removed: ${result.removed}`);
+    Logger.log(`   Flagged For Review: ${result.flaggedForReview}`);
+    Logger.log(`   Posted From Client Review: ${result.postedFromReview}`);
+    Logger.log(`   Skipped: ${result.skipped}`);
+    Logger.log(`   Personal (not posted): ${result.personal}`);
+    Logger.log(`   Overlapping Event Pairs: ${result.overlaps.length}`);
+    result.skippedEvents.forEach(skipped => Logger.log(`      - "${skipped.title}" (${skipped.date}): ${skipped.reason}`));
     Logger.log(`   Total Events: ${result.stats.totalEvents}`);
-    Logger.log(`   Client Matches: ${result.stats.clientMatches}`);
+    const sources = result.stats.clientMatchSources;
+    Logger.log(`   Client Matches: ${result.stats.clientMatches} (directive: ${sources.directive}, series: ${sources.series}, review: ${sources.review}, email: ${sources.email}, case: ${sources.case}, learned: ${sources.learned}, title: ${sources.title}, location: ${sources.location}, notes: ${sources.notes})`);
     Logger.log(`   Event Matches: ${result.stats.eventMatches}`);
     Logger.log(`   Court Events: ${result.stats.courtEvents}`);
     Logger.log(`   Client Events: ${result.stats.clientEvents}`);
+    Logger.log(`   Split Into Daily Entries: ${result.stats.splitEvents}`);
+    Logger.log(`   Billed To Several Clients: ${result.stats.multiClientEvents}`);
     
     return result;
     
@@ -2,10 +2,19 @@
 // 🎯 Unified Event Vocabulary Loader
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Vocabulary categories whose events are personal and never posted to FileMaker
+const PERSONAL_EVENT_CATEGORIES = ['ignore', 'personal'];
+
 /**
  * Loads unified event vocabulary from the new consolidated sheet.
  * Replaces the dual-sheet approach with a single, organized vocabulary.
- * @returns {Array} list of { category, keywords, description }
+ * Optional 4th column "All-Day Hours" bills all-day events of that category per business day.
+ * Rows in the Ignore or Personal category mark personal events; they need no description.
+ * Optional 5th column "Priority" (higher wins when rows match the same text, default 0) and
+ * 6th column "Exclude If Contains" (keywords that stop the row from matching) - see findUnifiedEventMatch.
+ * Keywords are compiled here (see eventKeywords.js); invalid ones are logged with their row.
+ * @returns {Array} list of { category, keywords, patterns, excludeKeywords, excludePatterns,
+ *   description, allDayHours, priority, row }
  */
 function loadUnifiedEventVocabulary() {
   try {
@@ -15,19 +24,40 @@ function loadUnifiedEventVocabulary() {
     const rows = sheet.getDataRange().getValues();
 
     const events = [];
+    let invalidRows = 0;
     for (let i = 1; i < rows.length; i++) {
-      const [category, keywords, description] = rows[i];
-      if (category && keywords && description) {
+      const [category, keywords, description, allDayHours, priority, excludeKeywords] = rows[i];
+      const isPersonal = PERSONAL_EVENT_CATEGORIES.includes(String(category).toLowerCase().trim());
+      if (category && keywords && (description || isPersonal)) {
+        const parsed = parseEventKeywords(keywords);
+        const excluded = parseEventKeywords(excludeKeywords);
+        const problems = parsed.problems.concat(excluded.problems.map(problem => `Exclude If Contains ${problem}`));
+        if (problems.length > 0) {
+          invalidRows++;
+          problems.forEach(problem => Logger.log(`⚠️ EventTypes row ${i + 1} (${category}): ${problem} - left out`));
+        }
+        if (parsed.patterns.length === 0) {
+          Logger.log(`⚠️ EventTypes row ${i + 1} (${category}) has no usable keyword - row skipped`);
+          continue;
+        }
+
         events.push({
           category: category.trim(),
-          keywords: keywords.split('|').map(k => k.trim().toLowerCase()),
-          description: description.trim(),
-          isCourtEvent: category.toLowerCase() === 'court'
+          keywords: parsed.keywords,
+          patterns: parsed.patterns,
+          excludeKeywords: excluded.keywords,
+          excludePatterns: excluded.patterns,
+          description: (description || '').trim(),
+          isCourtEvent: category.toLowerCase() === 'court',
+          isPersonal: isPersonal,
+          allDayHours: parseFloat(allDayHours) || 0,
+          priority: parseFloat(priority) || 0,
+          row: i + 1
         });
       }
     }
 
-    Logger.log(`🎯 Loaded ${events.length} unified event types.`);
+    Logger.log(`🎯 Loaded ${events.length} unified event types${invalidRows > 0 ? ` (${invalidRows} row${invalidRows === 1 ? '' : 's'} with invalid keywords - see above)` : ''}.`);
     return events;
 
   } catch (e) {
@@ -41,7 +71,7 @@ function loadUnifiedEventVocabulary() {
  * @returns {Array} basic event definitions
  */
 function getUnifiedEventFallback() {
-  return [
+  const events = [
     { category: 'Telephone Conference', keywords: ['telephone call', 'tc', 'cc', 'conference call', 'call'], description: 'Telephone conference with {Client First Name} {Client Last Name}', isCourtEvent: false },
     { category: 'Zoom Conference', keywords: ['zoom conference', 'zoom', 'zc', 'zoom video conference', 'video conference', 'video'], description: 'Video conference with {Client First Name} {Client Last Name}', isCourtEvent: false },
     { category: 'Office Meeting', keywords: ['office meeting', 'office', 'meeting', 'om'], description: 'Office meeting with {Client First Name} {Client Last Name}', isCourtEvent: false },
@@ -49,53 +79,145 @@ function getUnifiedEventFallback() {
     { category: 'Court', keywords: ['hearing'], description: 'Appeared before Judge {Judge Last Name} for hearing on Motion', isCourtEvent: true },
     { category: 'Court', keywords: ['open'], description: 'Appeared before Judge {Judge Last Name} to open Estate, have heirship determined, and have representative appointed', isCourtEvent: true },
     { category: 'Court', keywords: ['close'], description: 'Appeared before Judge {Judge Last Name} to present Final Report and Receipts and Approvals from interested parties and to request that the representative be discharged and estate closed.', isCourtEvent: true },
-    { category: 'Court', keywords: ['status'], description: 'Appeared before Judge {Judge Last Name} to report on status of Estate Administration', isCourtEvent: true }
+    { category: 'Court', keywords: ['status'], description: 'Appeared before Judge {Judge Last Name} to report on status of Estate Administration', isCourtEvent: true },
+    { category: 'Personal', keywords: ['personal', 'gym', 'workout', 'doctor', 'dentist', 'pick up kids'], description: '', isCourtEvent: false, isPersonal: true }
   ];
+
+  return events.map(event => ({ ...event, patterns: parseEventKeywords(event.keywords).patterns, excludePatterns: [], priority: 0 }));
 }
 
 /**
- * Find matching event from unified vocabulary using improved keyword matching
+ * Find matching event from unified vocabulary using improved keyword matching.
+ * Keywords match whole words unless written as a prefix or regular expression (see eventKeywords.js).
+ * The title wins; the location and then the notes are only searched when the title has no keyword.
+ * A row does not match a text that contains one of its Exclude If Contains keywords. When several
+ * rows match, the winner is picked by compareUnifiedEventMatches and the reason is logged.
  * @param {string} title - Calendar event title (with client name already removed)
  * @param {Array} events - Unified event vocabulary
- * @returns {Object|null} matching event or null
+ * @param {Object} context - Optional { location, notes } from getEventMatchContext()
+ * @returns {Object|null} matching event (with matchedKeyword, matchedIn and matchReason) or null
  */
-function findUnifiedEventMatch(title, events) {
-  const loweredTitle = title.toLowerCase();
-  
-  // Find all possible matches
-  const matches = [];
+function findUnifiedEventMatch(title, events, context = null) {
+  const sources = [['title', title]];
+  if (context) {
+    sources.push(['location', context.location], ['notes', context.notes]);
+  }
   
-  for (const event of events) {
-    for (const keyword of event.keywords) {
-      if (loweredTitle.includes(keyword)) {
-        matches.push({
-          ...event,
-          matchedKeyword: keyword,
-          keywordLength: keyword.length
-        });
+  for (const [source, text] of sources) {
+    if (!text) continue;
+    
+    // Find all possible matches
+    const matches = [];
+    
+    events.forEach((event, order) => {
+      const patterns = event.patterns || parseEventKeywords(event.keywords).patterns;
+      const excludePatterns = event.excludePatterns || parseEventKeywords(event.excludeKeywords).patterns;
+      const eventMatches = [];
+
+      for (const keywordPattern of patterns) {
+        const found = matchEventKeyword(keywordPattern, text);
+        if (found) {
+          eventMatches.push({
+            ...event,
+            matchedKeyword: keywordPattern.keyword,
+            keywordLength: found.text.length,
+            keywordParts: found.parts,
+            keywordIndex: found.index,
+            vocabularyOrder: order,
+            matchedIn: source
+          });
+        }
       }
+
+      if (eventMatches.length === 0) return;
+
+      const exclusion = excludePatterns.find(excludePattern => matchEventKeyword(excludePattern, text));
+      if (exclusion) {
+        console.log(`  🚫 ${event.category} "${eventMatches[0].matchedKeyword}" excluded by "${exclusion.keyword}" (${source})`);
+        return;
+      }
+
+      matches.push(...eventMatches);
+    });
+    
+    if (matches.length === 0) {
+      continue;
     }
+    
+    matches.sort((a, b) => compareUnifiedEventMatches(a, b).order);
+    
+    const best = matches[0];
+    const runnerUp = matches.find(match => match.vocabularyOrder !== best.vocabularyOrder);
+    best.matchReason = runnerUp
+      ? `${compareUnifiedEventMatches(best, runnerUp).reason} than "${runnerUp.matchedKeyword}" → ${runnerUp.category}`
+      : 'only matching row';
+    
+    Logger.log(`🎯 Event match (${source}): "${best.matchedKeyword}" → ${best.category} (${best.matchReason})`);
+    return best;
   }
   
-  if (matches.length === 0) {
+  return null;
+}
+
+/**
+ * Ranks two keyword matches of the same text. In order: the higher Priority, the
+ * combination of more keywords, the longer matched text, the keyword earlier in
+ * the text, then the row higher up in EventTypes.
+ * @param {Object} a - Match from findUnifiedEventMatch
+ * @param {Object} b - Match from findUnifiedEventMatch
+ * @returns {Object} { order, reason } - order < 0 when a wins; reason says why the winner won
+ */
+function compareUnifiedEventMatches(a, b) {
+  const rules = [
+    [(b.priority || 0) - (a.priority || 0), 'higher priority'],
+    [b.keywordParts - a.keywordParts, 'more keywords combined'],
+    [b.keywordLength - a.keywordLength, 'longer keyword'],
+    [a.keywordIndex - b.keywordIndex, 'keyword earlier in the text'],
+    [a.vocabularyOrder - b.vocabularyOrder, 'row higher in EventTypes']
+  ];
+
+  const decisive = rules.find(([order]) => order !== 0);
+  return decisive
+    ? { order: decisive[0], reason: decisive[1] }
+    : { order: 0, reason: 'other keyword of the same row' };
+}
+
+/**
+ * Find the vocabulary entry for a category (e.g. the category mapped to an event color).
+ * Categories with several rows (e.g. Court) use the first row.
+ * @param {string} category - Category name
+ * @param {Array} events - Unified event vocabulary
+ * @returns {Object|null} matching event or null
+ */
+function findUnifiedEventByCategory(category, events) {
+  const wanted = (category || '').toString().toLowerCase().trim();
+  const event = events.find(e => e.category.toLowerCase() === wanted);
+  
+  if (!event) {
+    if (wanted) {
+      Logger.log(`⚠️ Category "${category}" is not in the event vocabulary`);
+    }
     return null;
   }
   
-  // If multiple matches, prefer longer/more specific keywords
-  matches.sort((a, b) => b.keywordLength - a.keywordLength);
-  
-  Logger.log(`🎯 Event match: "${matches[0].matchedKeyword}" → ${matches[0].category}`);
-  return matches[0];
+  return { ...event, matchedKeyword: null, keywordLength: 0, matchedIn: 'category' };
 }
 
 /**
  * Detect Cook County courtroom and judge information
  * @param {string} title - Calendar event title
+ * @param {Object} context - Optional { location, notes } from getEventMatchContext()
  * @returns {Object|null} courtroom info { courtroom, judge } or null
  */
-function detectCookCountyCourtroom(title) {
-  // Look for 4-digit courtroom numbers (Cook County only)
-  const courtroomMatch = title.match(/\b(\d{4})\b/);
+function detectCookCountyCourtroom(title, context = null) {
+  // Look for 4-digit courtroom numbers (Cook County only), ignoring the digits of case numbers
+  let courtroomMatch = stripCaseNumbers(title).match(/\b(\d{4})\b/);
+  
+  // Locations and notes also hold street numbers, so only labelled courtrooms count there ("Courtroom 1804", "Room 1804")
+  if (!courtroomMatch && context) {
+    const labelledCourtroom = /\b(?:courtroom|room|rm\.?|cr\.?)\s*#?\s*(\d{4})\b/i;
+    courtroomMatch = (context.location || '').match(labelledCourtroom) || (context.notes || '').match(labelledCourtroom);
+  }
   
   if (courtroomMatch) {
     const courtroomNumber = courtroomMatch[1];
@@ -136,9 +258,10 @@ function detectCookCountyCourtroom(title) {
  * @param {Object} eventMatch - Matched event from unified vocabulary
  * @param {Object} clientMatch - Client information { firstName, lastName, uid }
  * @param {string} title - Original calendar title for courtroom detection
+ * @param {Object} context - Optional { location, notes } for courtroom detection and {Location}/{Notes}
  * @returns {string} final billing description
  */
-function generateUnifiedBillingDescription(eventMatch, clientMatch, title) {
+function generateUnifiedBillingDescription(eventMatch, clientMatch, title, context = null) {
   let description = eventMatch.description;
   
   // Replace client name placeholders
@@ -161,11 +284,16 @@ function generateUnifiedBillingDescription(eventMatch, clientMatch, title) {
   
   // For court events, handle judge name replacement
   if (eventMatch.isCourtEvent) {
-    const courtroomInfo = detectCookCountyCourtroom(title);
+    const courtroomInfo = detectCookCountyCourtroom(title, context);
     const judgeText = courtroomInfo ? courtroomInfo.judge : '____';
     description = description.replace('{Judge Last Name}', judgeText);
   }
   
+  // Event location and notes placeholders
+  description = description
+    .replace('{Location}', context ? context.location : '')
+    .replace('{Notes}', context ? context.notes : '');
+  
   Logger.log(`📝 Generated description: "${description}"`);
   return description;
 }
\ No newline at end of file
@@ -14,9 +14,12 @@
  * 
  * @param {string} title - Calendar event title
  * @param {Object} clientMatch - Client match info { firstName, lastName, uid, matchedName }
+ * @param {Object} context - Optional { location, notes } from getEventMatchContext()
+ * @param {string} fallbackCategory - Optional vocabulary category used when no keyword matches (e.g. from the event color)
+ * @param {string} categoryOverride - Optional vocabulary category used instead of keyword matching (from a #cat directive)
  * @returns {string} professional billing description
  */
-function generateUnifiedSummary(title, clientMatch) {
+function generateUnifiedSummary(title, clientMatch, context = null, fallbackCategory = null, categoryOverride = null) {
   try {
     Logger.log(`🎯 Processing unified summary for: "${title}"`);
     
@@ -32,8 +35,21 @@ function generateUnifiedSummary(title, clientMatch) {
     // Step 2: Load unified event vocabulary
     const unifiedEvents = loadUnifiedEventVocabulary();
     
-    // Step 3: Find matching event type
-    const eventMatch = findUnifiedEventMatch(cleanTitle, unifiedEvents);
+    // Step 3: Find matching event type (a #cat directive wins over keywords)
+    let eventMatch = categoryOverride ? findUnifiedEventByCategory(categoryOverride, unifiedEvents) : null;
+    if (eventMatch) {
+      Logger.log(`#️⃣ Using directive category: ${eventMatch.category}`);
+    } else {
+      eventMatch = findUnifiedEventMatch(cleanTitle, unifiedEvents, context);
+    }
+    
+    // Step 3b: Fall back to the category mapped from the event color
+    if (!eventMatch && fallbackCategory) {
+      eventMatch = findUnifiedEventByCategory(fallbackCategory, unifiedEvents);
+      if (eventMatch) {
+        Logger.log(`🎨 Using color category: ${eventMatch.category}`);
+      }
+    }
     
     if (!eventMatch) {
       Logger.log(`⚠️ No event match found for: "${cleanTitle}"`);
@@ -46,7 +62,7 @@ function generateUnifiedSummary(title, clientMatch) {
     }
     
     // Step 4: Generate final description using templates
-    const finalDescription = generateUnifiedBillingDescription(eventMatch, clientMatch, title);
+    const finalDescription = generateUnifiedBillingDescription(eventMatch, clientMatch, title, context);
     
     Logger.log(`✅ Final unified summary: "${finalDescription}"`);
     return finalDescription;
@@ -1,3 +1,51 @@
+/**
+ * Opens a tab of the CentralClientList Google Sheet.
+ * When headers are given and the tab does not exist yet, it is created with that header row.
+ * 
+ * @param {string} tabName - Name of the tab to open
+ * @param {Array<string>} headers - Optional header row used when creating the tab
+ * @returns {Sheet} The requested sheet tab
+ */
+function getCentralClientListSheet(tabName, headers = null) {
+  // Use the CentralClientList Google Sheet ID directly
+  const centralClientListId = '1-WN4rojrqXH3unBM45UL07lF9C_XnTq3pdcu0tdA7D0';
+  const spreadsheet = SpreadsheetApp.openById(centralClientListId);
+  
+  let sheet = spreadsheet.getSheetByName(tabName);
+  if (!sheet && headers) {
+    sheet = spreadsheet.insertSheet(tabName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.setFrozenRows(1);
+    Logger.log(`📋 Created ${tabName} tab in CentralClientList sheet`);
+  }
+  
+  if (!sheet) {
+    throw new Error(`${tabName} tab not found in CentralClientList Spreadsheet`);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Appends a row to a CentralClientList tab and returns its row number. Every
+ * user's sync writes to the same tabs, so the script lock is held until the
+ * row number is read - otherwise getLastRow() can return another user's row.
+ *
+ * @param {Sheet} sheet - Tab from getCentralClientListSheet()
+ * @param {Array} values - Row values to append
+ * @returns {number} Row number of the appended row
+ */
+function appendCentralClientListRow(sheet, values) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    sheet.appendRow(values);
+    return sheet.getLastRow();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
 /**
  * Loads user mappings from CentralClientList Google Sheet UserMapping tab
  * Expected columns: UID_User_fk | FirstName | LastName | EmailAddress
@@ -8,11 +56,8 @@ function loadUserMappingFromSheet() {
   try {
     Logger.log('👤 Loading user mappings from CentralClientList sheet...');
     
-    // Use the CentralClientList Google Sheet ID directly
-    const centralClientListId = '1-WN4rojrqXH3unBM45UL07lF9C_XnTq3pdcu0tdA7D0';
-    
     // Read from the UserMapping tab
-    const sheet = SpreadsheetApp.openById(centralClientListId).getSheetByName('UserMapping');
+    const sheet = getCentralClientListSheet('UserMapping');
     const values = sheet.getDataRange().getValues();
     
     const userMap = {};